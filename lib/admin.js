@@ -0,0 +1,43 @@
+const { ENTITY } = require('./ledger');
+
+// Record kinds the admin API can look up, re-sync and skip, and the ledger
+// entity each one is recorded (and skipped) under
+const RECORD_KINDS = {
+  payment: ENTITY.SERVICEM8_PAYMENT,
+  contact: ENTITY.SERVICEM8_CONTACT,
+  job: ENTITY.SERVICEM8_JOB,
+  'ghl-contact': ENTITY.GHL_CONTACT,
+};
+
+// Config keys whose values never leave the server
+const SECRET_KEY_PATTERN = /(password|secret|token|apikey)$/i;
+
+function maskSecrets(value, key = '') {
+  if (Array.isArray(value)) return value.map((item) => maskSecrets(item));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, maskSecrets(item, name)]));
+  }
+  if (value && SECRET_KEY_PATTERN.test(key)) return '********';
+  return value;
+}
+
+// What a tenant runs with: its config file entry with secrets masked, and the
+// rules resolved from it with defaults filled in
+function describeConfig(tenant) {
+  return {
+    config: maskSecrets(tenant.config),
+    resolved: {
+      timezone: tenant.timezone,
+      queueName: tenant.queueName,
+      ghlIdField: tenant.ghlIdField,
+      fieldMapping: tenant.fieldMapping,
+      stageSync: tenant.stageSync,
+      paymentTriggers: tenant.paymentTriggers,
+      jobRouting: tenant.jobRouter.config,
+      contactSync: tenant.contactSync ? tenant.contactSync.config : null,
+      appointments: tenant.appointments ? tenant.appointments.config : null,
+    },
+  };
+}
+
+module.exports = { RECORD_KINDS, maskSecrets, describeConfig };
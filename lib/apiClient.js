@@ -0,0 +1,167 @@
+const axios = require('axios');
+const { AsyncLocalStorage } = require('async_hooks');
+const { instrumentApi } = require('./metrics');
+
+// Shared axios wrapper for the ServiceM8 and GHL APIs. Every client gets:
+//   - a request timeout
+//   - a token bucket per client (so per ServiceM8 account / GHL location)
+//     that spaces requests out to the API's rate limit
+//   - retries of 429s, 5xx responses and dropped connections with exponential
+//     backoff, waiting as long as Retry-After asks when the API sends it. A 429
+//     also holds back every other request through the same client for that long.
+//     Only requests that are safe to repeat are retried after a 5xx or a
+//     dropped connection; a 429 means the request was not handled, so any is.
+//   - memoized GETs inside withApiMemo() (see below)
+//   - request counts by endpoint in /metrics (lib/metrics.js)
+
+const API_TIMEOUT_MS = parseInt(process.env.API_TIMEOUT_MS, 10) || 30 * 1000;
+const API_MAX_RETRIES = parseInt(process.env.API_MAX_RETRIES, 10) || 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 2 * 60 * 1000;
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+// Sustained requests per second and burst size per client. ServiceM8 allows
+// 180 requests a minute per account; GHL 100 per 10 seconds per location.
+const RATE_LIMITS = {
+  servicem8: {
+    perSecond: parseFloat(process.env.SERVICEM8_REQUESTS_PER_SECOND) || 2.5,
+    burst: parseInt(process.env.SERVICEM8_REQUEST_BURST, 10) || 10,
+  },
+  ghl: {
+    perSecond: parseFloat(process.env.GHL_REQUESTS_PER_SECOND) || 8,
+    burst: parseInt(process.env.GHL_REQUEST_BURST, 10) || 20,
+  },
+};
+
+const memo = new AsyncLocalStorage();
+let clientCount = 0;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Hands out up to `burst` requests at once, refilled at `perSecond`. Callers
+// wait their turn in order.
+class TokenBucket {
+  constructor(perSecond, burst) {
+    this.perSecond = perSecond;
+    this.burst = burst;
+    this.tokens = burst;
+    this.updatedAt = Date.now();
+    this.blockedUntil = 0;
+    this.turn = Promise.resolve();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.updatedAt) / 1000) * this.perSecond);
+    this.updatedAt = now;
+  }
+
+  // Resolves when the caller may send a request
+  take() {
+    const turn = this.turn.then(async () => {
+      if (this.blockedUntil > Date.now()) await sleep(this.blockedUntil - Date.now());
+      this.refill();
+      if (this.tokens < 1) {
+        await sleep(((1 - this.tokens) / this.perSecond) * 1000);
+        this.refill();
+      }
+      this.tokens -= 1;
+    });
+    this.turn = turn.catch(() => {});
+    return turn;
+  }
+
+  // Hold every request back for ms, e.g. after the API answered 429
+  pause(ms) {
+    this.blockedUntil = Math.max(this.blockedUntil, Date.now() + ms);
+    this.tokens = 0;
+  }
+}
+
+function isRetryable(error) {
+  const method = (error.config.method || 'get').toLowerCase();
+  if (error.response) {
+    const { status } = error.response;
+    return status === 429 || (RETRYABLE_STATUSES.includes(status) && IDEMPOTENT_METHODS.includes(method));
+  }
+  // No response: a timeout or a dropped connection
+  return error.code !== 'ERR_CANCELED' && IDEMPOTENT_METHODS.includes(method);
+}
+
+// Retry-After in seconds or as an HTTP date, else exponential backoff with jitter
+function retryDelay(error, attempt) {
+  const retryAfter = error.response && error.response.headers ? error.response.headers['retry-after'] : null;
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+    if (ms >= 0) return Math.min(ms, MAX_RETRY_DELAY_MS);
+  }
+  const backoff = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+  return Math.min(backoff + Math.floor(Math.random() * backoff * 0.25), MAX_RETRY_DELAY_MS);
+}
+
+// An axios instance for system ('servicem8' or 'ghl') with the behaviour
+// described at the top of this file. config is passed to axios.create.
+function createApiClient(system, config) {
+  const limits = RATE_LIMITS[system];
+  const bucket = new TokenBucket(limits.perSecond, limits.burst);
+  const clientId = ++clientCount;
+  const api = axios.create({ timeout: API_TIMEOUT_MS, ...config });
+
+  api.interceptors.request.use(async (request) => {
+    // A write makes anything memoized so far possibly stale
+    const cache = memo.getStore();
+    if (cache && (request.method || 'get').toLowerCase() !== 'get') cache.clear();
+    await bucket.take();
+    return request;
+  });
+  instrumentApi(api, system);
+  api.interceptors.response.use(null, async (error) => {
+    const request = error.config;
+    if (!request || !isRetryable(error)) throw error;
+    const attempt = (request.retryAttempt || 0) + 1;
+    if (attempt > API_MAX_RETRIES) throw error;
+    const delayMs = retryDelay(error, attempt);
+    const status = error.response ? error.response.status : error.code || 'no response';
+    if (status === 429) bucket.pause(delayMs);
+    console.log(
+      `${system} ${(request.method || 'get').toUpperCase()} ${request.url} failed (${status}), ` +
+        `retry ${attempt}/${API_MAX_RETRIES} in ${delayMs}ms`
+    );
+    await sleep(delayMs);
+    request.retryAttempt = attempt;
+    return api.request(request);
+  });
+
+  const get = api.get.bind(api);
+  api.get = (url, requestConfig = {}) => {
+    const cache = memo.getStore();
+    if (!cache) return get(url, requestConfig);
+    const key = `${clientId} ${url} ${JSON.stringify(requestConfig.params || {})}`;
+    if (!cache.has(key)) {
+      cache.set(
+        key,
+        get(url, requestConfig).catch((error) => {
+          cache.delete(key);
+          throw error;
+        })
+      );
+    }
+    return cache.get(key);
+  };
+
+  return api;
+}
+
+// Run fn with GETs memoized: inside it, asking a client for the same URL and
+// params again (the same job, company or activity list) reuses the first
+// response instead of calling the API, until a write through any client
+// clears the memo. Callers get the same response object and must not change it.
+function withApiMemo(fn) {
+  return memo.run(new Map(), fn);
+}
+
+module.exports = { TokenBucket, createApiClient, withApiMemo };
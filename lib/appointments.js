@@ -0,0 +1,236 @@
+const moment = require('moment-timezone');
+const path = require('path');
+const { JsonStore } = require('./store');
+
+// Books GHL calendar appointments into ServiceM8 as scheduled job activities
+// on the contact's job, and keeps the two in step both ways. Each tenant may
+// configure:
+//
+//   "appointments": {
+//     "staff": { "<GHL user id>": "<ServiceM8 staff uuid>" },
+//     "calendars": { "<GHL calendar id>": "<ServiceM8 staff uuid>" },
+//     "defaultStaffUuid": "<ServiceM8 staff uuid>"
+//   }
+//
+// An appointment is given to the staff member mapped from its assigned GHL
+// user, else from its calendar, else defaultStaffUuid. Staff changed in
+// ServiceM8 are assigned back in GHL to the user mapped to them in "staff".
+// Without "appointments" the tenant does not sync appointments.
+//
+// Each synced appointment is stored with the activity it created and the
+// times and people both sides last agreed on. A change that matches them is
+// the echo of our own write and is ignored.
+
+const SERVICEM8_DATE_FORMAT = 'YYYY-MM-DD HH:mm:ss';
+const CANCELLED_STATUSES = ['cancelled', 'canceled'];
+
+// The tenant's appointment sync config, validated, or null when it has none
+function resolveAppointments(config) {
+  if (!config) return null;
+  const staff = config.staff || {};
+  const calendars = config.calendars || {};
+  for (const [name, map] of Object.entries({ staff, calendars })) {
+    if (typeof map !== 'object' || Array.isArray(map)) {
+      throw new Error(`appointments.${name} must map IDs to ServiceM8 staff UUIDs`);
+    }
+    for (const [id, staffUuid] of Object.entries(map)) {
+      if (!staffUuid || typeof staffUuid !== 'string') {
+        throw new Error(`appointments.${name}.${id} needs a ServiceM8 staff UUID`);
+      }
+    }
+  }
+  if (Object.keys(staff).length === 0 && Object.keys(calendars).length === 0 && !config.defaultStaffUuid) {
+    throw new Error('appointments needs staff, calendars or defaultStaffUuid to pick who is booked');
+  }
+  return { staff, calendars, defaultStaffUuid: config.defaultStaffUuid || null };
+}
+
+// The appointment in a GHL webhook body: an app AppointmentCreate/Update/Delete
+// event ({ type, appointment: { id, calendarId, contactId, ... } }) or a
+// workflow webhook ({ contact_id, calendar: { id, appointmentId, startTime, ... } }).
+// Either may carry a jobUuid to book a specific ServiceM8 job.
+function readAppointmentWebhook(body) {
+  if (body.appointment) {
+    const appointment = body.appointment;
+    return {
+      appointmentId: appointment.id,
+      calendarId: appointment.calendarId || null,
+      contactId: appointment.contactId,
+      assignedUserId: appointment.assignedUserId || null,
+      startTime: appointment.startTime,
+      endTime: appointment.endTime,
+      status: appointment.appointmentStatus || appointment.status || null,
+      deleted: body.type === 'AppointmentDelete',
+      jobUuid: body.jobUuid || null,
+    };
+  }
+  const calendar = body.calendar || {};
+  return {
+    appointmentId: calendar.appointmentId || body.appointmentId,
+    calendarId: calendar.id || body.calendarId || null,
+    contactId: body.contact_id || body.contactId,
+    assignedUserId: calendar.assignedUserId || body.assignedUserId || null,
+    startTime: calendar.startTime || body.startTime,
+    endTime: calendar.endTime || body.endTime,
+    // GHL spells it "appoinmentStatus" in workflow payloads
+    status: calendar.appoinmentStatus || calendar.appointmentStatus || calendar.status || body.appointmentStatus || null,
+    deleted: false,
+    jobUuid: body.jobUuid || null,
+  };
+}
+
+function isCancelled(appointment) {
+  return appointment.deleted || CANCELLED_STATUSES.includes(String(appointment.status || '').toLowerCase());
+}
+
+function createAppointmentSync({ serviceM8Api, ghl, links, dir, timezone, config }) {
+  const store = new JsonStore(path.join(dir, 'appointments.json'), () => ({ appointments: {} }));
+
+  function get(appointmentId) {
+    return store.read((data) => data.appointments[appointmentId] || null);
+  }
+
+  function findByActivity(activityUuid) {
+    return store.read((data) => Object.values(data.appointments).find((entry) => entry.activityUuid === activityUuid) || null);
+  }
+
+  function save(entry) {
+    return store.update((data) => {
+      const now = new Date().toISOString();
+      data.appointments[entry.appointmentId] = { createdAt: now, ...entry, updatedAt: now };
+    });
+  }
+
+  // GHL sends ISO 8601 times; ones without an offset are in the tenant's timezone
+  function toServiceM8Time(time) {
+    return moment.tz(time, moment.ISO_8601, timezone).tz(timezone).format(SERVICEM8_DATE_FORMAT);
+  }
+
+  function toGhlTime(stamp) {
+    return moment.tz(stamp, SERVICEM8_DATE_FORMAT, timezone).format();
+  }
+
+  function staffFor(appointment) {
+    return (
+      config.staff[appointment.assignedUserId] || config.calendars[appointment.calendarId] || config.defaultStaffUuid || null
+    );
+  }
+
+  function userFor(staffUuid) {
+    const entry = Object.entries(config.staff).find(([, uuid]) => uuid === staffUuid);
+    return entry ? entry[0] : null;
+  }
+
+  // The job to book: the one named in the webhook, else the newest job linked
+  // to the contact
+  async function jobFor(appointment) {
+    if (appointment.jobUuid) return appointment.jobUuid;
+    const link = await links.get(appointment.contactId);
+    return link && link.jobUuids.length > 0 ? link.jobUuids[link.jobUuids.length - 1] : null;
+  }
+
+  // Apply a GHL appointment (from readAppointmentWebhook) to ServiceM8. Resolves to
+  // { status: 'created'|'updated'|'cancelled'|'unchanged'|'no_job'|'no_staff', activityUuid, jobUuid }.
+  // no_job means the contact has no ServiceM8 job yet (it may still be being created).
+  async function applyGhlAppointment(appointment) {
+    const stored = await get(appointment.appointmentId);
+    const active = stored && stored.activityUuid && !stored.cancelled;
+
+    if (isCancelled(appointment)) {
+      if (!active) return { status: 'unchanged', activityUuid: stored ? stored.activityUuid : null };
+      await serviceM8Api.delete(`/jobactivity/${stored.activityUuid}.json`);
+      await save({ ...stored, cancelled: true });
+      console.log(`Removed ServiceM8 activity ${stored.activityUuid} for cancelled GHL appointment ${appointment.appointmentId}`);
+      return { status: 'cancelled', activityUuid: stored.activityUuid, jobUuid: stored.jobUuid };
+    }
+
+    const start = toServiceM8Time(appointment.startTime);
+    const end = toServiceM8Time(appointment.endTime);
+    // The staff member only changes when the GHL user does, so a user with no
+    // staff mapping does not undo a reassignment made in ServiceM8
+    const assignedUserId = appointment.assignedUserId || null;
+    const staffUuid = active && assignedUserId === stored.assignedUserId ? stored.staffUuid : staffFor(appointment);
+    if (!staffUuid) return { status: 'no_staff', activityUuid: null, jobUuid: null };
+
+    if (active) {
+      if (stored.start === start && stored.end === end && stored.staffUuid === staffUuid) {
+        return { status: 'unchanged', activityUuid: stored.activityUuid, jobUuid: stored.jobUuid };
+      }
+      await serviceM8Api.post(`/jobactivity/${stored.activityUuid}.json`, {
+        start_date: start,
+        end_date: end,
+        staff_uuid: staffUuid,
+      });
+      await save({ ...stored, start, end, staffUuid, assignedUserId });
+      console.log(`Moved ServiceM8 activity ${stored.activityUuid} to ${start} for GHL appointment ${appointment.appointmentId}`);
+      return { status: 'updated', activityUuid: stored.activityUuid, jobUuid: stored.jobUuid };
+    }
+
+    const jobUuid = await jobFor(appointment);
+    if (!jobUuid) return { status: 'no_job', activityUuid: null, jobUuid: null };
+    const response = await serviceM8Api.post('/jobactivity.json', {
+      job_uuid: jobUuid,
+      staff_uuid: staffUuid,
+      start_date: start,
+      end_date: end,
+      activity_was_scheduled: 1,
+      active: 1,
+    });
+    const activityUuid = response.headers['x-record-uuid'];
+    await save({
+      appointmentId: appointment.appointmentId,
+      ghlContactId: appointment.contactId,
+      calendarId: appointment.calendarId,
+      activityUuid,
+      jobUuid,
+      start,
+      end,
+      staffUuid,
+      assignedUserId,
+      cancelled: false,
+    });
+    console.log(`Booked GHL appointment ${appointment.appointmentId} as activity ${activityUuid} on job ${jobUuid} at ${start}`);
+    return { status: 'created', activityUuid, jobUuid };
+  }
+
+  // Apply a changed ServiceM8 job activity back to its GHL appointment.
+  // Resolves to { status: 'updated'|'cancelled'|'unchanged'|'unlinked', appointmentId }.
+  async function applyServiceM8Activity(activity) {
+    const stored = await findByActivity(activity.uuid);
+    if (!stored) return { status: 'unlinked', appointmentId: null };
+    const { appointmentId } = stored;
+
+    if (Number(activity.active) === 0) {
+      if (stored.cancelled) return { status: 'unchanged', appointmentId };
+      await ghl.cancelAppointment(appointmentId);
+      await save({ ...stored, cancelled: true });
+      console.log(`Cancelled GHL appointment ${appointmentId}: activity ${activity.uuid} was removed in ServiceM8`);
+      return { status: 'cancelled', appointmentId };
+    }
+
+    const start = activity.start_date;
+    const end = activity.end_date;
+    const staffUuid = activity.staff_uuid || stored.staffUuid;
+    if (!stored.cancelled && stored.start === start && stored.end === end && stored.staffUuid === staffUuid) {
+      return { status: 'unchanged', appointmentId };
+    }
+    const assignedUserId = staffUuid === stored.staffUuid ? stored.assignedUserId : userFor(staffUuid) || stored.assignedUserId;
+    await ghl.updateAppointment(
+      appointmentId,
+      {
+        startTime: toGhlTime(start),
+        endTime: toGhlTime(end),
+        assignedUserId: assignedUserId !== stored.assignedUserId ? assignedUserId : null,
+        appointmentStatus: stored.cancelled ? 'confirmed' : null,
+      },
+      timezone
+    );
+    await save({ ...stored, start, end, staffUuid, assignedUserId, cancelled: false });
+    console.log(`Moved GHL appointment ${appointmentId} to ${start}: activity ${activity.uuid} changed in ServiceM8`);
+    return { status: 'updated', appointmentId };
+  }
+
+  return { config, get, applyGhlAppointment, applyServiceM8Activity };
+}
+
+module.exports = { resolveAppointments, readAppointmentWebhook, isCancelled, createAppointmentSync };
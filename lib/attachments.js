@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const convertHeic = require('heic-convert');
+const { JsonStore } = require('./store');
+
+const MB = 1024 * 1024;
+// Largest photo or document accepted, and largest video
+const MAX_ATTACHMENT_MB = parseInt(process.env.MAX_ATTACHMENT_MB, 10) || 20;
+const MAX_VIDEO_MB = parseInt(process.env.MAX_VIDEO_MB, 10) || 200;
+// Files transferred at the same time per job
+const ATTACHMENT_CONCURRENCY = parseInt(process.env.ATTACHMENT_CONCURRENCY, 10) || 3;
+// Where files wait between download and upload; each is deleted once handled
+const ATTACHMENT_TMP_DIR = process.env.ATTACHMENT_TMP_DIR || os.tmpdir();
+
+// File types ServiceM8 accepts as job attachments. HEIC/HEIF photos from
+// iPhones are converted to JPEG first because ServiceM8 cannot preview them.
+const ATTACHMENT_TYPES = {
+  'image/png': { extension: '.png', kind: 'image' },
+  'image/jpeg': { extension: '.jpg', kind: 'image' },
+  'image/jpg': { extension: '.jpg', kind: 'image' },
+  'image/gif': { extension: '.gif', kind: 'image' },
+  'image/webp': { extension: '.webp', kind: 'image' },
+  'image/heic': { extension: '.heic', kind: 'image', convertTo: 'image/jpeg' },
+  'image/heif': { extension: '.heif', kind: 'image', convertTo: 'image/jpeg' },
+  'application/pdf': { extension: '.pdf', kind: 'document' },
+  'video/mp4': { extension: '.mp4', kind: 'video' },
+  'video/quicktime': { extension: '.mov', kind: 'video' },
+  'video/webm': { extension: '.webm', kind: 'video' },
+  'video/3gpp': { extension: '.3gp', kind: 'video' },
+};
+
+function baseMime(mime) {
+  return (mime || '').split(';')[0].trim().toLowerCase();
+}
+
+function attachmentType(mime) {
+  return ATTACHMENT_TYPES[baseMime(mime)] || null;
+}
+
+function isSupportedType(mime) {
+  return Boolean(attachmentType(mime));
+}
+
+function getFileExtensionFromMime(mime) {
+  const type = attachmentType(mime);
+  return type ? type.extension : '.dat';
+}
+
+// ISO base media "ftyp" brands and the types they identify
+const FTYP_BRANDS = {
+  heic: 'image/heic',
+  heix: 'image/heic',
+  hevc: 'image/heic',
+  hevx: 'image/heic',
+  heim: 'image/heic',
+  heis: 'image/heic',
+  mif1: 'image/heif',
+  msf1: 'image/heif',
+  'qt  ': 'video/quicktime',
+};
+
+// Identify a file from its first bytes rather than trusting the name or the
+// declared type; resolves to one of the ATTACHMENT_TYPES MIME types or null
+function sniffMime(head) {
+  const ascii = (start, end) => head.subarray(start, end).toString('latin1');
+  if (head.length >= 8 && head.readUInt32BE(0) === 0x89504e47) return 'image/png';
+  if (head.length >= 3 && head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return 'image/jpeg';
+  if (ascii(0, 4) === 'GIF8') return 'image/gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(0, 5) === '%PDF-') return 'application/pdf';
+  if (head.length >= 4 && head.readUInt32BE(0) === 0x1a45dfa3) return 'video/webm';
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (FTYP_BRANDS[brand]) return FTYP_BRANDS[brand];
+    if (brand.startsWith('3g')) return 'video/3gpp';
+    return 'video/mp4';
+  }
+  return null;
+}
+
+async function sniffFile(filePath) {
+  const handle = await fsPromises.open(filePath, 'r');
+  try {
+    const { bytesRead, buffer } = await handle.read(Buffer.alloc(32), 0, 32, 0);
+    return sniffMime(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+}
+
+function maxBytesFor(type) {
+  return (type.kind === 'video' ? MAX_VIDEO_MB : MAX_ATTACHMENT_MB) * MB;
+}
+
+function withExtension(filename, extension) {
+  const parsed = path.parse(filename);
+  return `${parsed.name}${extension}`;
+}
+
+// Run fn over items with at most limit in flight; resolves to the results in order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Pass a stream through while hashing it, failing once it exceeds maxBytes
+function hashingLimiter(maxBytes) {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  const transform = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        callback(new Error(`file is larger than ${Math.round(maxBytes / MB)} MB`));
+        return;
+      }
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+  transform.result = () => ({ sha256: hash.digest('hex'), size });
+  return transform;
+}
+
+// Copies files onto ServiceM8 jobs. Each file is streamed to a temp file while
+// it is hashed and size-checked, then streamed up to ServiceM8 and the temp
+// file deleted. Uploads are recorded per job by content hash under the given
+// data subdirectory, so a retried transfer skips files that already made it
+// and reuses an attachment record whose upload was interrupted.
+function createAttachmentTransfer({ serviceM8Api, dir }) {
+  const store = new JsonStore(path.join(dir, 'attachments.json'), () => ({ jobs: {} }));
+  // Uploads in progress by job and hash, so identical files in one batch share one upload
+  const inFlight = new Map();
+
+  function getRecord(jobUuid, sha256) {
+    return store.read((data) => (data.jobs[jobUuid] && data.jobs[jobUuid][sha256]) || null);
+  }
+
+  function saveRecord(jobUuid, sha256, record) {
+    return store.update((data) => {
+      data.jobs[jobUuid] = data.jobs[jobUuid] || {};
+      data.jobs[jobUuid][sha256] = { ...data.jobs[jobUuid][sha256], ...record, updatedAt: new Date().toISOString() };
+    });
+  }
+
+  async function uploadOnce(jobUuid, { filename, mimetype, filePath, size, sha256 }) {
+    const existing = await getRecord(jobUuid, sha256);
+    if (existing && existing.status === 'uploaded') {
+      return { filename, status: 'duplicate', attachmentUuid: existing.attachmentUuid };
+    }
+
+    let attachmentUuid = existing && existing.attachmentUuid;
+    if (!attachmentUuid) {
+      const attachmentResponse = await serviceM8Api.post('/Attachment.json', {
+        related_object: 'job',
+        related_object_uuid: jobUuid,
+        attachment_name: filename,
+        file_type: getFileExtensionFromMime(mimetype),
+      });
+      attachmentUuid = attachmentResponse.headers['x-record-uuid'];
+      await saveRecord(jobUuid, sha256, { attachmentUuid, filename, status: 'created' });
+      console.log(`Created attachment record for job ${jobUuid}, UUID: ${attachmentUuid}`);
+    }
+
+    await serviceM8Api.put(`/Attachment/${attachmentUuid}.file`, fs.createReadStream(filePath), {
+      headers: { 'Content-Type': 'application/octet-stream', 'Content-Length': size },
+      maxBodyLength: Infinity,
+    });
+    await saveRecord(jobUuid, sha256, { status: 'uploaded' });
+    console.log(`Uploaded ${filename} (${size} bytes) to attachment ${attachmentUuid}`);
+    return { filename, status: 'uploaded', attachmentUuid };
+  }
+
+  function upload(jobUuid, file) {
+    const key = `${jobUuid}:${file.sha256}`;
+    if (inFlight.has(key)) {
+      return inFlight.get(key).then((result) => ({ ...result, filename: file.filename, status: 'duplicate' }));
+    }
+    const promise = uploadOnce(jobUuid, file).finally(() => inFlight.delete(key));
+    inFlight.set(key, promise);
+    return promise;
+  }
+
+  // file: { filename, mimetype, open: async () => ({ stream, contentType, contentLength }) }
+  // where contentType, when the source reports a usable one, overrides mimetype
+  async function transferOne(jobUuid, file) {
+    const tempPaths = [];
+    try {
+      const source = await file.open();
+      const sourceMime = baseMime(source.contentType);
+      const mimetype = attachmentType(sourceMime) ? sourceMime : baseMime(file.mimetype);
+      const type = attachmentType(mimetype);
+      if (!type) {
+        source.stream.destroy();
+        return { filename: file.filename, status: 'skipped', reason: `unsupported type ${mimetype}` };
+      }
+      const maxBytes = maxBytesFor(type);
+      if (source.contentLength && Number(source.contentLength) > maxBytes) {
+        source.stream.destroy();
+        return { filename: file.filename, status: 'skipped', reason: `larger than ${maxBytes / MB} MB` };
+      }
+
+      let filePath = path.join(ATTACHMENT_TMP_DIR, `attachment-${crypto.randomUUID()}`);
+      tempPaths.push(filePath);
+      const limiter = hashingLimiter(maxBytes);
+      await pipeline(source.stream, limiter, fs.createWriteStream(filePath));
+      const digest = limiter.result();
+      const { sha256 } = digest;
+      let { size } = digest;
+      if (size === 0) {
+        return { filename: file.filename, status: 'skipped', reason: 'empty file' };
+      }
+
+      let filename = file.filename;
+      let uploadMime = mimetype;
+      if (type.convertTo) {
+        // The hash stays that of the original so a retry still recognises it
+        const converted = await convertHeic({ buffer: await fsPromises.readFile(filePath), format: 'JPEG', quality: 0.9 });
+        filePath = `${filePath}.jpg`;
+        tempPaths.push(filePath);
+        await fsPromises.writeFile(filePath, converted);
+        size = converted.length;
+        filename = withExtension(filename, '.jpg');
+        uploadMime = type.convertTo;
+        console.log(`Converted ${file.filename} from ${mimetype} to ${uploadMime}`);
+      }
+
+      return await upload(jobUuid, { filename, mimetype: uploadMime, filePath, size, sha256 });
+    } catch (error) {
+      console.error(`Error transferring ${file.filename} to job ${jobUuid}:`, error.response ? error.response.data : error.message);
+      return { filename: file.filename, status: 'failed', reason: error.message };
+    } finally {
+      for (const tempPath of tempPaths) {
+        await fsPromises.unlink(tempPath).catch(() => {});
+      }
+    }
+  }
+
+  // Transfer files to the job, ATTACHMENT_CONCURRENCY at a time. A file that
+  // fails is reported in the results rather than failing the rest. The same
+  // content appearing twice in one batch is uploaded once.
+  async function transfer(jobUuid, files) {
+    const results = await mapWithConcurrency(files, ATTACHMENT_CONCURRENCY, (file) => transferOne(jobUuid, file));
+    const counts = {};
+    for (const result of results) counts[result.status] = (counts[result.status] || 0) + 1;
+    console.log(`Transferred files to job ${jobUuid}:`, JSON.stringify(counts));
+    return results;
+  }
+
+  return { transfer };
+}
+
+module.exports = {
+  ATTACHMENT_TYPES,
+  MAX_ATTACHMENT_MB,
+  isSupportedType,
+  getFileExtensionFromMime,
+  sniffFile,
+  mapWithConcurrency,
+  createAttachmentTransfer,
+};
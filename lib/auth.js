@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+
+// Constant-time comparison of a presented secret against the configured one
+function secretMatches(presented, expected) {
+  if (!presented || !expected) return false;
+  const presentedBuffer = Buffer.from(String(presented));
+  const expectedBuffer = Buffer.from(String(expected));
+  return presentedBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(presentedBuffer, expectedBuffer);
+}
+
+// Check an "X-Signature: sha256=<hex>" header against an HMAC of the raw body
+function signatureMatches(signatureHeader, rawBody, secret) {
+  if (!signatureHeader || !rawBody || !secret) return false;
+  const presented = String(signatureHeader).replace(/^sha256=/i, '');
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  return secretMatches(presented.toLowerCase(), expected);
+}
+
+// Authenticate inbound GHL workflow webhooks. GHL custom webhook actions can
+// send a static header, so either X-Webhook-Secret carrying the shared secret
+// or X-Signature carrying an HMAC of the raw body is accepted. A multipart body
+// is read by the upload parser, not here: its HMAC is computed as it streams
+// past and checked by verifyUploadSignature once the parser is done. Without a
+// configured secret every request is rejected unless ALLOW_UNSIGNED_WEBHOOKS=true.
+function requireWebhookSecret(getSecret) {
+  return (req, res, next) => {
+    const secret = getSecret(req);
+    if (!secret) {
+      if (process.env.ALLOW_UNSIGNED_WEBHOOKS !== 'true') {
+        console.error(`Rejected ${req.path}: no inbound webhook secret configured`);
+        return res.status(503).json({ error: 'Inbound webhook secret not configured' });
+      }
+      console.log(`Warning: accepting unauthenticated request to ${req.path} (ALLOW_UNSIGNED_WEBHOOKS is set)`);
+      return next();
+    }
+
+    const signature = req.get('x-signature');
+    if (secretMatches(req.get('x-webhook-secret'), secret) || signatureMatches(signature, req.rawBody, secret)) {
+      return next();
+    }
+    if (signature && req.is('multipart/form-data')) {
+      const hmac = crypto.createHmac('sha256', secret);
+      req.on('data', (chunk) => hmac.update(chunk));
+      // Listening for data starts the body flowing; pause it so no chunk goes
+      // by before the upload parser pipes the request
+      req.pause();
+      req.pendingSignature = { presented: String(signature).replace(/^sha256=/i, '').toLowerCase(), hmac };
+      return next();
+    }
+    console.log(`Rejected ${req.path}: invalid webhook secret or signature`);
+    return res.status(401).json({ error: 'Invalid webhook secret or signature' });
+  };
+}
+
+// Check the HMAC requireWebhookSecret started on a multipart body. Goes after
+// the upload parser, which has read the whole body by the time it calls next.
+function verifyUploadSignature(req, res, next) {
+  const pending = req.pendingSignature;
+  if (!pending) return next();
+  req.pendingSignature = null;
+  if (secretMatches(pending.presented, pending.hmac.digest('hex'))) return next();
+  console.log(`Rejected ${req.path}: invalid webhook signature`);
+  return res.status(401).json({ error: 'Invalid webhook secret or signature' });
+}
+
+// Protect operator-only endpoints with "Authorization: Bearer <ADMIN_TOKEN>"
+function requireAdminToken(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return res.status(503).json({ error: 'ADMIN_TOKEN not configured' });
+  }
+  const presented = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  if (!secretMatches(presented, adminToken)) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+  return next();
+}
+
+// Protect /metrics with "Authorization: Bearer <METRICS_TOKEN>" when one is set
+function requireMetricsToken(req, res, next) {
+  const metricsToken = process.env.METRICS_TOKEN;
+  if (!metricsToken) return next();
+  const presented = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  if (!secretMatches(presented, metricsToken)) {
+    return res.status(401).json({ error: 'Invalid metrics token' });
+  }
+  return next();
+}
+
+// The /test-* endpoints are open during development. In production they are
+// off unless ENABLE_TEST_ENDPOINTS=true, and then still need the admin token.
+function protectTestEndpoints(req, res, next) {
+  if (!IS_PRODUCTION) return next();
+  if (process.env.ENABLE_TEST_ENDPOINTS !== 'true') {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  return requireAdminToken(req, res, next);
+}
+
+module.exports = {
+  secretMatches,
+  signatureMatches,
+  requireWebhookSecret,
+  verifyUploadSignature,
+  requireAdminToken,
+  requireMetricsToken,
+  protectTestEndpoints,
+};
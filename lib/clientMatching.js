@@ -0,0 +1,251 @@
+const path = require('path');
+const { JsonStore } = require('./store');
+const { phoneKey } = require('./phone');
+
+// A score threshold from the environment; 0 is a valid setting
+function thresholdFromEnv(name, fallback) {
+  const parsed = parseFloat(process.env[name]);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+// Scores at or above this attach the submission to the matched client
+const CLIENT_MATCH_THRESHOLD = thresholdFromEnv('CLIENT_MATCH_THRESHOLD', 0.7);
+// Scores at or above this (but under the match threshold) are held for review;
+// anything lower creates a new client
+const CLIENT_REVIEW_THRESHOLD = thresholdFromEnv('CLIENT_REVIEW_THRESHOLD', 0.3);
+
+// Evidence a candidate client earns, summed and capped at 1. An email or
+// phone+name match is enough on its own; a name or address alone is not.
+const WEIGHTS = {
+  email: 0.7,
+  phone: 0.5,
+  name: 0.3,
+  similarName: 0.2,
+  address: 0.3,
+};
+// Minimum bigram similarity for two names to count as the same person
+const SIMILAR_NAME_MIN = 0.85;
+// Candidates returned alongside the decision, best first
+const MAX_CANDIDATES = 5;
+
+const ADDRESS_ABBREVIATIONS = {
+  street: 'st',
+  road: 'rd',
+  avenue: 'ave',
+  drive: 'dr',
+  court: 'ct',
+  place: 'pl',
+  crescent: 'cres',
+  parade: 'pde',
+  highway: 'hwy',
+  terrace: 'tce',
+  boulevard: 'blvd',
+  lane: 'ln',
+  queensland: 'qld',
+  'new south wales': 'nsw',
+  victoria: 'vic',
+};
+
+function normalizeEmail(email) {
+  return (email || '').trim().toLowerCase();
+}
+
+// Lowercased letters and digits only, with the words sorted so "Smith, John"
+// and "john smith" compare equal
+function normalizeName(name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .sort()
+    .join(' ');
+}
+
+function normalizeAddress(address) {
+  let normalized = ` ${(address || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ')} `;
+  for (const [word, abbreviation] of Object.entries(ADDRESS_ABBREVIATIONS)) {
+    normalized = normalized.replace(new RegExp(` ${word} `, 'g'), ` ${abbreviation} `);
+  }
+  return normalized.replace(/\s+/g, ' ').trim();
+}
+
+function bigrams(value) {
+  const grams = [];
+  for (let i = 0; i < value.length - 1; i++) grams.push(value.slice(i, i + 2));
+  return grams;
+}
+
+// Dice coefficient over character bigrams, 0..1
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const left = bigrams(a);
+  const right = bigrams(b);
+  if (left.length === 0 || right.length === 0) return 0;
+  const remaining = right.slice();
+  let shared = 0;
+  for (const gram of left) {
+    const index = remaining.indexOf(gram);
+    if (index !== -1) {
+      shared++;
+      remaining.splice(index, 1);
+    }
+  }
+  return (2 * shared) / (left.length + right.length);
+}
+
+function indexCompany(company) {
+  return {
+    uuid: company.uuid,
+    name: company.name || '',
+    active: Number(company.active) !== 0,
+    emails: [normalizeEmail(company.email)].filter(Boolean),
+    phones: [phoneKey(company.phone)].filter(Boolean),
+    names: [normalizeName(company.name)].filter(Boolean),
+    addresses: [normalizeAddress(company.address), normalizeAddress(company.billing_address)].filter(Boolean),
+  };
+}
+
+function indexContact(contact) {
+  return {
+    uuid: contact.uuid,
+    companyUuid: contact.company_uuid,
+    active: Number(contact.active) !== 0,
+    email: normalizeEmail(contact.email),
+    phones: [phoneKey(contact.phone), phoneKey(contact.mobile)].filter(Boolean),
+    name: normalizeName(`${contact.first || ''} ${contact.last || ''}`),
+  };
+}
+
+// Score one indexed client (company plus its contacts) against a submission
+function scoreClient(company, contacts, wanted) {
+  const emails = new Set([...company.emails, ...contacts.map((c) => c.email).filter(Boolean)]);
+  const phones = new Set([...company.phones, ...contacts.flatMap((c) => c.phones)]);
+  const names = [...company.names, ...contacts.map((c) => c.name).filter(Boolean)];
+
+  const reasons = [];
+  let score = 0;
+  if (wanted.email && emails.has(wanted.email)) {
+    score += WEIGHTS.email;
+    reasons.push('email');
+  }
+  if (wanted.phone && phones.has(wanted.phone)) {
+    score += WEIGHTS.phone;
+    reasons.push('phone');
+  }
+  if (wanted.name) {
+    const best = Math.max(0, ...names.map((name) => similarity(name, wanted.name)));
+    if (best === 1) {
+      score += WEIGHTS.name;
+      reasons.push('name');
+    } else if (best >= SIMILAR_NAME_MIN) {
+      score += WEIGHTS.similarName;
+      reasons.push('similar_name');
+    }
+  }
+  if (wanted.address && company.addresses.includes(wanted.address)) {
+    score += WEIGHTS.address;
+    reasons.push('address');
+  }
+  return { companyUuid: company.uuid, name: company.name, score: Math.min(1, Math.round(score * 100) / 100), reasons };
+}
+
+// Matches /ghl-create-job submissions to existing ServiceM8 clients using a
+// local index of companies and company contacts. The index is stored under the
+// given data subdirectory, built in full by the first match and then brought up
+// to date from the poller's edit_date windows by refresh(), which the server
+// calls every CLIENT_INDEX_REFRESH_CRON. Matches only read the index. Clients
+// created here are added with remember() so they match straight away.
+function createClientMatcher({ serviceM8Api, poller, dir, timezone }) {
+  const store = new JsonStore(path.join(dir, 'client-index.json'), () => ({ companies: {}, contacts: {} }));
+  let refreshing = null;
+
+  function upsert(companies, contacts) {
+    return store.update((data) => {
+      for (const company of companies) data.companies[company.uuid] = indexCompany(company);
+      for (const contact of contacts) data.contacts[contact.uuid] = indexContact(contact);
+    });
+  }
+
+  async function fetchRecords(filter) {
+    const params = filter ? { '$filter': filter } : {};
+    const [companiesResponse, contactsResponse] = await Promise.all([
+      serviceM8Api.get('/company.json', { params }),
+      serviceM8Api.get('/companycontact.json', { params }),
+    ]);
+    return [companiesResponse.data || [], contactsResponse.data || []];
+  }
+
+  async function update() {
+    if (!(await poller.getCursor('client-index'))) {
+      const startedAt = new Date().toISOString();
+      const [companies, contacts] = await fetchRecords(null);
+      await upsert(companies, contacts);
+      await poller.setCursor('client-index', startedAt);
+      console.log(`Built client index with ${companies.length} companies and ${contacts.length} contacts`);
+      return;
+    }
+    await poller.pollIncrementally('client-index', timezone, async (filter) => {
+      const [companies, contacts] = await fetchRecords(filter);
+      await upsert(companies, contacts);
+    });
+  }
+
+  // Bring the index up to date; callers arriving during a refresh share it
+  function refresh() {
+    if (!refreshing) refreshing = update().finally(() => (refreshing = null));
+    return refreshing;
+  }
+
+  // Add ServiceM8 companies and company contacts just created, in the shape
+  // ServiceM8 returns them
+  function remember({ companies = [], contacts = [] }) {
+    return upsert(companies, contacts);
+  }
+
+  // Resolves to { decision: 'match'|'review'|'new', best, candidates } where
+  // candidates are [{ companyUuid, name, score, reasons }], best first
+  async function match({ firstName, lastName, email, phone, address }) {
+    if (!(await poller.getCursor('client-index'))) await refresh();
+    const wanted = {
+      email: normalizeEmail(email),
+      phone: phoneKey(phone),
+      name: normalizeName(`${firstName || ''} ${lastName || ''}`),
+      address: normalizeAddress(address),
+    };
+
+    const candidates = await store.read((data) => {
+      const contactsByCompany = {};
+      for (const contact of Object.values(data.contacts)) {
+        if (!contact.active) continue;
+        (contactsByCompany[contact.companyUuid] = contactsByCompany[contact.companyUuid] || []).push(contact);
+      }
+      return Object.values(data.companies)
+        .filter((company) => company.active)
+        .map((company) => scoreClient(company, contactsByCompany[company.uuid] || [], wanted))
+        .filter((candidate) => candidate.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_CANDIDATES);
+    });
+
+    const best = candidates[0] || null;
+    let decision = 'new';
+    if (best && best.score >= CLIENT_MATCH_THRESHOLD) {
+      decision = 'match';
+    } else if (best && best.score >= CLIENT_REVIEW_THRESHOLD) {
+      decision = 'review';
+    }
+    return { decision, best, candidates };
+  }
+
+  return { refresh, remember, match };
+}
+
+module.exports = {
+  CLIENT_MATCH_THRESHOLD,
+  CLIENT_REVIEW_THRESHOLD,
+  normalizeEmail,
+  normalizeName,
+  createClientMatcher,
+};
@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const path = require('path');
+const moment = require('moment-timezone');
+const { JsonStore } = require('./store');
+const { normalizeEmail } = require('./clientMatching');
+const { parsePhone, formatForServiceM8, formatForGhl, phoneKey, PHONE_TYPE } = require('./phone');
+
+// Two-way sync between GHL contacts and their linked ServiceM8 company
+// contacts. Each tenant may configure:
+//
+//   "contactSync": {
+//     "createInServiceM8": true,
+//     "fields": { "email": "servicem8", "phone": "latest" }
+//   }
+//
+// Each field in SYNC_FIELDS follows a rule:
+//   latest     (default) the side that changed since the last sync wins; when
+//              both changed, the one edited most recently wins
+//   ghl        GHL is the source of truth and always wins
+//   servicem8  ServiceM8 is the source of truth and always wins
+// An empty field is filled from the other side rather than clearing it there.
+// createInServiceM8 creates a ServiceM8 client for a GHL contact that has no
+// link yet (when the client matcher finds no likely existing one); it is off
+// unless set. Without contactSync, or with "enabled": false, the tenant does
+// not sync contacts.
+
+// Canonical field -> where it lives on each side. ServiceM8 keeps names,
+// email and phone on the company contact and the address on the company.
+const SYNC_FIELDS = {
+  firstName: { ghl: 'firstName', record: 'contact', servicem8: 'first' },
+  lastName: { ghl: 'lastName', record: 'contact', servicem8: 'last' },
+  email: { ghl: 'email', record: 'contact', servicem8: 'email' },
+  // ServiceM8 has mobile and phone; either is read, and writes go to the one
+  // matching the number's type
+  phone: { ghl: 'phone', record: 'contact', servicem8: null },
+  address1: { ghl: 'address1', record: 'company', servicem8: 'billing_address' },
+  city: { ghl: 'city', record: 'company', servicem8: 'billing_city' },
+  state: { ghl: 'state', record: 'company', servicem8: 'billing_state' },
+  postalCode: { ghl: 'postalCode', record: 'company', servicem8: 'billing_postcode' },
+};
+const FIELD_RULES = ['latest', 'ghl', 'servicem8'];
+const SIDES = { GHL: 'ghl', SERVICEM8: 'servicem8' };
+
+// The tenant's contact sync config with defaults filled in, validated, or null
+// when it has none or sync is turned off
+function resolveContactSync(config) {
+  if (!config || config.enabled === false) return null;
+  const fields = {};
+  for (const name of Object.keys(SYNC_FIELDS)) fields[name] = 'latest';
+  for (const [name, rule] of Object.entries(config.fields || {})) {
+    if (!SYNC_FIELDS[name]) {
+      throw new Error(`contactSync.fields has unknown field "${name}"; known: ${Object.keys(SYNC_FIELDS).join(', ')}`);
+    }
+    if (!FIELD_RULES.includes(rule)) {
+      throw new Error(`contactSync.fields.${name} has unknown rule "${rule}"; expected one of ${FIELD_RULES.join(', ')}`);
+    }
+    fields[name] = rule;
+  }
+  return { createInServiceM8: config.createInServiceM8 === true, fields };
+}
+
+// Comparable form of a field value; '' when empty
+function normalize(name, value) {
+  if (value === null || value === undefined) return '';
+  if (name === 'email') return normalizeEmail(value);
+  if (name === 'phone') return phoneKey(String(value)) || '';
+  return String(value).trim().replace(/\s+/g, ' ');
+}
+
+function readGhl(contact) {
+  const values = {};
+  for (const [name, field] of Object.entries(SYNC_FIELDS)) values[name] = contact[field.ghl] || '';
+  return values;
+}
+
+function readServiceM8(contact, company) {
+  const values = {};
+  for (const [name, field] of Object.entries(SYNC_FIELDS)) {
+    const record = field.record === 'contact' ? contact : company;
+    values[name] = name === 'phone' ? contact.mobile || contact.phone || '' : record[field.servicem8] || '';
+  }
+  return values;
+}
+
+function fingerprint(values) {
+  const normalized = Object.keys(SYNC_FIELDS).map((name) => normalize(name, values[name]));
+  return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+}
+
+// Which side's value a field takes: { winner: 'ghl'|'servicem8'|null, conflict }
+function resolveField(name, ghlValue, servicem8Value, baseline, rule, editedAt) {
+  const g = normalize(name, ghlValue);
+  const s = normalize(name, servicem8Value);
+  if (g === s) return { winner: null, conflict: false };
+  if (!g) return { winner: SIDES.SERVICEM8, conflict: false };
+  if (!s) return { winner: SIDES.GHL, conflict: false };
+  if (rule !== 'latest') return { winner: rule, conflict: false };
+  if (baseline !== undefined && s === baseline) return { winner: SIDES.GHL, conflict: false };
+  if (baseline !== undefined && g === baseline) return { winner: SIDES.SERVICEM8, conflict: false };
+  // Both sides changed since the last sync, or the pair was never synced
+  const ghlTime = editedAt.ghl || 0;
+  const servicem8Time = editedAt[SIDES.SERVICEM8] || 0;
+  return { winner: ghlTime >= servicem8Time ? SIDES.GHL : SIDES.SERVICEM8, conflict: true };
+}
+
+function ghlValue(name, value) {
+  if (name !== 'phone') return value;
+  const parsed = parsePhone(value, { allowInternational: true });
+  return parsed ? formatForGhl(parsed) : value;
+}
+
+// Set the phone on a ServiceM8 contact update: mobiles to mobile, others to
+// phone. The other field is cleared so an old number is not read back later.
+function assignServiceM8Phone(update, value) {
+  const parsed = parsePhone(value, { allowInternational: true });
+  if (parsed && parsed.type === PHONE_TYPE.MOBILE) {
+    update.mobile = formatForServiceM8(parsed);
+    update.phone = '';
+  } else {
+    update.phone = parsed ? formatForServiceM8(parsed) : value;
+    update.mobile = '';
+  }
+}
+
+// Keeps linked GHL and ServiceM8 contacts in step. For every linked pair it
+// stores, under the given data subdirectory, the values both sides last agreed
+// on, which side changed each field and when, and a fingerprint of each write
+// it made. A change event whose values match the fingerprint of our own last
+// write to that side is our write coming back and is ignored, so updates do
+// not bounce between the systems.
+function createContactSync({ serviceM8Api, ghl, links, dir, timezone, config }) {
+  const store = new JsonStore(path.join(dir, 'contact-sync.json'), () => ({ pairs: {} }));
+
+  function getPair(ghlContactId) {
+    return store.read((data) => data.pairs[ghlContactId] || null);
+  }
+
+  function savePair(ghlContactId, pair) {
+    return store.update((data) => {
+      data.pairs[ghlContactId] = { ...pair, updatedAt: new Date().toISOString() };
+    });
+  }
+
+  async function readPair(link) {
+    const companyContactUuid = link.companyContactUuids[link.companyContactUuids.length - 1];
+    const [ghlContact, contactResponse] = await Promise.all([
+      ghl.getContact(link.ghlContactId),
+      serviceM8Api.get(`/companycontact/${companyContactUuid}.json`),
+    ]);
+    const contact = contactResponse.data;
+    const companyUuid = contact.company_uuid || link.companyUuid;
+    const companyResponse = await serviceM8Api.get(`/company/${companyUuid}.json`);
+    return { ghlContact, contact, company: companyResponse.data || {} };
+  }
+
+  function editTime(stamp, zone) {
+    if (!stamp || String(stamp).startsWith('0000-00-00')) return 0;
+    return zone ? moment.tz(stamp, zone).valueOf() : Date.parse(stamp) || 0;
+  }
+
+  // Bring one linked pair into step. origin says which side reported a change
+  // ('ghl' or 'servicem8'), or null for a reconciliation pass. Resolves to
+  // { status: 'unlinked'|'echo'|'in_sync'|'updated', ghl: [fields], servicem8: [fields], conflicts: [fields],
+  //   differences: { field: { ghl, servicem8 } } }
+  // where ghl and servicem8 list the fields written to that side. dryRun works
+  // out the same result without writing to either side or the stored pair.
+  async function syncLinked(ghlContactId, { origin = null, dryRun = false } = {}) {
+    const link = await links.get(ghlContactId);
+    if (!link || link.companyContactUuids.length === 0) {
+      return { status: 'unlinked', ghl: [], servicem8: [], conflicts: [] };
+    }
+    const { ghlContact, contact, company } = await readPair(link);
+    const values = { ghl: readGhl(ghlContact), servicem8: readServiceM8(contact, company) };
+    const pair = (await getPair(ghlContactId)) || { baseline: {}, fields: {}, echo: {} };
+
+    if (origin && pair.echo[origin] && pair.echo[origin] === fingerprint(values[origin])) {
+      console.log(`Contact change on ${origin} for GHL contact ${ghlContactId} is our own write, ignoring`);
+      return { status: 'echo', ghl: [], servicem8: [], conflicts: [] };
+    }
+
+    const now = new Date().toISOString();
+    const ghlEditedAt = editTime(ghlContact.dateUpdated || ghlContact.dateAdded);
+    const ghlUpdate = {};
+    const contactUpdate = {};
+    const companyUpdate = {};
+    const result = { status: 'in_sync', ghl: [], servicem8: [], conflicts: [], differences: {} };
+    for (const [name, field] of Object.entries(SYNC_FIELDS)) {
+      const editedAt = {
+        ghl: ghlEditedAt,
+        servicem8: editTime((field.record === 'contact' ? contact : company).edit_date, timezone),
+      };
+      const { winner, conflict } = resolveField(
+        name,
+        values.ghl[name],
+        values.servicem8[name],
+        pair.baseline[name],
+        config.fields[name],
+        editedAt
+      );
+      if (conflict) result.conflicts.push(name);
+      if (!winner) {
+        pair.baseline[name] = normalize(name, values.ghl[name]);
+        continue;
+      }
+      result.differences[name] = { ghl: values.ghl[name], servicem8: values.servicem8[name] };
+      const value = values[winner][name];
+      if (winner === SIDES.SERVICEM8) {
+        ghlUpdate[field.ghl] = ghlValue(name, value);
+        result.ghl.push(name);
+      } else if (name === 'phone') {
+        assignServiceM8Phone(contactUpdate, value);
+        result.servicem8.push(name);
+      } else {
+        (field.record === 'contact' ? contactUpdate : companyUpdate)[field.servicem8] = value;
+        result.servicem8.push(name);
+      }
+      values[winner === SIDES.GHL ? SIDES.SERVICEM8 : SIDES.GHL][name] = value;
+      pair.baseline[name] = normalize(name, value);
+      pair.fields[name] = { changedBy: winner, changedAt: now, conflict };
+    }
+
+    if (result.ghl.length > 0 || result.servicem8.length > 0) result.status = 'updated';
+    if (dryRun) return result;
+
+    if (result.ghl.length > 0) {
+      await ghl.updateContact(ghlContactId, ghlUpdate);
+      pair.echo.ghl = fingerprint(values.ghl);
+    }
+    if (Object.keys(contactUpdate).length > 0) {
+      await serviceM8Api.post(`/companycontact/${contact.uuid}.json`, contactUpdate);
+    }
+    if (Object.keys(companyUpdate).length > 0) {
+      await serviceM8Api.post(`/company/${company.uuid}.json`, companyUpdate);
+    }
+    if (result.servicem8.length > 0) {
+      pair.echo.servicem8 = fingerprint(values.servicem8);
+    }
+    await savePair(ghlContactId, { ...pair, companyContactUuid: contact.uuid, companyUuid: company.uuid, syncedAt: now });
+
+    if (result.status === 'updated') {
+      console.log(
+        `Synced contact ${ghlContactId}: to GHL [${result.ghl.join(', ')}], to ServiceM8 [${result.servicem8.join(', ')}]` +
+          (result.conflicts.length > 0 ? `, conflicts [${result.conflicts.join(', ')}]` : '')
+      );
+    }
+    return result;
+  }
+
+  // Create a ServiceM8 client for a GHL contact with no link, attaching it to
+  // an existing client when the matcher is confident. Resolves to
+  // { status: 'created'|'matched'|'review'|'skipped', companyUuid, companyContactUuid }.
+  async function importGhlContact(ghlContactId, clientMatcher) {
+    const ghlContact = await ghl.getContact(ghlContactId);
+    const values = readGhl(ghlContact);
+    const name = `${values.firstName} ${values.lastName}`.trim();
+    if (!name && !values.email) {
+      return { status: 'skipped' };
+    }
+    const { decision, best } = await clientMatcher.match({ ...values, address: values.address1 });
+    if (decision === 'review') {
+      console.log(`GHL contact ${ghlContactId} may be existing client ${best.companyUuid} (score ${best.score}), not importing`);
+      return { status: 'review', companyUuid: best.companyUuid };
+    }
+
+    let companyUuid = decision === 'match' ? best.companyUuid : null;
+    if (!companyUuid) {
+      const companyData = {
+        name: name || values.email,
+        billing_address: values.address1,
+        billing_city: values.city,
+        billing_state: values.state,
+        billing_postcode: values.postalCode,
+      };
+      const companyResponse = await serviceM8Api.post('/company.json', companyData);
+      companyUuid = companyResponse.headers['x-record-uuid'];
+      await clientMatcher.remember({ companies: [{ uuid: companyUuid, ...companyData }] });
+    }
+
+    let companyContactUuid = null;
+    if (decision === 'match') {
+      const contactsResponse = await serviceM8Api.get('/companycontact.json', {
+        params: { '$filter': `company_uuid eq '${companyUuid}'` },
+      });
+      const email = normalizeEmail(values.email);
+      const phone = phoneKey(values.phone);
+      const existing = (contactsResponse.data || []).find(
+        (c) => (email && normalizeEmail(c.email) === email) || (phone && [phoneKey(c.mobile), phoneKey(c.phone)].includes(phone))
+      );
+      companyContactUuid = existing ? existing.uuid : null;
+    }
+    if (!companyContactUuid) {
+      const contactData = { company_uuid: companyUuid, first: values.firstName, last: values.lastName, email: values.email };
+      if (values.phone) assignServiceM8Phone(contactData, values.phone);
+      const contactResponse = await serviceM8Api.post('/companycontact.json', contactData);
+      companyContactUuid = contactResponse.headers['x-record-uuid'];
+      await clientMatcher.remember({ contacts: [{ uuid: companyContactUuid, ...contactData }] });
+    }
+
+    await links.link(ghlContactId, { companyUuid, companyContactUuid }, 'contact_sync');
+    console.log(`Imported GHL contact ${ghlContactId} into ServiceM8 client ${companyUuid}, contact ${companyContactUuid}`);
+    return { status: decision === 'match' ? 'matched' : 'created', companyUuid, companyContactUuid };
+  }
+
+  return { config, syncLinked, importGhlContact, getPair };
+}
+
+module.exports = { SYNC_FIELDS, resolveContactSync, resolveField, createContactSync };
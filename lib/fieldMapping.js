@@ -0,0 +1,245 @@
+// Declarative field mapping between GHL contacts and ServiceM8 records. A
+// mapping config has one rule list per direction:
+//
+//   {
+//     "ghlToServiceM8": [
+//       { "from": "customField.message", "to": "job.job_description", "label": "Message" },
+//       { "from": "contact.source", "to": "jobCustomField.Lead_Source", "transform": ["trim", "uppercase"] }
+//     ],
+//     "serviceM8ToGhl": [
+//       { "from": "company.billing_city", "to": "contact.city" }
+//     ]
+//   }
+//
+// Fields are written "<record>.<field>":
+//   GHL:       contact.<field> (standard contact field), customField.<key|name|id>
+//   ServiceM8: job.<field>, jobCustomField.<name> (sent as customfield_<name>),
+//              contact.<field> (company contact and job contact), company.<field>
+// ghlToServiceM8 rules may also read input.<field> from the /ghl-create-job
+// submission. A rule's "from" may be a list, in which case the first non-empty
+// value wins. Optional "transform" (a name or list of names, applied in order),
+// "default" (used when the source is empty) and "label" (written as
+// "<label>: <value>"). Rules writing the same target are joined with newlines,
+// in order. A direction left out of a tenant's config uses the default rules.
+
+const { parsePhone, formatForServiceM8, formatForGhl } = require('./phone');
+
+const DEFAULT_MAPPING = {
+  ghlToServiceM8: [
+    // J2Bl5y1wz6iBQEyC4wtY is the ID of the original account's Message field
+    {
+      from: ['customField.message', 'customField.J2Bl5y1wz6iBQEyC4wtY'],
+      to: 'job.job_description',
+      label: 'Message',
+      transform: 'first',
+    },
+    { from: 'input.ghlContactId', to: 'job.job_description', label: 'GHL Contact ID' },
+    { from: 'input.jobDescription', to: 'job.job_description' },
+    { from: 'input.address', to: 'job.job_address' },
+  ],
+  serviceM8ToGhl: [
+    { from: 'contact.first', to: 'contact.firstName' },
+    { from: 'contact.last', to: 'contact.lastName' },
+    { from: 'contact.email', to: 'contact.email' },
+    { from: ['contact.mobile', 'contact.phone'], to: 'contact.phone', transform: 'ghlPhone' },
+    { from: 'company.billing_address', to: 'contact.address1' },
+    { from: 'company.billing_city', to: 'contact.city' },
+    { from: 'company.billing_state', to: 'contact.state' },
+    { from: 'company.billing_postcode', to: 'contact.postalCode' },
+  ],
+};
+
+const TRANSFORMS = {
+  trim: (value) => (typeof value === 'string' ? value.trim() : value),
+  lowercase: (value) => (typeof value === 'string' ? value.toLowerCase() : value),
+  uppercase: (value) => (typeof value === 'string' ? value.toUpperCase() : value),
+  // Multi-value fields (checkboxes, multi-selects) arrive as arrays
+  first: (value) => (Array.isArray(value) ? value[0] : value),
+  join: (value) => (Array.isArray(value) ? value.join(', ') : value),
+  digits: (value) => (value === null || value === undefined ? value : String(value).replace(/\D/g, '')),
+  string: (value) => (value === null || value === undefined ? value : String(value)),
+  // Phone numbers as each system stores them (see lib/phone.js); numbers that
+  // do not parse pass through unchanged
+  ghlPhone: (value) => {
+    const parsed = parsePhone(value, { allowInternational: true });
+    return parsed ? formatForGhl(parsed) : value;
+  },
+  servicem8Phone: (value) => {
+    const parsed = parsePhone(value, { allowInternational: true });
+    return parsed ? formatForServiceM8(parsed) : value;
+  },
+};
+
+// Records each direction may read from and write to
+const RECORDS = {
+  ghlToServiceM8: {
+    from: ['contact', 'customField', 'input'],
+    to: ['job', 'jobCustomField', 'contact', 'company'],
+  },
+  serviceM8ToGhl: {
+    from: ['contact', 'company'],
+    to: ['contact', 'customField'],
+  },
+};
+
+function splitField(field) {
+  const dot = typeof field === 'string' ? field.indexOf('.') : -1;
+  if (dot <= 0 || dot === field.length - 1) return null;
+  return { record: field.slice(0, dot), name: field.slice(dot + 1) };
+}
+
+function asList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+// Throw on the first rule that names an unknown record, field or transform
+function validateRules(direction, rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error(`Field mapping ${direction} must be a list of rules`);
+  }
+  rules.forEach((rule, index) => {
+    const where = `Field mapping ${direction}[${index}]`;
+    const sources = asList(rule.from);
+    if (sources.length === 0) {
+      throw new Error(`${where} has no "from"`);
+    }
+    for (const source of sources) {
+      const parsed = splitField(source);
+      if (!parsed || !RECORDS[direction].from.includes(parsed.record)) {
+        throw new Error(`${where} reads "${source}"; expected one of ${RECORDS[direction].from.join(', ')} followed by .<field>`);
+      }
+    }
+    const target = splitField(rule.to);
+    if (!target || !RECORDS[direction].to.includes(target.record)) {
+      throw new Error(`${where} writes "${rule.to}"; expected one of ${RECORDS[direction].to.join(', ')} followed by .<field>`);
+    }
+    for (const name of asList(rule.transform)) {
+      if (!TRANSFORMS[name]) {
+        throw new Error(`${where} uses unknown transform "${name}"; known: ${Object.keys(TRANSFORMS).join(', ')}`);
+      }
+    }
+  });
+}
+
+// The tenant's mapping config merged over the defaults, validated
+function resolveMapping(config = {}) {
+  const mapping = {
+    ghlToServiceM8: config.ghlToServiceM8 || DEFAULT_MAPPING.ghlToServiceM8,
+    serviceM8ToGhl: config.serviceM8ToGhl || DEFAULT_MAPPING.serviceM8ToGhl,
+  };
+  validateRules('ghlToServiceM8', mapping.ghlToServiceM8);
+  validateRules('serviceM8ToGhl', mapping.serviceM8ToGhl);
+  return mapping;
+}
+
+// Whether a GHL custom field (as returned by getContactCustomFields or
+// getCustomFieldDefinitions) is the one a rule refers to by key, name or ID
+function customFieldMatches(field, ref) {
+  const wanted = ref.toLowerCase();
+  const fieldKey = (field.fieldKey || '').toLowerCase();
+  return (
+    field.id === ref ||
+    fieldKey === wanted ||
+    fieldKey === `contact.${wanted}` ||
+    (field.name || '').toLowerCase() === wanted
+  );
+}
+
+function applyRule(rule, readField) {
+  let value;
+  for (const source of asList(rule.from)) {
+    value = readField(splitField(source));
+    if (!isEmpty(value)) break;
+  }
+  for (const name of asList(rule.transform)) {
+    value = TRANSFORMS[name](value);
+  }
+  if (isEmpty(value)) value = rule.default;
+  if (isEmpty(value)) return undefined;
+  return rule.label ? `${rule.label}: ${value}` : value;
+}
+
+// Collect rule values per target, joining repeated targets with newlines
+function collect(rules, readField) {
+  const values = new Map();
+  for (const rule of rules) {
+    const value = applyRule(rule, readField);
+    if (value === undefined) continue;
+    values.set(rule.to, values.has(rule.to) ? `${values.get(rule.to)}\n${value}` : value);
+  }
+  return values;
+}
+
+// Map a GHL contact (with its resolved custom fields) and the inbound
+// submission onto ServiceM8 payloads:
+//   { job, contact, company }
+// where job carries job custom fields as customfield_<name>.
+function mapGhlToServiceM8(rules, { contact = {}, customFields = [], input = {} }) {
+  const values = collect(rules, ({ record, name }) => {
+    if (record === 'contact') return contact[name];
+    if (record === 'input') return input[name];
+    const field = customFields.find((f) => customFieldMatches(f, name));
+    return field ? field.value : undefined;
+  });
+
+  const payload = { job: {}, contact: {}, company: {} };
+  for (const [target, value] of values) {
+    const { record, name } = splitField(target);
+    if (record === 'jobCustomField') {
+      payload.job[`customfield_${name}`] = value;
+    } else {
+      payload[record][name] = value;
+    }
+  }
+  return payload;
+}
+
+// Map a ServiceM8 company contact and its company onto a GHL contact body.
+// Custom field targets are resolved to IDs through the client's field
+// definitions and returned as customFields: [{ id, value }]; targets that do
+// not exist in the location are listed in unresolved.
+async function mapServiceM8ToGhl(rules, { contact = {}, company = {} }, ghl) {
+  const values = collect(rules, ({ record, name }) => (record === 'contact' ? contact[name] : company[name]));
+
+  const body = {};
+  const customFields = [];
+  const unresolved = [];
+  let definitions = null;
+  for (const [target, value] of values) {
+    const { record, name } = splitField(target);
+    if (record === 'contact') {
+      body[name] = value;
+      continue;
+    }
+    if (!definitions) definitions = await ghl.getCustomFieldDefinitions();
+    const definition = definitions.find((d) => customFieldMatches(d, name));
+    if (definition) {
+      customFields.push({ id: definition.id, value });
+    } else {
+      unresolved.push(target);
+    }
+  }
+  if (customFields.length > 0) body.customFields = customFields;
+  return { body, unresolved };
+}
+
+// Read a GHL contact and its named custom field values for mapping
+async function readGhlContact(ghl, ghlContactId) {
+  const contact = await ghl.getContact(ghlContactId);
+  const customFields = await ghl.getContactCustomFields(contact);
+  return { contact, customFields };
+}
+
+module.exports = {
+  DEFAULT_MAPPING,
+  resolveMapping,
+  mapGhlToServiceM8,
+  mapServiceM8ToGhl,
+  readGhlContact,
+  customFieldMatches,
+};
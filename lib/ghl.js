@@ -0,0 +1,370 @@
+const axios = require('axios');
+const { JsonStore } = require('./store');
+const { createApiClient } = require('./apiClient');
+
+const V1_BASE_URL = 'https://rest.gohighlevel.com/v1';
+const V2_BASE_URL = 'https://services.leadconnectorhq.com';
+const V2_API_VERSION = '2021-07-28';
+// Refresh the access token when it has less than this long left
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// OAuth tokens per GHL location
+const tokenStore = new JsonStore('ghl-tokens.json', () => ({ locations: {} }));
+
+function getStoredToken(locationId) {
+  return tokenStore.read((data) => data.locations[locationId] || null);
+}
+
+function saveToken(locationId, tokenResponse) {
+  const token = {
+    accessToken: tokenResponse.access_token,
+    refreshToken: tokenResponse.refresh_token,
+    expiresAt: Date.now() + (tokenResponse.expires_in || 0) * 1000,
+    scope: tokenResponse.scope || null,
+    updatedAt: new Date().toISOString(),
+  };
+  return tokenStore.update((data) => {
+    data.locations[locationId] = token;
+    return token;
+  });
+}
+
+async function requestToken(params) {
+  const response = await axios.post(`${V2_BASE_URL}/oauth/token`, new URLSearchParams(params).toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+  });
+  return response.data;
+}
+
+// Exchange the code from the marketplace install redirect for location tokens
+async function exchangeAuthorizationCode({ clientId, clientSecret, redirectUri }, code) {
+  const tokenResponse = await requestToken({
+    client_id: clientId,
+    client_secret: clientSecret,
+    grant_type: 'authorization_code',
+    code,
+    user_type: 'Location',
+    redirect_uri: redirectUri,
+  });
+  if (!tokenResponse.locationId) {
+    throw new Error('GHL token response did not include a locationId');
+  }
+  await saveToken(tokenResponse.locationId, tokenResponse);
+  console.log(`Stored GHL OAuth tokens for location ${tokenResponse.locationId}`);
+  return tokenResponse.locationId;
+}
+
+// Flatten the custom field list from either API version into [{ id, value }]
+function rawCustomFields(contact) {
+  let fields = contact.customFields || contact.customField || contact.custom_fields || contact.fields || [];
+  if (!Array.isArray(fields)) {
+    fields = Object.values(fields).filter((f) => f && typeof f === 'object');
+  }
+  return fields;
+}
+
+// GHL client for one location. Speaks the v1 REST API with a static API key or
+// LeadConnector v2 with location-scoped OAuth, and exposes the same contact
+// operations either way:
+//   config = { apiVersion: 'v1'|'v2', apiKey, locationId, clientId, clientSecret, refreshToken }
+function createGhlClient(config) {
+  const apiVersion = config.apiVersion === 'v2' ? 'v2' : 'v1';
+  let customFieldDefinitions = null;
+  let refreshing = null;
+
+  const api = createApiClient('ghl', {
+    baseURL: apiVersion === 'v2' ? V2_BASE_URL : V1_BASE_URL,
+    headers: apiVersion === 'v2' ? { Accept: 'application/json', Version: V2_API_VERSION } : { Accept: 'application/json' },
+  });
+
+  // Refresh the location's access token, sharing one refresh between concurrent callers
+  function refreshAccessToken() {
+    if (!refreshing) {
+      refreshing = (async () => {
+        const stored = await getStoredToken(config.locationId);
+        const refreshToken = (stored && stored.refreshToken) || config.refreshToken;
+        if (!refreshToken) {
+          throw new Error(`No GHL OAuth token for location ${config.locationId}; install the app or set GHL_REFRESH_TOKEN`);
+        }
+        const tokenResponse = await requestToken({
+          client_id: config.clientId,
+          client_secret: config.clientSecret,
+          grant_type: 'refresh_token',
+          refresh_token: refreshToken,
+          user_type: 'Location',
+        });
+        console.log(`Refreshed GHL access token for location ${config.locationId}`);
+        return saveToken(config.locationId, tokenResponse);
+      })().finally(() => {
+        refreshing = null;
+      });
+    }
+    return refreshing;
+  }
+
+  async function getAccessToken() {
+    if (apiVersion === 'v1') return config.apiKey;
+    const stored = await getStoredToken(config.locationId);
+    if (stored && stored.accessToken && stored.expiresAt - Date.now() > TOKEN_REFRESH_MARGIN_MS) {
+      return stored.accessToken;
+    }
+    return (await refreshAccessToken()).accessToken;
+  }
+
+  api.interceptors.request.use(async (request) => {
+    request.headers.Authorization = `Bearer ${await getAccessToken()}`;
+    return request;
+  });
+
+  // A v2 token can be revoked before it expires; refresh once and retry
+  api.interceptors.response.use(null, async (error) => {
+    const request = error.config;
+    if (apiVersion === 'v2' && error.response && error.response.status === 401 && request && !request.retriedAfterRefresh) {
+      request.retriedAfterRefresh = true;
+      await refreshAccessToken();
+      return api.request(request);
+    }
+    throw error;
+  });
+
+  async function findContactByEmail(email) {
+    const normalizedEmail = (email || '').toLowerCase().trim();
+    if (!normalizedEmail) return null;
+    if (apiVersion === 'v2') {
+      const response = await api.get('/contacts/search/duplicate', {
+        params: { locationId: config.locationId, email: normalizedEmail },
+      });
+      return response.data.contact || null;
+    }
+    const response = await api.get('/contacts/', { params: { query: normalizedEmail } });
+    return (
+      (response.data.contacts || []).find((c) => (c.email || '').toLowerCase().trim() === normalizedEmail) || null
+    );
+  }
+
+  // phone in E.164, as GHL stores it
+  async function findContactByPhone(phone) {
+    if (!phone) return null;
+    if (apiVersion === 'v2') {
+      const response = await api.get('/contacts/search/duplicate', {
+        params: { locationId: config.locationId, number: phone },
+      });
+      return response.data.contact || null;
+    }
+    try {
+      const response = await api.get('/contacts/lookup', { params: { phone } });
+      return (response.data.contacts || [])[0] || null;
+    } catch (error) {
+      // v1 answers a lookup with no match as 422
+      if (error.response && error.response.status === 422) return null;
+      throw error;
+    }
+  }
+
+  // contact.customFields, if present, is [{ id, value }] and is converted to
+  // the shape the API version expects
+  async function createContact(contact) {
+    const { customFields, ...fields } = contact;
+    const body = apiVersion === 'v2' ? { ...fields, locationId: config.locationId } : fields;
+    if (customFields && customFields.length > 0) {
+      if (apiVersion === 'v2') {
+        body.customFields = customFields.map(({ id, value }) => ({ id, field_value: value }));
+      } else {
+        body.customField = Object.fromEntries(customFields.map(({ id, value }) => [id, value]));
+      }
+    }
+    const response = await api.post('/contacts/', body);
+    return response.data.contact;
+  }
+
+  // Change standard fields (firstName, email, phone, address1, ...) on a contact
+  async function updateContact(contactId, fields) {
+    const response = await api.put(`/contacts/${contactId}`, fields);
+    return response.data.contact;
+  }
+
+  // Contacts added at or after since (a Date), newest first. GHL lists contacts
+  // newest first, so paging stops at the first page that reaches past since.
+  async function listContactsAddedSince(since) {
+    const contacts = [];
+    let page = {};
+    for (;;) {
+      const params = { limit: 100, ...page };
+      if (apiVersion === 'v2') params.locationId = config.locationId;
+      const response = await api.get('/contacts/', { params });
+      const batch = response.data.contacts || [];
+      const recent = batch.filter((contact) => new Date(contact.dateAdded) >= since);
+      contacts.push(...recent);
+      const meta = response.data.meta || {};
+      if (batch.length === 0 || recent.length < batch.length || !meta.startAfterId) break;
+      page = { startAfter: meta.startAfter, startAfterId: meta.startAfterId };
+    }
+    return contacts;
+  }
+
+  async function getContact(contactId) {
+    const response = await api.get(`/contacts/${contactId}`);
+    return response.data.contact;
+  }
+
+  // Custom field definitions for the location: [{ id, name, fieldKey, dataType }]
+  async function getCustomFieldDefinitions() {
+    if (customFieldDefinitions) return customFieldDefinitions;
+    const response =
+      apiVersion === 'v2'
+        ? await api.get(`/locations/${config.locationId}/customFields`)
+        : await api.get('/custom-fields/');
+    customFieldDefinitions = (response.data.customFields || []).map((field) => ({
+      id: field.id,
+      name: field.name,
+      fieldKey: field.fieldKey,
+      dataType: field.dataType,
+    }));
+    return customFieldDefinitions;
+  }
+
+  // The contact's custom field values with their names resolved:
+  // [{ id, name, fieldKey, value }]. Falls back to whatever the contact carries
+  // when the definitions cannot be fetched.
+  async function getContactCustomFields(contact) {
+    let definitions = [];
+    try {
+      definitions = await getCustomFieldDefinitions();
+    } catch (error) {
+      console.error('Error fetching GHL custom field definitions:', error.response ? error.response.data : error.message);
+    }
+    return rawCustomFields(contact).map((field) => {
+      const definition = definitions.find((d) => d.id === field.id) || {};
+      return {
+        id: field.id,
+        name: definition.name || field.name || field.label || null,
+        fieldKey: definition.fieldKey || field.fieldKey || null,
+        value: field.value !== undefined ? field.value : field.field_value !== undefined ? field.field_value : field.values,
+      };
+    });
+  }
+
+  async function listContactAttachments(contactId) {
+    const response = await api.get(`/contacts/${contactId}/attachments`);
+    return response.data.attachments || [];
+  }
+
+  // Stream a file uploaded to the contact, by document ID with the raw URL as
+  // fallback. Downloads go through the rate-limited client but bypass the GET
+  // memo, as a stream can only be read once.
+  async function downloadFile({ documentId, url }) {
+    try {
+      return await api.request({ method: 'get', url: `${V2_BASE_URL}/documents/download/${documentId}`, responseType: 'stream' });
+    } catch (primaryError) {
+      console.log(`Primary download failed for ${url}:`, primaryError.response ? primaryError.response.status : primaryError.message);
+      return api.request({ method: 'get', url, responseType: 'stream' });
+    }
+  }
+
+  // The contact's opportunity in the given pipeline, or null
+  async function findOpportunity(contactId, pipelineId) {
+    if (apiVersion === 'v2') {
+      const response = await api.get('/opportunities/search', {
+        params: { location_id: config.locationId, contact_id: contactId, pipeline_id: pipelineId },
+      });
+      return (response.data.opportunities || [])[0] || null;
+    }
+    const response = await api.get(`/pipelines/${pipelineId}/opportunities`, { params: { contact_id: contactId } });
+    return (
+      (response.data.opportunities || []).find((o) => (o.contact && o.contact.id) === contactId || o.contactId === contactId) ||
+      null
+    );
+  }
+
+  // Move the contact's opportunity in the pipeline to a stage, creating the
+  // opportunity if the contact has none there yet
+  async function moveOpportunity({ contactId, pipelineId, stageId, status, name }) {
+    const existing = await findOpportunity(contactId, pipelineId);
+    if (apiVersion === 'v2') {
+      if (existing) {
+        const response = await api.put(`/opportunities/${existing.id}`, {
+          pipelineId,
+          pipelineStageId: stageId,
+          ...(status ? { status } : {}),
+        });
+        return response.data.opportunity;
+      }
+      const response = await api.post('/opportunities/', {
+        locationId: config.locationId,
+        contactId,
+        pipelineId,
+        pipelineStageId: stageId,
+        name,
+        status: status || 'open',
+      });
+      return response.data.opportunity;
+    }
+    const body = {
+      title: existing ? existing.name || name : name,
+      stageId,
+      status: status || (existing && existing.status) || 'open',
+      contactId,
+    };
+    const response = existing
+      ? await api.put(`/pipelines/${pipelineId}/opportunities/${existing.id}`, body)
+      : await api.post(`/pipelines/${pipelineId}/opportunities/`, body);
+    return response.data;
+  }
+
+  async function addContactTags(contactId, tags) {
+    await api.post(`/contacts/${contactId}/tags${apiVersion === 'v2' ? '' : '/'}`, { tags });
+  }
+
+  async function addContactNote(contactId, body) {
+    await api.post(`/contacts/${contactId}/notes${apiVersion === 'v2' ? '' : '/'}`, { body });
+  }
+
+  // Move a calendar appointment to new ISO 8601 start/end times, optionally
+  // reassigning it and changing its status. v1 reschedules by slot in the given
+  // timezone and cannot reassign an appointment.
+  async function updateAppointment(appointmentId, { startTime, endTime, assignedUserId, appointmentStatus }, timezone) {
+    if (apiVersion === 'v2') {
+      await api.put(`/calendars/events/appointments/${appointmentId}`, {
+        startTime,
+        endTime,
+        ...(assignedUserId ? { assignedUserId } : {}),
+        ...(appointmentStatus ? { appointmentStatus } : {}),
+      });
+      return;
+    }
+    await api.put(`/appointments/${appointmentId}`, { selectedSlot: startTime, selectedTimezone: timezone });
+    if (appointmentStatus) await api.put(`/appointments/${appointmentId}/status`, { status: appointmentStatus });
+  }
+
+  async function cancelAppointment(appointmentId) {
+    if (apiVersion === 'v2') {
+      await api.put(`/calendars/events/appointments/${appointmentId}`, { appointmentStatus: 'cancelled' });
+      return;
+    }
+    await api.put(`/appointments/${appointmentId}/status`, { status: 'cancelled' });
+  }
+
+  return {
+    apiVersion,
+    locationId: config.locationId,
+    api,
+    findContactByEmail,
+    findContactByPhone,
+    createContact,
+    updateContact,
+    getContact,
+    listContactsAddedSince,
+    getCustomFieldDefinitions,
+    getContactCustomFields,
+    listContactAttachments,
+    downloadFile,
+    findOpportunity,
+    moveOpportunity,
+    addContactTags,
+    addContactNote,
+    updateAppointment,
+    cancelAppointment,
+  };
+}
+
+module.exports = { createGhlClient, exchangeAuthorizationCode };
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const path = require('path');
+const { JsonStore } = require('./store');
+const { phoneKey } = require('./phone');
+
+// A second, different submission from the same GHL contact within this many
+// days returns the contact's existing job instead of opening a new one.
+// 0 means every distinct submission opens a new job.
+const JOB_REPEAT_WINDOW_DAYS = parseInt(process.env.JOB_REPEAT_WINDOW_DAYS, 10) || 0;
+// A claim with no pipeline run attached after this long belongs to a crashed request
+const PENDING_TIMEOUT_MS = 10 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields of a /ghl-create-job submission that make it distinct
+const SUBMISSION_FIELDS = ['firstName', 'lastName', 'email', 'phone', 'address', 'jobDescription'];
+
+// Use the caller's Idempotency-Key when given, otherwise derive one from the
+// GHL contact ID and a hash of the submitted fields. The phone is hashed in
+// canonical form so the same number written two ways is the same submission.
+function deriveKey(headerKey, body) {
+  if (headerKey) return `header:${headerKey}`;
+  const submission = SUBMISSION_FIELDS.map((field) => [
+    field,
+    (field === 'phone' ? phoneKey(body.phone) : body[field]) || '',
+  ]);
+  const hash = crypto.createHash('sha256').update(JSON.stringify(submission)).digest('hex');
+  return `${body.ghlContactId}:${hash}`;
+}
+
+function latestJobForContact(data, ghlContactId, since) {
+  let latest = null;
+  for (const entry of Object.values(data.keys)) {
+    if (entry.ghlContactId !== ghlContactId || !entry.jobUuid) continue;
+    if (Date.parse(entry.completedAt) < since) continue;
+    if (!latest || entry.completedAt > latest.completedAt) latest = entry;
+  }
+  return latest;
+}
+
+// Idempotency keys stored under the given data subdirectory
+function createIdempotencyStore(dir) {
+  const store = new JsonStore(path.join(dir, 'idempotency.json'), () => ({ keys: {} }));
+
+  // Reserve a key before creating a job. Resolves to one of:
+  //   { status: 'claimed' }               - go ahead and create the job
+  //   { status: 'replay', entry }         - a job already exists for this key or contact
+  //   { status: 'in_progress', entry }    - a queued run is creating it (entry.trackingId)
+  function claim(key, ghlContactId) {
+    return store.update((data) => {
+      const now = Date.now();
+      const existing = data.keys[key];
+      if (existing && existing.jobUuid) {
+        return { status: 'replay', entry: existing };
+      }
+      if (existing && (existing.trackingId || now - Date.parse(existing.createdAt) < PENDING_TIMEOUT_MS)) {
+        return { status: 'in_progress', entry: existing };
+      }
+
+      if (JOB_REPEAT_WINDOW_DAYS > 0) {
+        const recent = latestJobForContact(data, ghlContactId, now - JOB_REPEAT_WINDOW_DAYS * DAY_MS);
+        if (recent) {
+          return { status: 'replay', entry: recent };
+        }
+      }
+
+      data.keys[key] = {
+        key,
+        ghlContactId,
+        trackingId: null,
+        jobUuid: null,
+        createdAt: new Date(now).toISOString(),
+        completedAt: null,
+      };
+      return { status: 'claimed' };
+    });
+  }
+
+  // Record the pipeline run that will create the job for a claimed key
+  function attachRun(key, trackingId) {
+    return store.update((data) => {
+      if (data.keys[key]) data.keys[key].trackingId = trackingId;
+    });
+  }
+
+  // Record the job created for a claimed key
+  function complete(key, jobUuid) {
+    return store.update((data) => {
+      const entry = data.keys[key];
+      if (!entry) return;
+      entry.jobUuid = jobUuid;
+      entry.completedAt = new Date().toISOString();
+    });
+  }
+
+  // Drop a claim whose job creation failed so a retry can try again
+  function release(key) {
+    return store.update((data) => {
+      if (data.keys[key] && !data.keys[key].jobUuid) {
+        delete data.keys[key];
+      }
+    });
+  }
+
+  // Drop keys older than the retention period, returns how many were removed
+  function prune(retentionDays) {
+    const cutoff = Date.now() - retentionDays * DAY_MS;
+    return store.update((data) => {
+      let removed = 0;
+      for (const [key, entry] of Object.entries(data.keys)) {
+        if (Date.parse(entry.createdAt) < cutoff) {
+          delete data.keys[key];
+          removed++;
+        }
+      }
+      return removed;
+    });
+  }
+
+  return { claim, attachRun, complete, release, prune };
+}
+
+module.exports = { deriveKey, createIdempotencyStore };
@@ -0,0 +1,338 @@
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const { mapGhlToServiceM8, readGhlContact } = require('./fieldMapping');
+const { normalizeEmail, normalizeName } = require('./clientMatching');
+const { PHONE_TYPE, parsePhone, formatForServiceM8, phoneKey } = require('./phone');
+const { RunHeldError } = require('./pipeline');
+const { isSupportedType, getFileExtensionFromMime } = require('./attachments');
+
+// Steps that turn a validated /ghl-create-job submission into a ServiceM8 job.
+// They run in order inside the job-creation pipeline; each returns the output
+// later steps need, which the pipeline saves so a retry resumes where it
+// stopped. The context provides the API clients and helpers:
+//   { serviceM8Api, ghl, fieldMapping, links, clientMatcher, attachments, ghlIdField, jobRouter, onJobCreated }
+// where ghl is a client from lib/ghl.js, fieldMapping a resolved mapping from
+// lib/fieldMapping.js, links a link store from lib/links.js, clientMatcher a
+// matcher from lib/clientMatching.js, attachments a transfer from
+// lib/attachments.js and jobRouter a router from lib/jobRouting.js.
+
+// Put a number in ServiceM8's mobile or phone field depending on its type,
+// formatted the way ServiceM8 displays it. Numbers that do not parse are kept
+// as given in phone.
+function assignPhoneFields(data, phoneNumber) {
+  const parsed = parsePhone(phoneNumber, { allowInternational: true });
+  if (parsed && parsed.type === PHONE_TYPE.MOBILE) {
+    data.mobile = formatForServiceM8(parsed);
+    data.phone = '';
+  } else {
+    data.phone = parsed ? formatForServiceM8(parsed) : phoneNumber;
+    data.mobile = '';
+  }
+}
+
+// Pick the job's queue, category, status, badges and template from the
+// tenant's routing rules, using the GHL contact facts mapGhlFields kept (none
+// when GHL could not be read, as routing then only loses its tags and custom
+// fields).
+async function routeJob(input, outputs, { jobRouter }) {
+  const { routing = { contact: null, customFields: [] } } = outputs.mapGhlFields;
+  const route = await jobRouter.route({ ...routing, input });
+  console.log(`Routed job for contact ${input.ghlContactId} by ${route.rule ? `rule ${route.rule}` : 'the default route'}`);
+  return route;
+}
+
+// Attach the submission to an existing client when the match is confident,
+// hold it for review when the evidence is weak, and create a new client when
+// there is none. A review decision comes back as input.clientReview:
+// { companyUuid } to use that client or { createNew: true }.
+async function findOrCreateCompany(input, outputs, { serviceM8Api, clientMatcher }) {
+  const { firstName, lastName, email, phone, address, clientReview } = input;
+  const { mapped } = outputs.mapGhlFields;
+  const fullName = `${firstName} ${lastName}`.trim().toLowerCase();
+
+  if (clientReview && clientReview.companyUuid) {
+    console.log(`Using reviewed client ${clientReview.companyUuid} for email ${email}`);
+    return { companyUuid: clientReview.companyUuid, created: false, matchedBy: 'review' };
+  }
+
+  if (!clientReview || !clientReview.createNew) {
+    const { decision, best, candidates } = await clientMatcher.match({ firstName, lastName, email, phone, address });
+    if (decision === 'match') {
+      console.log(`Client already exists: ${best.companyUuid} for email ${email} (score ${best.score}, ${best.reasons.join('+')})`);
+      return { companyUuid: best.companyUuid, created: false, matchedBy: best.reasons, score: best.score };
+    }
+    if (decision === 'review') {
+      throw new RunHeldError(`Possible existing client for ${fullName} (best score ${best.score})`, { candidates });
+    }
+  }
+
+  console.log(`Creating new client with name ${fullName}, email ${email}, phone ${phone}`);
+  const companyData = { name: fullName, ...mapped.company };
+  const newCompanyResponse = await serviceM8Api.post('/company.json', companyData);
+  const companyUuid = newCompanyResponse.headers['x-record-uuid'];
+  await clientMatcher.remember({ companies: [{ uuid: companyUuid, ...companyData }] });
+  console.log(`Client created: ${companyUuid} for email ${email} with phone ${phone}`);
+  return { companyUuid, created: true };
+}
+
+async function ensureCompanyContact({ firstName, lastName, email, phone }, outputs, { serviceM8Api, clientMatcher }) {
+  const { companyUuid } = outputs.findOrCreateCompany;
+  const { mapped } = outputs.mapGhlFields;
+  const fullName = normalizeName(`${firstName} ${lastName}`);
+  const inputEmail = normalizeEmail(email);
+  const inputPhone = phoneKey(phone);
+
+  // Check for existing company contact
+  const contactsResponse = await serviceM8Api.get(`/companycontact.json?$filter=company_uuid eq '${companyUuid}'`);
+  const matchingContact = contactsResponse.data.find((contact) => {
+    const contactPhones = [phoneKey(contact.phone), phoneKey(contact.mobile)];
+    return (
+      (inputEmail && normalizeEmail(contact.email) === inputEmail) ||
+      (inputPhone && contactPhones.includes(inputPhone)) ||
+      normalizeName(`${contact.first || ''} ${contact.last || ''}`) === fullName
+    );
+  });
+
+  if (matchingContact) {
+    console.log(`Contact already exists for company ${companyUuid}, skipping creation.`);
+    return { companyContactUuid: matchingContact.uuid, created: false };
+  }
+
+  const companyContactData = {
+    company_uuid: companyUuid,
+    first: firstName,
+    last: lastName,
+    email: email,
+    ...mapped.contact,
+  };
+  if (phone) {
+    assignPhoneFields(companyContactData, phone);
+  }
+  const contactResponse = await serviceM8Api.post('/companycontact.json', companyContactData);
+  const companyContactUuid = contactResponse.headers['x-record-uuid'];
+  await clientMatcher.remember({ contacts: [{ uuid: companyContactUuid, ...companyContactData }] });
+  console.log(`Contact added for client: ${companyUuid}`);
+  return { companyContactUuid, created: true };
+}
+
+// Apply the tenant's GHL -> ServiceM8 field mapping. The GHL contact only adds
+// optional details, so a GHL failure here maps the submission alone rather
+// than stopping the job.
+async function mapGhlFields(input, outputs, { ghl, fieldMapping, jobRouter }) {
+  let contact = null;
+  let customFields = [];
+  try {
+    ({ contact, customFields } = await readGhlContact(ghl, input.ghlContactId));
+    console.log(`Fetched GHL contact ${input.ghlContactId} with ${customFields.length} custom fields`);
+  } catch (error) {
+    console.error('Failed to fetch contact from GHL (mapping the submission only):', error.response ? error.response.data : error.message);
+  }
+  const mapped = mapGhlToServiceM8(fieldMapping.ghlToServiceM8, contact ? { contact, customFields, input } : { input });
+  const fields = Object.entries(mapped).flatMap(([record, values]) => Object.keys(values).map((name) => `${record}.${name}`));
+  console.log(`Mapped fields for contact ${input.ghlContactId}: ${fields.join(', ') || 'none'}`);
+  // What routeJob and collectPhotos need from the contact is kept so GHL is
+  // only read once; the rest of the contact is not saved with the run
+  return { mapped, routing: jobRouter.pickFacts(contact, customFields), photos: photosFromCustomFields(customFields) };
+}
+
+// Description, address and any custom fields come from the field mapping, then
+// from the routed template for fields the mapping left empty. The template's
+// description goes above the mapped one rather than being replaced by it.
+function templateJobFields(template, mappedJob) {
+  const job = { ...mappedJob };
+  if (!template) return job;
+  for (const [field, value] of Object.entries(template.job)) {
+    if (job[field] === undefined || job[field] === null || job[field] === '') job[field] = value;
+  }
+  if (template.job.job_description && mappedJob.job_description) {
+    job.job_description = `${template.job.job_description}\n\n${mappedJob.job_description}`;
+  }
+  return job;
+}
+
+async function createJob(input, outputs, { serviceM8Api, ghlIdField }) {
+  const { queueUuid, categoryUuid, status, badgeUuids, template } = outputs.routeJob;
+  const { companyUuid } = outputs.findOrCreateCompany;
+  const { mapped } = outputs.mapGhlFields;
+
+  const jobData = {
+    ...templateJobFields(template, mapped.job),
+    company_uuid: companyUuid,
+    status,
+    queue_uuid: queueUuid,
+  };
+  if (categoryUuid) jobData.category_uuid = categoryUuid;
+  if (badgeUuids.length > 0) jobData.badges = JSON.stringify(badgeUuids);
+  if (ghlIdField) {
+    jobData[`customfield_${ghlIdField}`] = input.ghlContactId;
+  }
+
+  const jobResponse = await serviceM8Api.post('/job.json', jobData);
+  const jobUuid = jobResponse.headers['x-record-uuid'];
+  console.log(`Job created: ${jobUuid} as ${status} in queue ${queueUuid}`);
+  return { jobUuid };
+}
+
+// Tell the caller the job exists (the server completes the submission's
+// idempotency key). A step of its own so a failure here is retried without
+// posting the job again.
+async function reportJobCreated(input, outputs, { onJobCreated }) {
+  if (onJobCreated) await onJobCreated(input, outputs.createJob.jobUuid);
+  return {};
+}
+
+// Record which ServiceM8 records belong to the GHL contact
+async function linkRecords({ ghlContactId }, outputs, { links }) {
+  await links.link(
+    ghlContactId,
+    {
+      companyUuid: outputs.findOrCreateCompany.companyUuid,
+      companyContactUuid: outputs.ensureCompanyContact.companyContactUuid,
+      jobUuid: outputs.createJob.jobUuid,
+    },
+    'job_creation'
+  );
+  console.log(`Linked GHL contact ${ghlContactId} to job ${outputs.createJob.jobUuid}`);
+  return {};
+}
+
+// Add the routed template's materials to the job. Materials already on the job
+// from an earlier attempt are not added again.
+async function addTemplateMaterials(input, outputs, { serviceM8Api }) {
+  const { template } = outputs.routeJob;
+  if (!template || template.materials.length === 0) return { added: 0 };
+  const { jobUuid } = outputs.createJob;
+  const existingResponse = await serviceM8Api.get('/jobmaterial.json', { params: { '$filter': `job_uuid eq '${jobUuid}'` } });
+  const existing = new Set((existingResponse.data || []).map((material) => material.material_uuid));
+  let added = 0;
+  for (const material of template.materials) {
+    if (existing.has(material.materialUuid)) continue;
+    await serviceM8Api.post('/jobmaterial.json', {
+      job_uuid: jobUuid,
+      material_uuid: material.materialUuid,
+      name: material.name,
+      quantity: String(material.quantity),
+      price: material.price,
+    });
+    added++;
+  }
+  console.log(`Added ${added} materials from template ${template.name} to job ${jobUuid}`);
+  return { added };
+}
+
+async function createJobContact({ firstName, lastName, email, phone }, outputs, { serviceM8Api }) {
+  const { jobUuid } = outputs.createJob;
+  const { mapped } = outputs.mapGhlFields;
+
+  // Create job contact in ServiceM8 with phone/mobile logic
+  const jobContactData = {
+    job_uuid: jobUuid,
+    type: 'Job Contact', // Required field to specify contact type
+    first: firstName,
+    last: lastName,
+    email: email,
+    ...mapped.contact,
+  };
+  if (phone) {
+    assignPhoneFields(jobContactData, phone);
+  }
+  await serviceM8Api.post('/jobcontact.json', jobContactData);
+  console.log(`Job contact added for job: ${jobUuid}`);
+  return {};
+}
+
+// The files (photos, PDFs, videos) uploaded to the contact's file custom fields
+function photosFromCustomFields(customFields) {
+  const photos = [];
+  for (const field of customFields) {
+    if (field.value && typeof field.value === 'object' && !Array.isArray(field.value)) {
+      for (const [uuid, entry] of Object.entries(field.value)) {
+        if (entry.url && entry.meta && isSupportedType(entry.meta.mimetype)) {
+          const fileExtension = getFileExtensionFromMime(entry.meta.mimetype);
+          photos.push({
+            url: entry.url,
+            documentId: entry.documentId,
+            filename: entry.meta.originalname || `photo-${uuid}-${Date.now()}${fileExtension}`,
+            mimetype: entry.meta.mimetype,
+          });
+        }
+      }
+    }
+  }
+  return photos;
+}
+
+// Collect the contact's uploaded files found by mapGhlFields, falling back to
+// its attachments
+async function collectPhotos({ ghlContactId }, outputs, { ghl }) {
+  const photoData = [...(outputs.mapGhlFields.photos || [])];
+  if (photoData.length === 0) {
+    try {
+      const attachments = await ghl.listContactAttachments(ghlContactId);
+      console.log(`Fetched ${attachments.length} attachments from GHL contact ${ghlContactId}`);
+
+      for (const attachment of attachments) {
+        if (attachment.url && isSupportedType(attachment.mimetype)) {
+          const fileExtension = getFileExtensionFromMime(attachment.mimetype);
+          photoData.push({
+            url: attachment.url,
+            documentId: attachment.documentId || attachment.url.split('/').pop(),
+            filename: attachment.filename || `attachment-${Date.now()}${fileExtension}`,
+            mimetype: attachment.mimetype,
+          });
+        }
+      }
+    } catch (attachmentError) {
+      console.log('Attachments endpoint not available or failed:', attachmentError.response ? attachmentError.response.data : attachmentError.message);
+    }
+  }
+
+  console.log(`Fetched ${photoData.length} photos for contact ${ghlContactId}:`, photoData.map(p => p.url));
+  return { photos: photoData };
+}
+
+// Stream the files posted with the request and those collected from GHL onto
+// the job. A file that fails is logged and reported rather than failing the
+// whole job. Files already on the job from an earlier attempt, or present in
+// both sources, are uploaded once. Posted files are deleted afterwards.
+async function transferPhotos(input, outputs, { ghl, attachments }) {
+  const { jobUuid } = outputs.createJob;
+  const uploads = input.uploads || [];
+  const posted = uploads.map(({ path: filePath, filename, mimetype }) => ({
+    filename,
+    mimetype,
+    open: async () => ({ stream: fs.createReadStream(filePath) }),
+  }));
+  const fromGhl = outputs.collectPhotos.photos.map(({ url, documentId, filename, mimetype }) => ({
+    filename,
+    mimetype,
+    open: async () => {
+      console.log(`Downloading ${filename} from ${url}`);
+      const response = await ghl.downloadFile({ documentId, url });
+      return {
+        stream: response.data,
+        contentType: response.headers['content-type'],
+        contentLength: response.headers['content-length'],
+      };
+    },
+  }));
+  const results = await attachments.transfer(jobUuid, [...posted, ...fromGhl]);
+  await Promise.all(uploads.map(({ path: filePath }) => fsPromises.unlink(filePath).catch(() => {})));
+  return { uploaded: results.filter((result) => result.status === 'uploaded'), results };
+}
+
+const JOB_CREATION_STEPS = [
+  { name: 'mapGhlFields', run: mapGhlFields },
+  { name: 'routeJob', run: routeJob },
+  { name: 'findOrCreateCompany', run: findOrCreateCompany },
+  { name: 'ensureCompanyContact', run: ensureCompanyContact },
+  { name: 'createJob', run: createJob },
+  { name: 'reportJobCreated', run: reportJobCreated },
+  { name: 'addTemplateMaterials', run: addTemplateMaterials },
+  { name: 'linkRecords', run: linkRecords },
+  { name: 'createJobContact', run: createJobContact },
+  { name: 'collectPhotos', run: collectPhotos },
+  { name: 'transferPhotos', run: transferPhotos },
+];
+
+module.exports = { JOB_CREATION_STEPS, assignPhoneFields };
@@ -0,0 +1,315 @@
+const { customFieldMatches } = require('./fieldMapping');
+
+// Rules deciding where a new job from /ghl-create-job lands in ServiceM8: its
+// queue, category, status, badges and template. Each tenant may configure:
+//
+//   "jobRouting": {
+//     "default": { "queue": "Quotes - New", "status": "Quote" },
+//     "rules": [
+//       {
+//         "name": "solar-brisbane",
+//         "when": {
+//           "tags": ["solar"],
+//           "pipelineId": "<GHL pipeline id>",
+//           "sources": ["Solar quote form"],
+//           "fields": { "roof_type": ["Tile", "Metal"] },
+//           "postcodes": ["4000-4199", "4500"]
+//         },
+//         "queue": "Solar - New",
+//         "category": "Solar",
+//         "status": "Quote",
+//         "badges": ["Priority"],
+//         "template": "solar-quote"
+//       }
+//     ],
+//     "templates": {
+//       "solar-quote": {
+//         "job": { "job_description": "Solar quote - site inspection required" },
+//         "materials": [{ "name": "Site inspection", "quantity": 1 }]
+//       }
+//     }
+//   }
+//
+// The first rule whose "when" matches routes the job; what it leaves out comes
+// from "default". A rule matches when every condition it lists does:
+//   - tags: the GHL contact has any of them (compared case-insensitively)
+//   - pipelineId: the contact has an opportunity in that GHL pipeline
+//   - sources: the submission's source, else the contact's, is one of them
+//     (the form or lead source; compared case-insensitively)
+//   - fields: each GHL custom field (by name, key or ID, as in the field
+//     mapping) has the given value or one of the given values
+//   - postcodes: the contact's postcode, else the last 4-digit number in the
+//     submitted address, is one of them or in one of the "from-to" ranges
+// A rule with no conditions matches every job.
+// A template fills job fields the field mapping left empty, puts its
+// job_description above the mapped description and adds its materials, by
+// ServiceM8 material name, to the new job.
+// Queue, category, badge and material names are matched case-insensitively
+// against ServiceM8 and their UUIDs cached, refreshed every
+// JOB_ROUTING_REFRESH_CRON. A name ServiceM8 does not have stops the tenant's
+// job creation at startup until it is fixed. Without jobRouting every job is a
+// Quote in the tenant's queueName.
+
+const JOB_STATUSES = ['Quote', 'Work Order', 'Completed', 'Unsuccessful'];
+const CONDITIONS = ['tags', 'pipelineId', 'sources', 'fields', 'postcodes'];
+const POSTCODE_RANGE_PATTERN = /^(\d{4})(?:-(\d{4}))?$/;
+
+// Where ServiceM8 lists each kind of record the routing names
+const LOOKUPS = {
+  queue: { endpoint: '/queue.json', label: 'queue' },
+  category: { endpoint: '/category.json', label: 'category' },
+  badge: { endpoint: '/badge.json', label: 'badge' },
+  material: { endpoint: '/material.json', label: 'material' },
+};
+
+// A configured name ServiceM8 does not have; fixing it takes a config change
+class RoutingConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RoutingConfigError';
+  }
+}
+
+function asList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function normalize(value) {
+  return String(value === undefined || value === null ? '' : value).toLowerCase().trim();
+}
+
+function resolveRoute(route, where, templates) {
+  const resolved = {};
+  for (const key of ['queue', 'category', 'template']) {
+    if (route[key] === undefined) continue;
+    if (!route[key] || typeof route[key] !== 'string') throw new Error(`${where}.${key} must be a name`);
+    resolved[key] = route[key];
+  }
+  if (route.status !== undefined) {
+    if (!JOB_STATUSES.includes(route.status)) {
+      throw new Error(`${where}.status must be one of ${JOB_STATUSES.join(', ')}`);
+    }
+    resolved.status = route.status;
+  }
+  if (route.badges !== undefined) {
+    if (!Array.isArray(route.badges) || route.badges.some((badge) => !badge || typeof badge !== 'string')) {
+      throw new Error(`${where}.badges must be a list of badge names`);
+    }
+    resolved.badges = route.badges;
+  }
+  if (resolved.template && !templates[resolved.template]) {
+    throw new Error(`${where}.template "${resolved.template}" is not in jobRouting.templates`);
+  }
+  return resolved;
+}
+
+function resolveConditions(when, where) {
+  if (when === undefined) return {};
+  if (!when || typeof when !== 'object' || Array.isArray(when)) throw new Error(`${where}.when must be an object`);
+  for (const key of Object.keys(when)) {
+    if (!CONDITIONS.includes(key)) throw new Error(`${where}.when.${key} is not a condition (use ${CONDITIONS.join(', ')})`);
+  }
+  const conditions = {};
+  if (when.tags !== undefined) conditions.tags = asList(when.tags).map(normalize);
+  if (when.pipelineId !== undefined) conditions.pipelineId = String(when.pipelineId);
+  if (when.sources !== undefined) conditions.sources = asList(when.sources).map(normalize);
+  if (when.fields !== undefined) {
+    if (!when.fields || typeof when.fields !== 'object' || Array.isArray(when.fields)) {
+      throw new Error(`${where}.when.fields must map custom fields to values`);
+    }
+    conditions.fields = Object.entries(when.fields).map(([field, values]) => ({ field, values: asList(values).map(normalize) }));
+  }
+  if (when.postcodes !== undefined) {
+    conditions.postcodes = asList(when.postcodes).map((postcode) => {
+      const match = POSTCODE_RANGE_PATTERN.exec(String(postcode).trim());
+      if (!match) throw new Error(`${where}.when.postcodes: "${postcode}" must be a postcode or a "from-to" range`);
+      return { from: Number(match[1]), to: Number(match[2] || match[1]) };
+    });
+  }
+  return conditions;
+}
+
+function resolveTemplates(templates) {
+  if (!templates || typeof templates !== 'object' || Array.isArray(templates)) {
+    throw new Error('jobRouting.templates must map template names to templates');
+  }
+  return Object.fromEntries(
+    Object.entries(templates).map(([name, template]) => {
+      const where = `jobRouting.templates.${name}`;
+      const job = template.job || {};
+      if (typeof job !== 'object' || Array.isArray(job)) throw new Error(`${where}.job must map ServiceM8 job fields to values`);
+      const materials = asList(template.materials).map((material, index) => {
+        if (!material || !material.name) throw new Error(`${where}.materials[${index}] needs the name of a ServiceM8 material`);
+        const quantity = material.quantity === undefined ? 1 : Number(material.quantity);
+        if (!(quantity > 0)) throw new Error(`${where}.materials[${index}].quantity must be a positive number`);
+        return { name: material.name, quantity };
+      });
+      return [name, { job, materials }];
+    })
+  );
+}
+
+// The tenant's routing rules, validated, with the default route filled in from
+// its queueName
+function resolveJobRouting(config, { queueName }) {
+  const routing = config || {};
+  if (routing.rules !== undefined && !Array.isArray(routing.rules)) {
+    throw new Error('jobRouting.rules must be a list of rules');
+  }
+  const templates = resolveTemplates(routing.templates || {});
+  const fallback = { queue: queueName, status: 'Quote', category: null, badges: [], template: null };
+  const defaults = { ...fallback, ...resolveRoute(routing.default || {}, 'jobRouting.default', templates) };
+  const seen = new Set();
+  const rules = (routing.rules || []).map((rule, index) => {
+    const where = `jobRouting.rules[${index}]`;
+    if (!rule.name || typeof rule.name !== 'string') throw new Error(`${where}.name is required`);
+    if (seen.has(rule.name)) throw new Error(`${where}.name "${rule.name}" is used by another rule`);
+    seen.add(rule.name);
+    return {
+      name: rule.name,
+      when: resolveConditions(rule.when, where),
+      ...defaults,
+      ...resolveRoute(rule, where, templates),
+    };
+  });
+  return { default: defaults, rules, templates };
+}
+
+// The 4-digit postcode to route on, from the GHL contact or the submitted address
+function postcodeOf({ contact, input }) {
+  if (contact && /^\d{4}$/.test(String(contact.postalCode || '').trim())) return Number(contact.postalCode.trim());
+  const numbers = String(input.address || '').match(/\b\d{4}\b/g);
+  return numbers ? Number(numbers[numbers.length - 1]) : null;
+}
+
+function createJobRouter({ serviceM8Api, ghl, config }) {
+  let names = null;
+  let refreshedAt = null;
+
+  // Every name the routing refers to, by lookup
+  function referencedNames() {
+    const referenced = { queue: new Map(), category: new Map(), badge: new Map(), material: new Map() };
+    const add = (lookup, name, usedBy) => {
+      if (name && !referenced[lookup].has(normalize(name))) referenced[lookup].set(normalize(name), { name, usedBy });
+    };
+    const addRoute = (route, usedBy) => {
+      add('queue', route.queue, usedBy);
+      add('category', route.category, usedBy);
+      for (const badge of route.badges) add('badge', badge, usedBy);
+    };
+    addRoute(config.default, 'jobRouting.default');
+    for (const rule of config.rules) addRoute(rule, `rule ${rule.name}`);
+    for (const [name, template] of Object.entries(config.templates)) {
+      for (const material of template.materials) add('material', material.name, `template ${name}`);
+    }
+    return referenced;
+  }
+
+  // Look up the UUID of every name the routing refers to. Throws a
+  // RoutingConfigError listing the names ServiceM8 does not have, keeping the
+  // names from the last successful refresh.
+  async function refresh() {
+    const referenced = referencedNames();
+    const found = {};
+    const missing = [];
+    for (const [lookup, wanted] of Object.entries(referenced)) {
+      found[lookup] = new Map();
+      if (wanted.size === 0) continue;
+      const response = await serviceM8Api.get(LOOKUPS[lookup].endpoint);
+      const records = (response.data || []).filter((record) => String(record.active) !== '0');
+      for (const [key, { name, usedBy }] of wanted) {
+        const record = records.find((r) => normalize(r.name) === key);
+        if (record) found[lookup].set(key, record);
+        else missing.push(`no ServiceM8 ${LOOKUPS[lookup].label} named "${name}" (used by ${usedBy})`);
+      }
+    }
+    if (missing.length > 0) throw new RoutingConfigError(`Job routing: ${missing.join('; ')}`);
+    names = found;
+    refreshedAt = new Date().toISOString();
+    return { refreshedAt, counts: Object.fromEntries(Object.entries(found).map(([lookup, map]) => [lookup, map.size])) };
+  }
+
+  function lookup(kind, name) {
+    return name ? names[kind].get(normalize(name)) : null;
+  }
+
+  async function matches(when, facts) {
+    const { contact, customFields, input } = facts;
+    if (when.tags) {
+      const tags = asList(contact && contact.tags).map(normalize);
+      if (!when.tags.some((tag) => tags.includes(tag))) return false;
+    }
+    if (when.sources) {
+      const source = normalize(input.source || (contact && contact.source));
+      if (!when.sources.includes(source)) return false;
+    }
+    if (when.fields) {
+      for (const { field, values } of when.fields) {
+        const customField = customFields.find((f) => customFieldMatches(f, field));
+        const fieldValues = asList(customField ? customField.value : undefined).map(normalize);
+        if (!fieldValues.some((value) => values.includes(value))) return false;
+      }
+    }
+    if (when.postcodes) {
+      const postcode = postcodeOf(facts);
+      if (postcode === null || !when.postcodes.some(({ from, to }) => postcode >= from && postcode <= to)) return false;
+    }
+    // Checked last as it is the only condition that calls GHL
+    if (when.pipelineId && !(await ghl.findOpportunity(input.ghlContactId, when.pipelineId))) return false;
+    return true;
+  }
+
+  // Where a new job goes, given the submission and the GHL contact with its
+  // resolved custom fields (contact is null when GHL could not be read):
+  //   { rule, queueUuid, categoryUuid, status, badgeUuids, template: { job, materials } | null }
+  // where rule is the matching rule's name, or null for the default route.
+  async function route(facts) {
+    if (!names) await refresh();
+    let matched = null;
+    for (const rule of config.rules) {
+      if (await matches(rule.when, { customFields: [], ...facts })) {
+        matched = rule;
+        break;
+      }
+    }
+    const chosen = matched || config.default;
+    const template = chosen.template ? config.templates[chosen.template] : null;
+    const category = lookup('category', chosen.category);
+    return {
+      rule: matched ? matched.name : null,
+      queueUuid: lookup('queue', chosen.queue).uuid,
+      categoryUuid: category ? category.uuid : null,
+      status: chosen.status,
+      badgeUuids: chosen.badges.map((badge) => lookup('badge', badge).uuid),
+      template: template
+        ? {
+            name: chosen.template,
+            job: template.job,
+            materials: template.materials.map(({ name, quantity }) => {
+              const material = lookup('material', name);
+              return { materialUuid: material.uuid, name: material.name, price: material.price, quantity };
+            }),
+          }
+        : null,
+    };
+  }
+
+  // The parts of a GHL contact the rules look at, small enough to save with a
+  // job-creation run: its tags, source and postcode, and the custom fields a
+  // "fields" condition names. Pass the result to route() as { ...facts, input }.
+  function pickFacts(contact, customFields) {
+    if (!contact) return { contact: null, customFields: [] };
+    const refs = config.rules.flatMap((rule) => (rule.when.fields || []).map(({ field }) => field));
+    return {
+      contact: { tags: contact.tags || [], source: contact.source || null, postalCode: contact.postalCode || null },
+      customFields: customFields
+        .filter((field) => refs.some((ref) => customFieldMatches(field, ref)))
+        .map(({ id, fieldKey, name, value }) => ({ id, fieldKey, name, value })),
+    };
+  }
+
+  return { config, refresh, route, pickFacts, getRefreshedAt: () => refreshedAt };
+}
+
+module.exports = { JOB_STATUSES, RoutingConfigError, resolveJobRouting, createJobRouter };
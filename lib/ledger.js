@@ -0,0 +1,179 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const { JsonStore } = require('./store');
+
+// Entity types tracked by the ledger
+const ENTITY = {
+  SERVICEM8_CONTACT: 'servicem8_contact',
+  SERVICEM8_PAYMENT: 'servicem8_payment',
+  // Contacts that fired the payment trigger before it had configurable rules
+  GHL_CONTACT: 'ghl_contact',
+  // <rule>:payment|job|contact:<id>, see lib/paymentTriggers.js
+  PAYMENT_TRIGGER: 'payment_trigger',
+  // <job uuid>:<stage sync event>, see lib/stageSync.js
+  JOB_TRANSITION: 'job_transition',
+  // Only used to skip a job; its syncs are recorded as JOB_TRANSITION entries
+  SERVICEM8_JOB: 'servicem8_job',
+  // GHL appointments booked into ServiceM8, see lib/appointments.js
+  GHL_APPOINTMENT: 'ghl_appointment',
+};
+
+// Outcomes of a sync attempt. Only failed entries are retried.
+const OUTCOME = {
+  SYNCED: 'synced',
+  SKIPPED: 'skipped',
+  FAILED: 'failed',
+};
+
+// Entity types whose entries are only a record of what happened. The other
+// types are the keys that make a sync happen once (per contact, payment rule or
+// job stage), so their entries are kept unless they failed.
+const PRUNABLE_ENTITIES = [ENTITY.SERVICEM8_PAYMENT, ENTITY.GHL_APPOINTMENT];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Earlier outcomes kept on each entry, newest last
+const MAX_HISTORY = 10;
+
+function entryKey(type, id) {
+  return `${type}:${id}`;
+}
+
+// Ledger of sync outcomes stored under the given data subdirectory. It also
+// holds the entities an operator chose to skip, which no sync touches until
+// they are unskipped.
+function createLedger(dir) {
+  const store = new JsonStore(path.join(dir, 'ledger.json'), () => ({ entries: {}, skipped: {}, migratedAt: null }));
+
+  // Record the outcome of syncing one entity. The earlier outcome moves into
+  // the entry's history.
+  function record(type, id, outcome, error = null) {
+    return store.update((data) => {
+      const key = entryKey(type, id);
+      const previous = data.entries[key];
+      const history = previous ? previous.history || [] : [];
+      if (previous) history.push({ outcome: previous.outcome, error: previous.error, syncedAt: previous.syncedAt });
+      data.entries[key] = {
+        type,
+        id,
+        outcome,
+        error: error ? String(error) : null,
+        syncedAt: new Date().toISOString(),
+        history: history.slice(-MAX_HISTORY),
+      };
+    });
+  }
+
+  function get(type, id) {
+    return store.read((data) => data.entries[entryKey(type, id)] || null);
+  }
+
+  // True when the entity was synced or deliberately skipped before
+  async function isProcessed(type, id) {
+    const entry = await get(type, id);
+    return Boolean(entry && entry.outcome !== OUTCOME.FAILED);
+  }
+
+  // Entries newest first, optionally filtered by type, outcome and a
+  // substring of the ID (a payment UUID also finds its trigger entries)
+  function list({ type = null, outcome = null, search = null, limit = 100 } = {}) {
+    return store.read((data) =>
+      Object.values(data.entries)
+        .filter((entry) => (!type || entry.type === type) && (!outcome || entry.outcome === outcome))
+        .filter((entry) => !search || entry.id.includes(search))
+        .sort((a, b) => b.syncedAt.localeCompare(a.syncedAt))
+        .slice(0, limit)
+    );
+  }
+
+  function skip(type, id, reason = null) {
+    return store.update((data) => {
+      const entry = { type, id, reason, skippedAt: new Date().toISOString() };
+      data.skipped[entryKey(type, id)] = entry;
+      return entry;
+    });
+  }
+
+  // Resolves to true when the entity was skipped
+  function unskip(type, id) {
+    return store.update((data) => {
+      const key = entryKey(type, id);
+      const existed = Boolean(data.skipped[key]);
+      delete data.skipped[key];
+      return existed;
+    });
+  }
+
+  function getSkip(type, id) {
+    return store.read((data) => data.skipped[entryKey(type, id)] || null);
+  }
+
+  function listSkipped() {
+    return store.read((data) => Object.values(data.skipped).sort((a, b) => b.skippedAt.localeCompare(a.skippedAt)));
+  }
+
+  // Drop failed entries and entries of PRUNABLE_ENTITIES types older than the
+  // retention period, returns how many were removed. A payment pruned here
+  // still never fires a rule twice, as its PAYMENT_TRIGGER keys are kept.
+  // Skips stay until they are lifted.
+  function prune(retentionDays) {
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    return store.update((data) => {
+      let removed = 0;
+      for (const [key, entry] of Object.entries(data.entries)) {
+        const prunable = entry.outcome === OUTCOME.FAILED || PRUNABLE_ENTITIES.includes(entry.type);
+        if (prunable && Date.parse(entry.syncedAt) < cutoff) {
+          delete data.entries[key];
+          removed++;
+        }
+      }
+      return removed;
+    });
+  }
+
+  // Import processedJobs/processedContacts from the old state.json once, then
+  // rename the file so it is not picked up again. processedContacts held both
+  // ServiceM8 contact UUIDs and the GHL contact ID/email used by the payment
+  // trigger, so UUID-shaped values are treated as ServiceM8 contacts.
+  async function migrateLegacyState(stateFile) {
+    let state;
+    try {
+      state = JSON.parse(await fsPromises.readFile(stateFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error reading legacy state file ${stateFile}:`, error.message);
+      }
+      return 0;
+    }
+
+    const migratedAt = new Date().toISOString();
+    const imported = await store.update((data) => {
+      let count = 0;
+      const add = (type, id) => {
+        const key = entryKey(type, id);
+        if (data.entries[key]) return;
+        data.entries[key] = { type, id, outcome: OUTCOME.SYNCED, error: null, syncedAt: migratedAt };
+        count++;
+      };
+      for (const paymentUuid of state.processedJobs || []) {
+        add(ENTITY.SERVICEM8_PAYMENT, paymentUuid);
+      }
+      for (const contactKey of state.processedContacts || []) {
+        add(UUID_PATTERN.test(contactKey) ? ENTITY.SERVICEM8_CONTACT : ENTITY.GHL_CONTACT, contactKey);
+      }
+      data.migratedAt = migratedAt;
+      return count;
+    });
+
+    await fsPromises.rename(stateFile, `${stateFile}.migrated`);
+    console.log(`Migrated ${imported} entries from ${stateFile} into the sync ledger`);
+    return imported;
+  }
+
+  return { record, get, isProcessed, list, skip, unskip, getSkip, listSkipped, prune, migrateLegacyState };
+}
+
+module.exports = {
+  ENTITY,
+  OUTCOME,
+  createLedger,
+};
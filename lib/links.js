@@ -0,0 +1,106 @@
+const path = require('path');
+const { JsonStore } = require('./store');
+
+// How job descriptions carried the GHL contact ID before links were stored.
+// Only used as a fallback for jobs that were never linked.
+const LEGACY_DESCRIPTION_PATTERN = /GHL Contact ID: ([a-zA-Z0-9]+)/;
+
+// Read the GHL contact ID a ServiceM8 job carries itself: the configured job
+// custom field first, then the legacy description line. Resolves to
+// { ghlContactId, source } or null.
+function ghlContactIdFromJob(job, ghlIdField) {
+  if (ghlIdField && job[`customfield_${ghlIdField}`]) {
+    return { ghlContactId: job[`customfield_${ghlIdField}`], source: 'custom_field' };
+  }
+  const match = (job.job_description || '').match(LEGACY_DESCRIPTION_PATTERN);
+  return match ? { ghlContactId: match[1], source: 'description' } : null;
+}
+
+// Cross-reference between GHL contacts and the ServiceM8 records created or
+// matched for them, stored under the given data subdirectory. One link per GHL
+// contact:
+//   { ghlContactId, companyUuid, companyContactUuids: [], jobUuids: [], source, createdAt, updatedAt }
+function createLinkStore(dir) {
+  const store = new JsonStore(path.join(dir, 'links.json'), () => ({ links: {} }));
+
+  // Merge ServiceM8 record IDs into a GHL contact's link, creating it if needed.
+  // source says what wrote the link (job_creation, contact_sync, backfill, ...).
+  function link(ghlContactId, { companyUuid, companyContactUuid, jobUuid }, source) {
+    return store.update((data) => {
+      const now = new Date().toISOString();
+      const entry = data.links[ghlContactId] || {
+        ghlContactId,
+        companyUuid: null,
+        companyContactUuids: [],
+        jobUuids: [],
+        source,
+        createdAt: now,
+      };
+      if (companyUuid) entry.companyUuid = companyUuid;
+      if (companyContactUuid && !entry.companyContactUuids.includes(companyContactUuid)) {
+        entry.companyContactUuids.push(companyContactUuid);
+      }
+      if (jobUuid && !entry.jobUuids.includes(jobUuid)) {
+        entry.jobUuids.push(jobUuid);
+      }
+      entry.updatedAt = now;
+      data.links[ghlContactId] = entry;
+      return entry;
+    });
+  }
+
+  function get(ghlContactId) {
+    return store.read((data) => data.links[ghlContactId] || null);
+  }
+
+  function find(predicate) {
+    return store.read((data) => Object.values(data.links).find(predicate) || null);
+  }
+
+  function findByJob(jobUuid) {
+    return find((entry) => entry.jobUuids.includes(jobUuid));
+  }
+
+  function findByCompany(companyUuid) {
+    return find((entry) => entry.companyUuid === companyUuid);
+  }
+
+  function findByCompanyContact(companyContactUuid) {
+    return find((entry) => entry.companyContactUuids.includes(companyContactUuid));
+  }
+
+  return { link, get, findByJob, findByCompany, findByCompanyContact };
+}
+
+// Link the tenant's active jobs created before links were stored, reading each
+// job's GHL ID custom field or legacy description line. dryRun only counts
+// what would be linked. Runs inside the server, which owns the link store.
+async function backfillFromJobs(tenant, { dryRun = false } = {}) {
+  const jobsResponse = await tenant.serviceM8Api.get('/job.json', { params: { '$filter': 'active eq 1' } });
+  const jobs = jobsResponse.data || [];
+  tenant.log(`Checking ${jobs.length} jobs for GHL contact IDs`);
+
+  const counts = { jobs: jobs.length, linked: 0, alreadyLinked: 0, noGhlId: 0 };
+  for (const job of jobs) {
+    if (await tenant.links.findByJob(job.uuid)) {
+      counts.alreadyLinked++;
+      continue;
+    }
+    const fromJob = ghlContactIdFromJob(job, tenant.ghlIdField);
+    if (!fromJob) {
+      counts.noGhlId++;
+      continue;
+    }
+    tenant.log(`${dryRun ? 'Would link' : 'Linking'} job ${job.uuid} to GHL contact ${fromJob.ghlContactId} (from ${fromJob.source})`);
+    if (!dryRun) {
+      await tenant.links.link(fromJob.ghlContactId, { companyUuid: job.company_uuid, jobUuid: job.uuid }, 'backfill');
+    }
+    counts.linked++;
+  }
+  tenant.log(
+    `Backfill ${dryRun ? 'dry run ' : ''}done: ${counts.linked} linked, ${counts.alreadyLinked} already linked, ${counts.noGhlId} without a GHL contact ID`
+  );
+  return counts;
+}
+
+module.exports = { LEGACY_DESCRIPTION_PATTERN, ghlContactIdFromJob, createLinkStore, backfillFromJobs };
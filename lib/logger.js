@@ -0,0 +1,150 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+// Structured JSON logging. Every line is one JSON object:
+//   { "time", "level", "msg", "correlationId", ...bindings }
+// written to stdout (stderr for warn and error). Emails and phone numbers are
+// masked wherever they appear. The correlation ID comes from the surrounding
+// withCorrelation() call, so one /ghl-create-job request, webhook event or
+// poll run can be followed through every line it causes, including work it
+// queued for later.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+// Lowest level written: debug, info (default), warn or error
+const LOG_LEVEL = LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS.info;
+
+const correlation = new AsyncLocalStorage();
+const writeOut = console.log.bind(console);
+const writeErr = console.error.bind(console);
+
+function newCorrelationId(prefix = 'req') {
+  return `${prefix}-${crypto.randomBytes(6).toString('hex')}`;
+}
+
+// Run fn with id as the correlation ID of everything it logs or queues
+function withCorrelation(id, fn) {
+  return correlation.run({ id }, fn);
+}
+
+function currentCorrelationId() {
+  const store = correlation.getStore();
+  return store ? store.id : null;
+}
+
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,})/g;
+// E.164 and the Australian formats lib/phone.js accepts; the boundaries keep
+// UUIDs, IDs and timestamps out
+const PHONE_PATTERN = /(?<![\w-])(?:\+\d(?:[\s-]?\d){7,14}|\(0[2378]\)\s?\d{4}\s?\d{4}|0[2-478](?:[\s-]?\d){8}|61[2-478]\d{8})(?![\w-])/g;
+// Secrets passed in a URL query string, such as the ServiceM8 webhook ?token=
+const QUERY_SECRET_PATTERN = /([?&](?:token|access_token|secret)=)[^&\s"']+/gi;
+// Object keys whose values are masked whole: email, clientEmail, billing_phone, ...
+const PII_KEY_PATTERN = /(email|phone|mobile)$/i;
+
+function maskPhone(phone) {
+  const digits = String(phone).replace(/\D/g, '');
+  return `***${digits.slice(-3)}`;
+}
+
+// Mask emails (keeping the first letter and the domain), phone numbers
+// (keeping the last three digits) and query-string secrets in free text
+function redactText(text) {
+  return String(text)
+    .replace(QUERY_SECRET_PATTERN, '$1***')
+    .replace(EMAIL_PATTERN, '$1***@$2')
+    .replace(PHONE_PATTERN, maskPhone);
+}
+
+function redact(value, key = '', depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string') {
+    if (key && PII_KEY_PATTERN.test(key) && value) {
+      return value.includes('@') ? redactText(value) : maskPhone(value);
+    }
+    return redactText(value);
+  }
+  if (typeof value !== 'object') return value;
+  if (depth >= 6) return '[object]';
+  if (Array.isArray(value)) return value.map((item) => redact(item, key, depth + 1));
+  const redacted = {};
+  for (const [name, item] of Object.entries(value)) redacted[name] = redact(item, name, depth + 1);
+  return redacted;
+}
+
+function formatArg(arg) {
+  if (typeof arg === 'string') return arg;
+  if (arg instanceof Error) return arg.message;
+  if (arg === undefined) return 'undefined';
+  try {
+    return JSON.stringify(redact(arg));
+  } catch (error) {
+    return String(arg);
+  }
+}
+
+function emit(level, bindings, args) {
+  if (LEVELS[level] < LOG_LEVEL) return;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redactText(args.map(formatArg).join(' ')),
+    correlationId: currentCorrelationId(),
+    ...bindings,
+  };
+  const error = args.find((arg) => arg instanceof Error);
+  if (error && LEVELS[level] >= LEVELS.error) entry.stack = redactText(error.stack || '');
+  const line = JSON.stringify(entry);
+  if (LEVELS[level] >= LEVELS.warn) {
+    writeErr(line);
+  } else {
+    writeOut(line);
+  }
+}
+
+// A logger whose lines all carry the given fields (e.g. { tenant }). Each
+// method takes console-style arguments.
+function createLogger(bindings = {}) {
+  return {
+    debug: (...args) => emit('debug', bindings, args),
+    info: (...args) => emit('info', bindings, args),
+    warn: (...args) => emit('warn', bindings, args),
+    error: (...args) => emit('error', bindings, args),
+    child: (more) => createLogger({ ...bindings, ...more }),
+  };
+}
+
+const logger = createLogger();
+
+// Send console.* through the structured logger, so modules that log with
+// console get the same format, redaction and correlation IDs
+function captureConsole() {
+  console.debug = logger.debug;
+  console.log = logger.info;
+  console.info = logger.info;
+  console.warn = logger.warn;
+  console.error = logger.error;
+}
+
+// Express middleware: give the request a correlation ID (the caller's
+// X-Correlation-Id when it sends a sane one) and run the rest of the chain
+// under it. Body parsers that read the stream lose the async context, so it is
+// safe to use again after them; the ID is kept on req.correlationId.
+function correlateRequest(req, res, next) {
+  if (!req.correlationId) {
+    const presented = req.get('x-correlation-id') || '';
+    req.correlationId = /^[\w.-]{1,64}$/.test(presented) ? presented : newCorrelationId();
+    res.set('X-Correlation-Id', req.correlationId);
+  }
+  withCorrelation(req.correlationId, next);
+}
+
+module.exports = {
+  logger,
+  createLogger,
+  captureConsole,
+  correlateRequest,
+  withCorrelation,
+  currentCorrelationId,
+  newCorrelationId,
+  redact,
+  redactText,
+};
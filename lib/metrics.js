@@ -0,0 +1,146 @@
+// In-process metrics served at /metrics in the Prometheus text format. Values
+// reset when the process restarts, which Prometheus handles for counters.
+
+const UUID_SEGMENT = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi;
+// GHL IDs: 16+ characters mixing letters and digits
+const ID_SEGMENT = /(?<=\/)(?=[A-Za-z0-9]*\d)(?=[A-Za-z0-9]*[A-Za-z])[A-Za-z0-9]{16,}(?=\/|\.|$)/g;
+
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] === undefined ? '' : labels[name])));
+}
+
+function escapeLabel(value) {
+  return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, values, extra = '') {
+  const parts = labelNames.map((name, index) => `${name}="${escapeLabel(values[index])}"`);
+  if (extra) parts.push(extra);
+  return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+class Counter {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = labelKey(this.labelNames, labels);
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    for (const [key, value] of this.values) {
+      lines.push(`${this.name}${formatLabels(this.labelNames, JSON.parse(key))} ${value}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+class Histogram {
+  constructor(name, help, labelNames = [], buckets = [0.1, 0.5, 1, 5, 15, 30, 60, 120, 300]) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.buckets = buckets;
+    this.values = new Map();
+  }
+
+  observe(labels, value) {
+    const key = labelKey(this.labelNames, labels);
+    const series = this.values.get(key) || { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+    this.values.set(key, series);
+  }
+
+  // Start timing; the returned function records the elapsed seconds
+  startTimer(labels) {
+    const startedAt = process.hrtime.bigint();
+    return () => this.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const [key, series] of this.values) {
+      const values = JSON.parse(key);
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, `le="${bound}"`)} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, 'le="+Inf"')} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${series.count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+const pollDuration = new Histogram('sync_poll_duration_seconds', 'Duration of reconciliation poll runs', ['tenant', 'poll']);
+const recordsProcessed = new Counter('sync_records_processed_total', 'ServiceM8 records handled by polls and webhook events', [
+  'tenant',
+  'kind',
+]);
+const apiRequests = new Counter('sync_api_requests_total', 'Calls to the ServiceM8 and GHL APIs', ['system', 'endpoint', 'status']);
+const apiErrors = new Counter('sync_api_errors_total', 'Failed calls to the ServiceM8 and GHL APIs', ['system', 'endpoint', 'status']);
+const webhookDeliveries = new Counter('sync_webhook_deliveries_total', 'Outbound webhook delivery attempts', [
+  'tenant',
+  'event',
+  'outcome',
+]);
+const webhooksReceived = new Counter('sync_webhooks_received_total', 'Inbound webhooks by outcome', ['tenant', 'source', 'outcome']);
+
+const ALL_METRICS = [pollDuration, recordsProcessed, apiRequests, apiErrors, webhookDeliveries, webhooksReceived];
+
+function render() {
+  return `${ALL_METRICS.map((metric) => metric.render()).join('\n')}\n`;
+}
+
+// The endpoint an API call hit, without query string or record IDs, so
+// /companycontact/<uuid>.json and /companycontact/<other uuid>.json count together
+function endpointOf(config) {
+  const url = (config.url || '').split('?')[0];
+  const pathname = /^https?:\/\//.test(url) ? new URL(url).pathname : url;
+  return `${(config.method || 'get').toUpperCase()} ${pathname.replace(UUID_SEGMENT, ':id').replace(ID_SEGMENT, ':id')}`;
+}
+
+// Count every request an axios instance makes, by endpoint and status, and
+// log it at debug level
+function instrumentApi(api, system) {
+  api.interceptors.response.use(
+    (response) => {
+      const endpoint = endpointOf(response.config);
+      apiRequests.inc({ system, endpoint, status: response.status });
+      console.debug(`${system} ${endpoint} -> ${response.status}`);
+      return response;
+    },
+    (error) => {
+      if (error.config) {
+        const endpoint = endpointOf(error.config);
+        const status = error.response ? error.response.status : error.code || 'network';
+        apiRequests.inc({ system, endpoint, status });
+        apiErrors.inc({ system, endpoint, status });
+        console.debug(`${system} ${endpoint} failed: ${status}`);
+      }
+      throw error;
+    }
+  );
+  return api;
+}
+
+module.exports = {
+  pollDuration,
+  recordsProcessed,
+  apiRequests,
+  apiErrors,
+  webhookDeliveries,
+  webhooksReceived,
+  render,
+  instrumentApi,
+};
@@ -0,0 +1,186 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const path = require('path');
+const { JsonStore } = require('./store');
+const { PersistentQueue } = require('./queue');
+const metrics = require('./metrics');
+
+// Attempts per delivery before it is marked failed, and the delay before the
+// first retry (doubling after each failure: 1, 2, 4, ... minutes by default)
+const OUTBOX_MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS, 10) || 8;
+const OUTBOX_RETRY_DELAY_SECONDS = parseInt(process.env.OUTBOX_RETRY_DELAY_SECONDS, 10) || 60;
+const DELIVERY_TIMEOUT_MS = 15 * 1000;
+// Attempts kept in each delivery's history; older ones are dropped
+const MAX_ATTEMPT_HISTORY = 20;
+
+const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  FAILED: 'failed',
+};
+
+// "sha256=<hex>" HMAC of the exact body sent, the same scheme inbound webhooks
+// are checked with (see signatureMatches in lib/auth.js)
+function sign(body, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function summarize(delivery) {
+  const { payload, attempts, ...summary } = delivery;
+  return { ...summary, attemptCount: attempts.length, lastAttempt: attempts[attempts.length - 1] || null };
+}
+
+// Outbound webhook deliveries for one tenant. Each delivery is stored with its
+// payload and attempt history under the given data subdirectory and sent from
+// a persistent queue, so it survives restarts and is retried with exponential
+// backoff until it succeeds or runs out of attempts. Bodies are signed with
+// signingSecret in X-Signature when one is configured.
+function createOutbox({ dir, label, tenantId, signingSecret }) {
+  const store = new JsonStore(path.join(dir, 'webhook-deliveries.json'), () => ({ deliveries: {} }));
+
+  function updateDelivery(id, fn) {
+    return store.update((data) => {
+      const delivery = data.deliveries[id];
+      if (delivery) fn(delivery);
+      return delivery ? { ...delivery } : null;
+    });
+  }
+
+  function recordAttempt(id, attempt, changes) {
+    return updateDelivery(id, (delivery) => {
+      delivery.attempts.push(attempt);
+      delivery.attempts = delivery.attempts.slice(-MAX_ATTEMPT_HISTORY);
+      Object.assign(delivery, changes, { updatedAt: attempt.at });
+    });
+  }
+
+  async function deliver({ deliveryId }, item) {
+    const delivery = await store.read((data) => data.deliveries[deliveryId] || null);
+    if (!delivery) {
+      console.log(`${label}: delivery ${deliveryId} no longer exists, dropping it`);
+      return;
+    }
+    const body = JSON.stringify(delivery.payload);
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Delivery-Id': delivery.id,
+      'X-Delivery-Attempt': String(item.attempts + 1),
+      'X-Event': delivery.event,
+    };
+    if (signingSecret) headers['X-Signature'] = sign(body, signingSecret);
+
+    const startedAt = Date.now();
+    const at = new Date(startedAt).toISOString();
+    try {
+      const response = await axios.post(delivery.url, body, { headers, timeout: DELIVERY_TIMEOUT_MS });
+      await recordAttempt(
+        deliveryId,
+        { at, statusCode: response.status, durationMs: Date.now() - startedAt, error: null },
+        { status: DELIVERY_STATUS.DELIVERED, deliveredAt: new Date().toISOString() }
+      );
+      metrics.webhookDeliveries.inc({ tenant: tenantId, event: delivery.event, outcome: 'success' });
+      console.log(`${label}: delivered ${delivery.event} ${deliveryId}: status=${response.status}`);
+    } catch (error) {
+      metrics.webhookDeliveries.inc({ tenant: tenantId, event: delivery.event, outcome: 'failure' });
+      const detail = error.response ? JSON.stringify(error.response.data) : error.message;
+      await recordAttempt(deliveryId, {
+        at,
+        statusCode: error.response ? error.response.status : null,
+        durationMs: Date.now() - startedAt,
+        error: detail,
+      });
+      throw error;
+    }
+  }
+
+  const queue = new PersistentQueue('webhook-outbox', deliver, {
+    dir,
+    label,
+    maxAttempts: OUTBOX_MAX_ATTEMPTS,
+    baseDelayMs: OUTBOX_RETRY_DELAY_SECONDS * 1000,
+    onDeadLetter: ({ deliveryId }) =>
+      updateDelivery(deliveryId, (delivery) => {
+        delivery.status = DELIVERY_STATUS.FAILED;
+        delivery.failedAt = new Date().toISOString();
+      }),
+  });
+
+  // Store a delivery and queue it for sending; resolves to the stored delivery
+  async function enqueue({ url, event, payload, source = null }) {
+    if (!url) {
+      throw new Error(`No webhook URL configured for ${event}`);
+    }
+    const now = new Date().toISOString();
+    const delivery = {
+      id: crypto.randomUUID(),
+      event,
+      url,
+      source,
+      payload,
+      status: DELIVERY_STATUS.PENDING,
+      attempts: [],
+      queueItemId: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    await store.update((data) => {
+      data.deliveries[delivery.id] = delivery;
+    });
+    const item = await queue.enqueue({ deliveryId: delivery.id }, delivery.id);
+    await updateDelivery(delivery.id, (stored) => {
+      stored.queueItemId = item.id;
+    });
+    return { ...delivery, queueItemId: item.id };
+  }
+
+  // Deliveries newest first, optionally only those with the given status or
+  // whose source starts with the given prefix
+  function list({ status = null, source = null, limit = 100 } = {}) {
+    return store.read((data) =>
+      Object.values(data.deliveries)
+        .filter((delivery) => !status || delivery.status === status)
+        .filter((delivery) => !source || (delivery.source || '').startsWith(source))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit)
+        .map(summarize)
+    );
+  }
+
+  function get(id) {
+    return store.read((data) => (data.deliveries[id] ? { ...data.deliveries[id] } : null));
+  }
+
+  // Send a failed delivery again with a fresh attempt count, keeping its
+  // history. Resolves to the delivery, or null when it is not failed.
+  async function replay(id) {
+    const delivery = await get(id);
+    if (!delivery || delivery.status !== DELIVERY_STATUS.FAILED) return null;
+    const item = await queue.retryDeadLetter(delivery.queueItemId);
+    if (!item) return null;
+    return updateDelivery(id, (stored) => {
+      stored.status = DELIVERY_STATUS.PENDING;
+      stored.replayedAt = new Date().toISOString();
+      delete stored.failedAt;
+    });
+  }
+
+  // Drop delivered deliveries older than the retention period; failed ones
+  // stay until they are replayed. Resolves to how many were removed.
+  function prune(retentionDays) {
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    return store.update((data) => {
+      let removed = 0;
+      for (const [id, delivery] of Object.entries(data.deliveries)) {
+        if (delivery.status === DELIVERY_STATUS.DELIVERED && Date.parse(delivery.deliveredAt) < cutoff) {
+          delete data.deliveries[id];
+          removed++;
+        }
+      }
+      return removed;
+    });
+  }
+
+  return { enqueue, list, get, replay, prune, start: () => queue.start() };
+}
+
+module.exports = { DELIVERY_STATUS, createOutbox };
@@ -0,0 +1,173 @@
+const { parsePhone, formatForGhl } = require('./phone');
+
+// The body a payment trigger rule sends to its webhook. Version 1 (the
+// default) is the original payload and must not change, since live GHL
+// workflows read it:
+//
+//   { paymentUuid, jobUuid, clientEmail, ghlContactId, status }
+//
+// Version 2 keeps those fields, adds "payloadVersion": 2 and the sections a
+// rule asks for (all of them unless "include" lists some):
+//
+//   "payload": { "version": 2, "include": ["payment", "invoice", "client"] }
+//
+//   payment      { amount, method, date, note }
+//   invoice      { number, total, paidTotal }
+//   job          { number, status, address, description, completionDate }
+//   technicians  [{ name, email }] - staff on the job's activities
+//   lineItems    [{ name, quantity, unitPrice, total }] - the job's materials
+//   client       { companyName, firstName, lastName, name, email, phone }
+//
+// Sections are additive: a new field may appear in a version, but fields are
+// never renamed or removed without a new version number.
+
+const PAYLOAD_VERSIONS = [1, 2];
+const PAYLOAD_SECTIONS = ['payment', 'invoice', 'job', 'technicians', 'lineItems', 'client'];
+
+// A rule's payload config with defaults filled in, validated
+function resolvePayloadConfig(config, where) {
+  const version = config && config.version !== undefined ? Number(config.version) : 1;
+  if (!PAYLOAD_VERSIONS.includes(version)) {
+    throw new Error(`${where}.payload has unknown version "${config.version}"; known: ${PAYLOAD_VERSIONS.join(', ')}`);
+  }
+  const include = (config && config.include) || PAYLOAD_SECTIONS;
+  if (!Array.isArray(include)) {
+    throw new Error(`${where}.payload.include must be a list`);
+  }
+  for (const section of include) {
+    if (!PAYLOAD_SECTIONS.includes(section)) {
+      throw new Error(`${where}.payload includes unknown section "${section}"; known: ${PAYLOAD_SECTIONS.join(', ')}`);
+    }
+  }
+  return { version, include: version === 1 ? [] : include };
+}
+
+function includes(payloadConfig, section) {
+  return payloadConfig.include.includes(section);
+}
+
+function amount(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// ServiceM8 leaves unset dates as zero dates
+function stamp(value) {
+  return value && !String(value).startsWith('0000-00-00') ? value : null;
+}
+
+async function getTechnicians(serviceM8Api, jobUuid) {
+  const activitiesResponse = await serviceM8Api.get('/jobactivity.json', {
+    params: { '$filter': `job_uuid eq '${jobUuid}'` },
+  });
+  const staffUuids = [
+    ...new Set(
+      (activitiesResponse.data || [])
+        .filter((activity) => Number(activity.active) === 1 && activity.staff_uuid)
+        .map((activity) => activity.staff_uuid)
+    ),
+  ];
+  return Promise.all(
+    staffUuids.map(async (staffUuid) => {
+      const staffResponse = await serviceM8Api.get(`/staff/${staffUuid}.json`);
+      const staff = staffResponse.data || {};
+      return { name: `${staff.first || ''} ${staff.last || ''}`.trim(), email: staff.email || '' };
+    })
+  );
+}
+
+async function getLineItems(serviceM8Api, jobUuid) {
+  const materialsResponse = await serviceM8Api.get('/jobmaterial.json', {
+    params: { '$filter': `job_uuid eq '${jobUuid}'` },
+  });
+  return (materialsResponse.data || [])
+    .filter((material) => Number(material.active) !== 0)
+    .map((material) => ({
+      name: material.name || '',
+      quantity: amount(material.quantity),
+      unitPrice: amount(material.price),
+      total: amount(material.displayed_amount),
+    }));
+}
+
+async function getClient(serviceM8Api, job, contact) {
+  let companyName = '';
+  if (job.company_uuid) {
+    const companyResponse = await serviceM8Api.get(`/company/${job.company_uuid}.json`);
+    companyName = (companyResponse.data && companyResponse.data.name) || '';
+  }
+  const parsedPhone = parsePhone(contact.mobile || contact.phone, { allowInternational: true });
+  return {
+    companyName,
+    firstName: contact.first || '',
+    lastName: contact.last || '',
+    name: `${contact.first || ''} ${contact.last || ''}`.trim() || companyName,
+    email: (contact.email || '').trim().toLowerCase(),
+    phone: parsedPhone ? formatForGhl(parsedPhone) : contact.mobile || contact.phone || '',
+  };
+}
+
+// Build the webhook body for a rule that fired. facts are those the rules were
+// evaluated with (see evaluatePayment in server.js); contact is the client's
+// primary company contact, or {} when it has none.
+async function buildPaymentPayload(serviceM8Api, payloadConfig, { rule, payment, job, facts, contact }) {
+  const payload = {
+    paymentUuid: payment.uuid,
+    jobUuid: job.uuid,
+    clientEmail: facts.clientEmail || '',
+    ghlContactId: facts.ghlContactId,
+    status: rule.event,
+  };
+  if (payloadConfig.version === 1) return payload;
+
+  payload.payloadVersion = payloadConfig.version;
+  if (includes(payloadConfig, 'payment')) {
+    payload.payment = {
+      amount: amount(payment.amount),
+      method: payment.method || '',
+      date: stamp(payment.timestamp) || stamp(payment.edit_date),
+      note: payment.note || '',
+    };
+  }
+  if (includes(payloadConfig, 'invoice')) {
+    payload.invoice = {
+      number: job.generated_job_id || '',
+      total: amount(job.total_invoice_amount),
+      paidTotal: facts.paidTotal,
+    };
+  }
+  if (includes(payloadConfig, 'job')) {
+    payload.job = {
+      number: job.generated_job_id || '',
+      status: job.status || '',
+      address: job.job_address || '',
+      description: job.job_description || '',
+      completionDate: facts.completionDate ? facts.completionDate.format() : null,
+    };
+  }
+  const [technicians, lineItems, client] = await Promise.all([
+    includes(payloadConfig, 'technicians') ? getTechnicians(serviceM8Api, job.uuid) : null,
+    includes(payloadConfig, 'lineItems') ? getLineItems(serviceM8Api, job.uuid) : null,
+    includes(payloadConfig, 'client') ? getClient(serviceM8Api, job, contact || {}) : null,
+  ]);
+  if (technicians) payload.technicians = technicians;
+  if (lineItems) payload.lineItems = lineItems;
+  if (client) payload.client = client;
+  return payload;
+}
+
+// Whether a rule's payload needs the job's completion date or payment totals
+function payloadNeeds(payloadConfig) {
+  return {
+    completionDate: includes(payloadConfig, 'job'),
+    paymentTotals: includes(payloadConfig, 'invoice'),
+  };
+}
+
+module.exports = {
+  PAYLOAD_VERSIONS,
+  PAYLOAD_SECTIONS,
+  resolvePayloadConfig,
+  buildPaymentPayload,
+  payloadNeeds,
+};
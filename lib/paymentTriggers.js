@@ -0,0 +1,166 @@
+const moment = require('moment-timezone');
+const { resolvePayloadConfig, payloadNeeds } = require('./paymentPayload');
+
+// Rules deciding which ServiceM8 payments fire a GHL webhook. Each tenant may
+// configure a list of them:
+//
+//   "paymentTriggers": [
+//     {
+//       "name": "invoice-paid",
+//       "completedOnOrAfter": "2025-05-24",
+//       "jobStatuses": ["Completed"],
+//       "minAmount": 50,
+//       "payment": "full",
+//       "repeatCustomers": true,
+//       "webhookUrl": "https://services.leadconnectorhq.com/hooks/...",
+//       "event": "Invoice Paid",
+//       "payload": { "version": 2 }
+//     }
+//   ]
+//
+// A payment fires a rule when it is active with a positive amount of at least
+// minAmount and its job:
+//   - has one of jobStatuses (compared case-insensitively; any status if left out)
+//   - was completed on or after completedOnOrAfter, a date in the tenant's
+//     timezone (no date check if left out)
+//   - is paid as "payment" says: "full" (the job's active payments cover its
+//     invoice total), "partial" (they do not yet) or "any" (the default)
+// Each rule fires at most once per payment. A contact that already fired the
+// rule fires it again for a new job only when repeatCustomers is true.
+// webhookUrl defaults to the tenant's webhookUrl and event (sent as the
+// payload status) to "Invoice Paid"; payload picks the body sent (see
+// lib/paymentPayload.js). A payment fires every rule it matches.
+// Without paymentTriggers the tenant uses DEFAULT_RULES, the single trigger
+// this integration always had.
+
+const PAYMENT_KINDS = ['any', 'full', 'partial'];
+const DATE_FORMAT = 'YYYY-MM-DD';
+// Payments within a cent of the invoice total count as paying it in full
+const AMOUNT_TOLERANCE = 0.005;
+
+const DEFAULT_RULES = [
+  {
+    name: 'invoice-paid',
+    completedOnOrAfter: '2025-05-24',
+    jobStatuses: ['Completed'],
+    payment: 'any',
+    repeatCustomers: false,
+    event: 'Invoice Paid',
+  },
+];
+
+// The tenant's rules with defaults filled in, validated
+function resolvePaymentTriggers(config) {
+  const rules = config || DEFAULT_RULES;
+  if (!Array.isArray(rules)) {
+    throw new Error('paymentTriggers must be a list of rules');
+  }
+  return rules.map((rule, index) => {
+    const where = `paymentTriggers[${index}]`;
+    if (!rule.name || typeof rule.name !== 'string') {
+      throw new Error(`${where} needs a name`);
+    }
+    // Fired triggers are remembered by rule name
+    if (rules.slice(0, index).some((r) => r.name === rule.name)) {
+      throw new Error(`${where} repeats name "${rule.name}"`);
+    }
+    if (rule.completedOnOrAfter && !moment(rule.completedOnOrAfter, DATE_FORMAT, true).isValid()) {
+      throw new Error(`${where} has completedOnOrAfter "${rule.completedOnOrAfter}"; expected ${DATE_FORMAT}`);
+    }
+    if (rule.jobStatuses && !Array.isArray(rule.jobStatuses)) {
+      throw new Error(`${where} jobStatuses must be a list`);
+    }
+    if (rule.minAmount !== undefined && !(Number(rule.minAmount) >= 0)) {
+      throw new Error(`${where} has minAmount "${rule.minAmount}"; expected a number of at least 0`);
+    }
+    if (rule.payment && !PAYMENT_KINDS.includes(rule.payment)) {
+      throw new Error(`${where} has unknown payment "${rule.payment}"; expected one of ${PAYMENT_KINDS.join(', ')}`);
+    }
+    return {
+      name: rule.name,
+      completedOnOrAfter: rule.completedOnOrAfter || null,
+      jobStatuses: rule.jobStatuses ? rule.jobStatuses.map((status) => String(status).toLowerCase()) : null,
+      minAmount: rule.minAmount !== undefined ? Number(rule.minAmount) : 0,
+      payment: rule.payment || 'any',
+      repeatCustomers: rule.repeatCustomers === true,
+      webhookUrl: rule.webhookUrl || null,
+      event: rule.event || 'Invoice Paid',
+      payload: resolvePayloadConfig(rule.payload, where),
+    };
+  });
+}
+
+// Whether any rule (or the payload it sends) needs the job's completion date,
+// or its payment totals, so callers only look them up when they matter
+function needsCompletionDate(rules) {
+  return rules.some((rule) => rule.completedOnOrAfter || payloadNeeds(rule.payload).completionDate);
+}
+
+function needsPaymentTotals(rules) {
+  return rules.some((rule) => rule.payment !== 'any' || payloadNeeds(rule.payload).paymentTotals);
+}
+
+// Ledger IDs recording that a rule fired for a payment, a job and a contact
+function triggerKeys(rule, { paymentUuid, jobUuid, contactKey }) {
+  return {
+    payment: `${rule.name}:payment:${paymentUuid}`,
+    job: `${rule.name}:job:${jobUuid}`,
+    contact: contactKey ? `${rule.name}:contact:${contactKey}` : null,
+  };
+}
+
+// Evaluate one rule against what is known about a payment:
+//   facts:   { active, amount, jobStatus, completionDate (moment or null),
+//              invoiceTotal, paidTotal, contactKey }
+//   history: { payment, job, contact } - whether the rule already fired for each
+// Every check runs, so the result explains all the reasons a rule does or does
+// not fire: { rule, event, fires, checks: [{ check, passed, detail }] }
+function evaluateRule(rule, facts, history, timezone) {
+  const checks = [];
+  const check = (name, passed, detail) => checks.push({ check: name, passed: Boolean(passed), detail });
+
+  check('paid', Number(facts.active) === 1 && Number(facts.amount) > 0, `active=${facts.active}, amount=${facts.amount}`);
+  if (rule.minAmount > 0) {
+    check('minAmount', Number(facts.amount) >= rule.minAmount, `amount ${facts.amount}, minimum ${rule.minAmount}`);
+  }
+  if (rule.jobStatuses) {
+    check(
+      'jobStatus',
+      rule.jobStatuses.includes((facts.jobStatus || '').toLowerCase()),
+      `job status "${facts.jobStatus}", wanted ${rule.jobStatuses.join(' or ')}`
+    );
+  }
+  if (rule.completedOnOrAfter) {
+    const cutoff = moment.tz(rule.completedOnOrAfter, DATE_FORMAT, timezone).startOf('day');
+    check(
+      'completedOnOrAfter',
+      facts.completionDate && facts.completionDate.isSameOrAfter(cutoff),
+      facts.completionDate
+        ? `completed ${facts.completionDate.format('YYYY-MM-DD HH:mm:ss')}, cutoff ${cutoff.format('YYYY-MM-DD HH:mm:ss')}`
+        : 'no completion date'
+    );
+  }
+  if (rule.payment !== 'any') {
+    const invoiceTotal = Number(facts.invoiceTotal) || 0;
+    const paidTotal = Number(facts.paidTotal) || 0;
+    const full = invoiceTotal > 0 && paidTotal >= invoiceTotal - AMOUNT_TOLERANCE;
+    check(rule.payment === 'full' ? 'fullPayment' : 'partialPayment', rule.payment === 'full' ? full : !full, `paid ${paidTotal} of ${invoiceTotal}`);
+  }
+  check('notFiredForPayment', !history.payment, history.payment ? 'already fired for this payment' : 'not fired yet');
+  if (rule.repeatCustomers) {
+    check('notFiredForJob', !history.job, history.job ? 'already fired for this job' : 'not fired yet');
+  } else if (facts.contactKey) {
+    check('notFiredForContact', !history.contact, history.contact ? `already fired for ${facts.contactKey}` : 'not fired yet');
+  }
+
+  return { rule: rule.name, event: rule.event, fires: checks.every((c) => c.passed), checks };
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  resolvePaymentTriggers,
+  needsCompletionDate,
+  needsPaymentTotals,
+  triggerKeys,
+  evaluateRule,
+};
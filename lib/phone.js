@@ -0,0 +1,90 @@
+// Phone number parsing and formatting. Every place that reads or writes a
+// phone field goes through here so numbers compare and display the same way in
+// ServiceM8 and GHL.
+
+// Accept non-Australian numbers written in international form (+<country code> ...)
+const ALLOW_INTERNATIONAL_PHONES = process.env.ALLOW_INTERNATIONAL_PHONES === 'true';
+
+const PHONE_TYPE = {
+  MOBILE: 'mobile',
+  LANDLINE: 'landline',
+  // 13, 1300 and 1800 numbers: dialable only inside Australia, no E.164 form
+  SPECIAL: 'special',
+  INTERNATIONAL: 'international',
+};
+
+// Parse a phone number in any of the usual formats (0412 345 678,
+// (07) 3123 4567, +61 412 345 678, 61412345678, 1300 123 456, +44 20 ...).
+// Resolves to { e164, national, type } or null when it is not a phone number
+// we accept; e164 is null for SPECIAL numbers and national is null for
+// INTERNATIONAL ones.
+function parsePhone(input, { allowInternational = ALLOW_INTERNATIONAL_PHONES } = {}) {
+  if (input === null || input === undefined) return null;
+  const compact = String(input).replace(/[\s().-]/g, '');
+  if (!compact) return null;
+
+  if (/^(?:1[38]00\d{6}|13\d{4})$/.test(compact)) {
+    return { e164: null, national: compact, type: PHONE_TYPE.SPECIAL };
+  }
+
+  let national = null;
+  if (/^\+61\d{9}$/.test(compact)) {
+    national = compact.slice(3);
+  } else if (/^61\d{9}$/.test(compact)) {
+    national = compact.slice(2);
+  } else if (/^0\d{9}$/.test(compact)) {
+    national = compact.slice(1);
+  }
+  if (national) {
+    if (national.startsWith('4')) {
+      return { e164: `+61${national}`, national: `0${national}`, type: PHONE_TYPE.MOBILE };
+    }
+    if (/^[2378]/.test(national)) {
+      return { e164: `+61${national}`, national: `0${national}`, type: PHONE_TYPE.LANDLINE };
+    }
+    return null;
+  }
+
+  if (allowInternational && /^\+[1-9]\d{6,14}$/.test(compact) && !compact.startsWith('+61')) {
+    return { e164: compact, national: null, type: PHONE_TYPE.INTERNATIONAL };
+  }
+  return null;
+}
+
+// How ServiceM8 shows numbers to office staff: 0412 345 678, (07) 3123 4567,
+// 1300 123 456, or E.164 for overseas numbers
+function formatForServiceM8(parsed) {
+  const n = parsed.national;
+  switch (parsed.type) {
+    case PHONE_TYPE.MOBILE:
+      return `${n.slice(0, 4)} ${n.slice(4, 7)} ${n.slice(7)}`;
+    case PHONE_TYPE.LANDLINE:
+      return `(${n.slice(0, 2)}) ${n.slice(2, 6)} ${n.slice(6)}`;
+    case PHONE_TYPE.SPECIAL:
+      return n.length === 10 ? `${n.slice(0, 4)} ${n.slice(4, 7)} ${n.slice(7)}` : `${n.slice(0, 2)} ${n.slice(2, 4)} ${n.slice(4)}`;
+    default:
+      return parsed.e164;
+  }
+}
+
+// GHL needs E.164 for SMS and calling; special numbers stay as dialled
+function formatForGhl(parsed) {
+  return parsed.e164 || parsed.national;
+}
+
+// Key for deciding whether two numbers are the same: E.164 when the number
+// parses, otherwise its digits
+function phoneKey(phone) {
+  const parsed = parsePhone(phone, { allowInternational: true });
+  if (parsed) return parsed.e164 || parsed.national;
+  return (phone || '').replace(/\D/g, '') || null;
+}
+
+module.exports = {
+  ALLOW_INTERNATIONAL_PHONES,
+  PHONE_TYPE,
+  parsePhone,
+  formatForServiceM8,
+  formatForGhl,
+  phoneKey,
+};
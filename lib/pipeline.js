@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const path = require('path');
+const { JsonStore } = require('./store');
+const { PersistentQueue } = require('./queue');
+
+const RUN_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  RETRYING: 'retrying',
+  COMPLETED: 'completed',
+  DEAD_LETTERED: 'dead_lettered',
+  HELD: 'held',
+};
+
+// Thrown by a step that cannot go on without a person deciding something. The
+// run is parked as held (not retried) until resume() is called with the
+// decision merged into its input.
+class RunHeldError extends Error {
+  constructor(reason, details = {}) {
+    super(reason);
+    this.name = 'RunHeldError';
+    this.details = details;
+  }
+}
+
+// Runs a fixed sequence of named steps for each submitted input, in the
+// background. Each step's output is saved on the run as soon as it succeeds,
+// so a retried run resumes at the step that failed instead of starting over.
+// Runs are retried with exponential backoff by the underlying queue and end up
+// dead-lettered once it gives up.
+//
+// A step is { name, run: async (input, outputs, context) => output }, where
+// outputs holds the saved output of every earlier step keyed by step name and
+// context comes from options.getContext(input). options.dir and options.label
+// are passed through to the queue. A step throws RunHeldError to park the run
+// for a manual decision.
+class Pipeline {
+  constructor(name, steps, options = {}) {
+    this.name = options.label || name;
+    this.steps = steps;
+    this.getContext = options.getContext || (() => ({}));
+    this.store = new JsonStore(path.join(options.dir || '', `pipeline-${name}.json`), () => ({ runs: {} }));
+    this.queue = new PersistentQueue(`pipeline-${name}`, ({ runId }) => this.execute(runId), {
+      dir: options.dir,
+      label: this.name,
+      maxAttempts: options.maxAttempts,
+      baseDelayMs: options.baseDelayMs,
+      onDeadLetter: ({ runId }, error) => this.markDeadLettered(runId, error),
+    });
+  }
+
+  async submit(input) {
+    const run = {
+      id: crypto.randomUUID(),
+      status: RUN_STATUS.QUEUED,
+      input,
+      steps: {},
+      error: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+    await this.store.update((data) => {
+      data.runs[run.id] = run;
+    });
+    await this.queue.enqueue({ runId: run.id }, run.id);
+    return run;
+  }
+
+  getRun(runId) {
+    return this.store.read((data) => data.runs[runId] || null);
+  }
+
+  updateRun(runId, fn) {
+    return this.store.update((data) => {
+      const run = data.runs[runId];
+      if (!run) return null;
+      fn(run);
+      run.updatedAt = new Date().toISOString();
+      return run;
+    });
+  }
+
+  async execute(runId) {
+    const run = await this.getRun(runId);
+    if (!run) {
+      console.log(`${this.name} run ${runId} no longer exists, dropping`);
+      return;
+    }
+
+    const context = this.getContext(run.input);
+    const outputs = {};
+    for (const step of this.steps) {
+      const saved = run.steps[step.name];
+      if (saved && saved.status === 'done') {
+        outputs[step.name] = saved.output;
+        continue;
+      }
+
+      await this.updateRun(runId, (r) => {
+        r.status = RUN_STATUS.RUNNING;
+        r.steps[step.name] = { status: 'running', attempts: ((saved && saved.attempts) || 0) + 1, error: null };
+      });
+      console.log(`${this.name} run ${runId}: starting step ${step.name}`);
+
+      try {
+        outputs[step.name] = (await step.run(run.input, outputs, context)) || {};
+      } catch (error) {
+        if (error instanceof RunHeldError) {
+          await this.updateRun(runId, (r) => {
+            r.status = RUN_STATUS.HELD;
+            r.held = { step: step.name, reason: error.message, details: error.details, heldAt: new Date().toISOString() };
+            r.steps[step.name].status = 'held';
+          });
+          console.log(`${this.name} run ${runId} held at step ${step.name}: ${error.message}`);
+          return;
+        }
+        const message = error.response ? JSON.stringify(error.response.data) : error.message;
+        await this.updateRun(runId, (r) => {
+          r.status = RUN_STATUS.RETRYING;
+          r.error = `${step.name}: ${message}`;
+          r.steps[step.name].status = 'failed';
+          r.steps[step.name].error = message;
+        });
+        throw error;
+      }
+
+      await this.updateRun(runId, (r) => {
+        r.steps[step.name].status = 'done';
+        r.steps[step.name].output = outputs[step.name];
+        r.steps[step.name].completedAt = new Date().toISOString();
+      });
+    }
+
+    await this.updateRun(runId, (r) => {
+      r.status = RUN_STATUS.COMPLETED;
+      r.error = null;
+    });
+    console.log(`${this.name} run ${runId} completed`);
+  }
+
+  markDeadLettered(runId, error) {
+    return this.updateRun(runId, (r) => {
+      r.status = RUN_STATUS.DEAD_LETTERED;
+      r.error = r.error || error;
+    });
+  }
+
+  // Dead-lettered runs together with their queue item IDs
+  async listDeadLetter() {
+    const items = await this.queue.listDeadLetter();
+    const runs = [];
+    for (const item of items) {
+      const run = await this.getRun(item.payload.runId);
+      runs.push({ queueItemId: item.id, failedAt: item.failedAt, attempts: item.attempts, run });
+    }
+    return runs;
+  }
+
+  // Requeue a dead-lettered run; resolves to the run or null if it is not dead-lettered
+  async retry(runId) {
+    const items = await this.queue.listDeadLetter();
+    const item = items.find((i) => i.payload.runId === runId);
+    if (!item) return null;
+    await this.updateRun(runId, (r) => {
+      r.status = RUN_STATUS.QUEUED;
+    });
+    await this.queue.retryDeadLetter(item.id);
+    return this.getRun(runId);
+  }
+
+  // Runs parked by a step until someone decides
+  listHeld() {
+    return this.store.read((data) => Object.values(data.runs).filter((run) => run.status === RUN_STATUS.HELD));
+  }
+
+  // Continue a held run with inputPatch merged into its input; resolves to the
+  // run or null if it is not held
+  async resume(runId, inputPatch) {
+    let resumed = false;
+    const run = await this.updateRun(runId, (r) => {
+      if (r.status !== RUN_STATUS.HELD) return;
+      Object.assign(r.input, inputPatch);
+      r.status = RUN_STATUS.QUEUED;
+      r.held = null;
+      resumed = true;
+    });
+    if (!resumed) return null;
+    await this.queue.enqueue({ runId }, runId);
+    return run;
+  }
+
+  // Drop completed runs last updated before the retention period, with the
+  // submission and step outputs they hold. Resolves to how many were removed.
+  prune(retentionDays) {
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    return this.store.update((data) => {
+      let removed = 0;
+      for (const [runId, run] of Object.entries(data.runs)) {
+        if (run.status === RUN_STATUS.COMPLETED && Date.parse(run.updatedAt) < cutoff) {
+          delete data.runs[runId];
+          removed++;
+        }
+      }
+      return removed;
+    });
+  }
+
+  start() {
+    this.queue.start();
+  }
+}
+
+module.exports = { Pipeline, RunHeldError, RUN_STATUS };
@@ -0,0 +1,102 @@
+const moment = require('moment-timezone');
+const path = require('path');
+const { JsonStore } = require('./store');
+
+// Re-read this many minutes before the saved cursor to catch records whose
+// edit_date landed just behind it (clock skew, slow commits on ServiceM8's side)
+const POLL_OVERLAP_MINUTES = parseInt(process.env.POLL_OVERLAP_MINUTES, 10) || 5;
+// Width of each edit_date window when catching up on a backlog
+const POLL_BATCH_MINUTES = parseInt(process.env.POLL_BATCH_MINUTES, 10) || 60;
+// Maximum windows fetched per run; the rest is picked up by the next run
+const POLL_MAX_BATCHES = parseInt(process.env.POLL_MAX_BATCHES, 10) || 24;
+// How far back a poller with no saved cursor starts
+const POLL_INITIAL_LOOKBACK_MINUTES = parseInt(process.env.POLL_INITIAL_LOOKBACK_MINUTES, 10) || 20;
+
+const SERVICEM8_DATE_FORMAT = 'YYYY-MM-DD HH:mm:ss';
+// Finished poll runs kept for the admin dashboard
+const MAX_POLL_RUNS = 100;
+
+// Poller cursors and a log of recent poll runs, stored under the given data
+// subdirectory
+function createPoller(dir) {
+  const store = new JsonStore(path.join(dir, 'cursors.json'), () => ({ cursors: {} }));
+  const runs = new JsonStore(path.join(dir, 'poll-runs.json'), () => ({ runs: [] }));
+
+  function getCursor(name) {
+    return store.read((data) => data.cursors[name] || null);
+  }
+
+  function setCursor(name, timestamp) {
+    return store.update((data) => {
+      data.cursors[name] = timestamp;
+    });
+  }
+
+  function listCursors() {
+    return store.read((data) => ({ ...data.cursors }));
+  }
+
+  // Move a poller back (or forward) to timestamp, or with null forget its
+  // cursor so the next run starts POLL_INITIAL_LOOKBACK_MINUTES ago
+  function resetCursor(name, timestamp = null) {
+    return store.update((data) => {
+      if (timestamp) {
+        data.cursors[name] = timestamp;
+      } else {
+        delete data.cursors[name];
+      }
+    });
+  }
+
+  // run: { id, poll, trigger, startedAt, finishedAt, records, error }
+  function recordRun(run) {
+    return runs.update((data) => {
+      data.runs.push(run);
+      data.runs = data.runs.slice(-MAX_POLL_RUNS);
+      return run;
+    });
+  }
+
+  // Recent runs newest first, optionally of one poll only
+  function listRuns({ poll = null, limit = 50 } = {}) {
+    return runs.read((data) =>
+      data.runs
+        .filter((run) => !poll || run.poll === poll)
+        .reverse()
+        .slice(0, limit)
+    );
+  }
+
+  // Walk edit_date windows from the poller's high-water mark up to now, calling
+  // processWindow with a ServiceM8 $filter for each one. The cursor only moves
+  // past a window once processWindow resolves, so a failed fetch is retried on
+  // the next run instead of being skipped.
+  async function pollIncrementally(name, timezone, processWindow) {
+    const now = moment().tz(timezone);
+    const cursor = await getCursor(name);
+    let windowStart = cursor
+      ? moment(cursor).tz(timezone).subtract(POLL_OVERLAP_MINUTES, 'minutes')
+      : now.clone().subtract(POLL_INITIAL_LOOKBACK_MINUTES, 'minutes');
+
+    let batches = 0;
+    while (windowStart.isBefore(now) && batches < POLL_MAX_BATCHES) {
+      const windowEnd = moment.min(windowStart.clone().add(POLL_BATCH_MINUTES, 'minutes'), now);
+      const from = windowStart.format(SERVICEM8_DATE_FORMAT);
+      const to = windowEnd.format(SERVICEM8_DATE_FORMAT);
+      console.log(`Polling ${name}: edit_date window ${from} to ${to}`);
+
+      await processWindow(`edit_date gt '${from}' and edit_date le '${to}'`);
+      await setCursor(name, windowEnd.toISOString());
+      windowStart = windowEnd;
+      batches++;
+    }
+
+    if (windowStart.isBefore(now)) {
+      console.log(`Polling ${name}: backlog remains after ${batches} windows, continuing next run from ${windowStart.format(SERVICEM8_DATE_FORMAT)}`);
+    }
+  }
+
+  return { getCursor, setCursor, listCursors, resetCursor, recordRun, listRuns, pollIncrementally };
+}
+
+module.exports = { createPoller };
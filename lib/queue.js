@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const path = require('path');
+const { JsonStore } = require('./store');
+const { withCorrelation, currentCorrelationId } = require('./logger');
+
+// A small persistent work queue. Items survive restarts and are handed to the
+// handler one at a time in arrival order. A failing item is retried with
+// exponential backoff and moved to the dead-letter list after maxAttempts.
+// options.dir places the queue file in a data subdirectory (one per tenant);
+// options.label names the queue in log lines. An item is handled under the
+// correlation ID that was current when it was enqueued.
+class PersistentQueue {
+  constructor(name, handler, options = {}) {
+    this.name = options.label || name;
+    this.handler = handler;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.baseDelayMs = options.baseDelayMs || 30 * 1000;
+    this.pollIntervalMs = options.pollIntervalMs || 15 * 1000;
+    this.onDeadLetter = options.onDeadLetter || null;
+    this.store = new JsonStore(path.join(options.dir || '', `queue-${name}.json`), () => ({ items: [], deadLetter: [] }));
+    this.draining = false;
+    this.inFlightId = null;
+    this.timer = null;
+  }
+
+  // Add a payload to the queue. When a key is given and an item with the same
+  // key is still waiting, the payload replaces it instead of queuing twice. An
+  // item the handler is working on is never replaced, as its handler has
+  // already read the old payload.
+  async enqueue(payload, key = null) {
+    const item = await this.store.update((data) => {
+      const pending = key
+        ? data.items.find((i) => i.key === key && i.attempts === 0 && i.id !== this.inFlightId)
+        : null;
+      if (pending) {
+        pending.payload = payload;
+        return pending;
+      }
+      const created = {
+        id: crypto.randomUUID(),
+        key,
+        payload,
+        attempts: 0,
+        lastError: null,
+        correlationId: currentCorrelationId(),
+        createdAt: new Date().toISOString(),
+        nextAttemptAt: Date.now(),
+      };
+      data.items.push(created);
+      return created;
+    });
+    setImmediate(() => this.drain());
+    return item;
+  }
+
+  nextDueItem() {
+    return this.store.read((data) => data.items.find((i) => i.nextAttemptAt <= Date.now()) || null);
+  }
+
+  // Process due items until none are left. Only one drain runs at a time.
+  async drain() {
+    if (this.draining) return;
+    this.draining = true;
+    try {
+      let item;
+      while ((item = await this.nextDueItem())) {
+        await this.processItem(item);
+      }
+    } catch (error) {
+      console.error(`Error draining ${this.name} queue:`, error.message);
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  async processItem(item) {
+    this.inFlightId = item.id;
+    try {
+      await withCorrelation(item.correlationId || item.id, () => this.handler(item.payload, item));
+      await this.store.update((data) => {
+        data.items = data.items.filter((i) => i.id !== item.id);
+      });
+    } catch (error) {
+      const message = error.response ? JSON.stringify(error.response.data) : error.message;
+      const attempts = item.attempts + 1;
+      const deadLettered = attempts >= this.maxAttempts;
+      await this.store.update((data) => {
+        const stored = data.items.find((i) => i.id === item.id);
+        if (!stored) return;
+        stored.attempts = attempts;
+        stored.lastError = message;
+        stored.nextAttemptAt = Date.now() + this.baseDelayMs * 2 ** (attempts - 1);
+        if (deadLettered) {
+          data.items = data.items.filter((i) => i.id !== item.id);
+          data.deadLetter.push({ ...stored, failedAt: new Date().toISOString() });
+        }
+      });
+      if (deadLettered) {
+        console.error(`${this.name} queue item ${item.id} failed ${attempts} times, moved to dead-letter:`, message);
+        if (this.onDeadLetter) {
+          await Promise.resolve(this.onDeadLetter(item.payload, message)).catch((hookError) => {
+            console.error(`Error in ${this.name} dead-letter hook:`, hookError.message);
+          });
+        }
+      } else {
+        console.error(`${this.name} queue item ${item.id} failed (attempt ${attempts}/${this.maxAttempts}), will retry:`, message);
+      }
+    } finally {
+      this.inFlightId = null;
+    }
+  }
+
+  // Items waiting to be handled or retried
+  countPending() {
+    return this.store.read((data) => data.items.length);
+  }
+
+  listDeadLetter() {
+    return this.store.read((data) => data.deadLetter.slice());
+  }
+
+  // Put a dead-lettered item back on the queue with a fresh attempt count.
+  // Resolves to the requeued item, or null when no such item exists.
+  async retryDeadLetter(itemId) {
+    const item = await this.store.update((data) => {
+      const index = data.deadLetter.findIndex((i) => i.id === itemId);
+      if (index === -1) return null;
+      const [deadItem] = data.deadLetter.splice(index, 1);
+      const { failedAt, ...requeued } = deadItem;
+      requeued.attempts = 0;
+      requeued.nextAttemptAt = Date.now();
+      data.items.push(requeued);
+      return requeued;
+    });
+    if (item) setImmediate(() => this.drain());
+    return item;
+  }
+
+  // Periodically pick up items whose retry delay has passed
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.drain(), this.pollIntervalMs);
+    this.drain();
+  }
+}
+
+module.exports = { PersistentQueue };
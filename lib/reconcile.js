@@ -0,0 +1,344 @@
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const path = require('path');
+const { JsonStore } = require('./store');
+const { ENTITY } = require('./ledger');
+const { withCorrelation } = require('./logger');
+const { parsePhone } = require('./phone');
+
+// Fixes applied per batch, and the pause between batches, so a large backfill
+// stays well inside the ServiceM8 and GHL rate limits
+const RECONCILE_BATCH_SIZE = parseInt(process.env.RECONCILE_BATCH_SIZE, 10) || 10;
+const RECONCILE_BATCH_PAUSE_MS = parseInt(process.env.RECONCILE_BATCH_PAUSE_MS, 10) || 2000;
+// Reports kept per tenant, newest last
+const MAX_REPORTS = 20;
+// Entries kept in each list of a report; the counts cover everything found
+const MAX_REPORT_ITEMS = 500;
+
+const SERVICEM8_DATE_FORMAT = 'YYYY-MM-DD HH:mm:ss';
+
+const REPORT_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+};
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Start and end of the scanned range as moments in the tenant's timezone.
+// from is required; to defaults to now. Dates without a time cover whole days.
+function resolveRange({ from, to }, timezone) {
+  const parse = (value, endOfDay) => {
+    const parsed = moment.tz(value, [moment.ISO_8601, 'YYYY-MM-DD'], true, timezone);
+    if (!parsed.isValid()) return null;
+    return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? parsed.endOf('day') : parsed;
+  };
+  if (!from) throw new Error('from is required');
+  const start = parse(String(from), false);
+  if (!start) throw new Error(`from "${from}" is not a date (YYYY-MM-DD) or ISO 8601 time`);
+  const end = to ? parse(String(to), true) : moment().tz(timezone);
+  if (!end) throw new Error(`to "${to}" is not a date (YYYY-MM-DD) or ISO 8601 time`);
+  if (!end.isAfter(start)) throw new Error('to must be after from');
+  return { start, end };
+}
+
+// Report lists keep their first MAX_REPORT_ITEMS entries; counts keep going
+function addFinding(report, list, item) {
+  report.counts[list]++;
+  if (report[list].length < MAX_REPORT_ITEMS) report[list].push(item);
+}
+
+// Scans a date range of a tenant's ServiceM8 companies, contacts, jobs and
+// payments and the GHL contacts added in it, and reports what is out of sync:
+//   missingInGhl        ServiceM8 contacts with no GHL contact
+//   missingInServiceM8  GHL contacts with no ServiceM8 client
+//   unlinked            records whose counterpart exists but was never linked
+//   mismatchedFields    linked pairs whose synced fields differ
+//   unfiredPayments     payments whose payment trigger should have fired
+// A dry run only reports. Otherwise each difference is fixed the way the live
+// sync would, in batches of RECONCILE_BATCH_SIZE. actions carries the sync
+// steps that live in server.js, bound to the tenant:
+//   { syncServiceM8Contact(contact), evaluatePayment(payment), processPayment(payment) }
+// Reports are stored under the tenant's data directory.
+function createReconciler(tenant, actions) {
+  const store = new JsonStore(path.join(tenant.dir, 'reconcile-reports.json'), () => ({ reports: [] }));
+  let running = null;
+
+  function saveReport(report) {
+    return store.update((data) => {
+      data.reports = data.reports.filter((r) => r.id !== report.id);
+      data.reports.push(report);
+      data.reports = data.reports.slice(-MAX_REPORTS);
+    });
+  }
+
+  // A report still marked running was cut short by a restart; nothing will finish it
+  store
+    .update((data) => {
+      const interrupted = data.reports.filter((report) => report.status === REPORT_STATUS.RUNNING);
+      for (const report of interrupted) {
+        report.status = REPORT_STATUS.FAILED;
+        report.error = 'Interrupted by a server restart';
+        report.finishedAt = new Date().toISOString();
+      }
+      return interrupted.length;
+    })
+    .then((count) => {
+      if (count > 0) tenant.log(`Marked ${count} reconcile reports interrupted by a restart as failed`);
+    })
+    .catch((error) => tenant.error('Error closing interrupted reconcile reports:', error.message));
+
+  async function fetchEdited(resource, range) {
+    const filter =
+      `edit_date ge '${range.start.format(SERVICEM8_DATE_FORMAT)}' and ` +
+      `edit_date le '${range.end.format(SERVICEM8_DATE_FORMAT)}'`;
+    const response = await tenant.serviceM8Api.get(`/${resource}.json`, { params: { '$filter': filter } });
+    return (response.data || []).filter((record) => Number(record.active) !== 0);
+  }
+
+  async function isSkipped(type, id) {
+    return Boolean(id && (await tenant.ledger.getSkip(type, id)));
+  }
+
+  async function scanServiceM8Contacts(report, range, fixes, pairs) {
+    const contacts = await fetchEdited('companycontact', range);
+    report.scanned.contacts = contacts.length;
+    for (const contact of contacts) {
+      if (await isSkipped(ENTITY.SERVICEM8_CONTACT, contact.uuid)) continue;
+      const link = await tenant.links.findByCompanyContact(contact.uuid);
+      if (link) {
+        pairs.add(link.ghlContactId);
+        continue;
+      }
+      const name = `${contact.first || ''} ${contact.last || ''}`.trim();
+      if (!contact.email && !name) continue;
+      const parsedPhone =
+        parsePhone(contact.mobile, { allowInternational: true }) || parsePhone(contact.phone, { allowInternational: true });
+      const existing =
+        (contact.email ? await tenant.ghl.findContactByEmail(contact.email) : null) ||
+        (parsedPhone ? await tenant.ghl.findContactByPhone(parsedPhone.e164) : null);
+      const item = { companyContactUuid: contact.uuid, companyUuid: contact.company_uuid, name, email: contact.email || null };
+      if (existing) {
+        addFinding(report, 'unlinked', { ...item, ghlContactId: existing.id });
+      } else {
+        addFinding(report, 'missingInGhl', item);
+      }
+      // Links an existing GHL contact or creates one, as the contact poll does
+      fixes.push({ item: `contact ${contact.uuid}`, run: () => actions.syncServiceM8Contact(contact) });
+    }
+  }
+
+  // Companies carry the synced address, so a company edited in the range puts
+  // its linked pair up for comparison
+  async function scanCompanies(report, range, pairs) {
+    const companies = await fetchEdited('company', range);
+    report.scanned.companies = companies.length;
+    for (const company of companies) {
+      const link = await tenant.links.findByCompany(company.uuid);
+      if (link) pairs.add(link.ghlContactId);
+    }
+  }
+
+  async function scanGhlContacts(report, range, fixes) {
+    const contacts = (await tenant.ghl.listContactsAddedSince(range.start.toDate())).filter(
+      (contact) => new Date(contact.dateAdded) <= range.end.toDate()
+    );
+    report.scanned.ghlContacts = contacts.length;
+    // Matched against the client index as of the start of the scan
+    if (contacts.length > 0) await tenant.clientMatcher.refresh();
+    for (const contact of contacts) {
+      if (await isSkipped(ENTITY.GHL_CONTACT, contact.id)) continue;
+      const link = await tenant.links.get(contact.id);
+      if (link && link.companyContactUuids.length > 0) continue;
+      const { decision, best } = await tenant.clientMatcher.match({
+        firstName: contact.firstName,
+        lastName: contact.lastName,
+        email: contact.email,
+        phone: contact.phone,
+        address: contact.address1,
+      });
+      const item = {
+        ghlContactId: contact.id,
+        name: `${contact.firstName || ''} ${contact.lastName || ''}`.trim(),
+        email: contact.email || null,
+        dateAdded: contact.dateAdded,
+      };
+      if (decision === 'new') {
+        addFinding(report, 'missingInServiceM8', item);
+      } else {
+        addFinding(report, 'unlinked', { ...item, companyUuid: best.companyUuid, match: decision });
+      }
+      // Importing attaches to a confident match or creates the client; a
+      // possible match is left for a person to decide
+      if (tenant.contactSync && tenant.contactSync.config.createInServiceM8 && decision !== 'review') {
+        fixes.push({ item: `GHL contact ${contact.id}`, run: () => tenant.contactSync.importGhlContact(contact.id, tenant.clientMatcher) });
+      }
+    }
+  }
+
+  async function comparePairs(report, pairs, fixes) {
+    if (!tenant.contactSync) return;
+    report.scanned.linkedPairs = pairs.size;
+    for (const ghlContactId of pairs) {
+      if (await isSkipped(ENTITY.GHL_CONTACT, ghlContactId)) continue;
+      const result = await tenant.contactSync.syncLinked(ghlContactId, { dryRun: true });
+      if (result.status !== 'updated') continue;
+      addFinding(report, 'mismatchedFields', {
+        ghlContactId,
+        fields: result.differences,
+        toGhl: result.ghl,
+        toServiceM8: result.servicem8,
+      });
+      fixes.push({ item: `contact pair ${ghlContactId}`, run: () => tenant.contactSync.syncLinked(ghlContactId) });
+    }
+  }
+
+  // Payments edited in the range, and every payment of a job edited in it (a
+  // job completed after it was paid only becomes eligible then)
+  async function scanPayments(report, range, fixes) {
+    const payments = new Map((await fetchEdited('jobpayment', range)).map((payment) => [payment.uuid, payment]));
+    const jobs = await fetchEdited('job', range);
+    report.scanned.jobs = jobs.length;
+    for (const job of jobs) {
+      const paymentsResponse = await tenant.serviceM8Api.get('/jobpayment.json', {
+        params: { '$filter': `job_uuid eq '${job.uuid}'` },
+      });
+      for (const payment of paymentsResponse.data || []) {
+        if (Number(payment.active) === 1) payments.set(payment.uuid, payment);
+      }
+    }
+    report.scanned.payments = payments.size;
+    for (const payment of payments.values()) {
+      // Recorded once every rule has fired for the payment
+      if (await tenant.ledger.isProcessed(ENTITY.SERVICEM8_PAYMENT, payment.uuid)) continue;
+      if ((await isSkipped(ENTITY.SERVICEM8_PAYMENT, payment.uuid)) || (await isSkipped(ENTITY.SERVICEM8_JOB, payment.job_uuid))) {
+        continue;
+      }
+      const { job, results } = await actions.evaluatePayment(payment);
+      const due = job ? results.filter((result) => result.fires).map((result) => result.rule) : [];
+      if (due.length === 0) continue;
+      addFinding(report, 'unfiredPayments', { paymentUuid: payment.uuid, jobUuid: payment.job_uuid, amount: payment.amount, rules: due });
+      fixes.push({ item: `payment ${payment.uuid}`, run: () => actions.processPayment(payment) });
+    }
+  }
+
+  async function applyFixes(report, fixes) {
+    for (let index = 0; index < fixes.length; index += RECONCILE_BATCH_SIZE) {
+      if (index > 0) await sleep(RECONCILE_BATCH_PAUSE_MS);
+      for (const fix of fixes.slice(index, index + RECONCILE_BATCH_SIZE)) {
+        try {
+          await fix.run();
+          report.fixes.succeeded++;
+        } catch (error) {
+          report.fixes.failed++;
+          const detail = error.response ? JSON.stringify(error.response.data) : error.message;
+          if (report.fixes.errors.length < MAX_REPORT_ITEMS) report.fixes.errors.push({ item: fix.item, error: detail });
+          tenant.error(`Reconcile fix for ${fix.item} failed:`, detail);
+        }
+      }
+      await saveReport(report);
+    }
+  }
+
+  async function run(report, range) {
+    const fixes = [];
+    const pairs = new Set();
+    await scanServiceM8Contacts(report, range, fixes, pairs);
+    await scanCompanies(report, range, pairs);
+    await comparePairs(report, pairs, fixes);
+    await scanGhlContacts(report, range, fixes);
+    await scanPayments(report, range, fixes);
+    report.fixes.planned = fixes.length;
+    tenant.log(
+      `Reconcile ${report.id}: ${report.counts.missingInGhl} missing in GHL, ${report.counts.missingInServiceM8} missing in ServiceM8, ` +
+        `${report.counts.unlinked} unlinked, ${report.counts.mismatchedFields} mismatched, ${report.counts.unfiredPayments} unfired payments`
+    );
+    if (!report.dryRun && fixes.length > 0) {
+      await saveReport(report);
+      await applyFixes(report, fixes);
+    }
+  }
+
+  // Start a reconciliation in the background: { from, to, dryRun }. Resolves to
+  // the new report once it is saved, or throws when the options are invalid or
+  // one is already running.
+  async function start({ from, to, dryRun = true }) {
+    if (running) throw new Error(`Reconcile ${running} is still running`);
+    const range = resolveRange({ from, to }, tenant.timezone);
+    const report = {
+      id: `reconcile-${crypto.randomBytes(6).toString('hex')}`,
+      status: REPORT_STATUS.RUNNING,
+      dryRun: dryRun !== false,
+      from: range.start.format(),
+      to: range.end.format(),
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      error: null,
+      scanned: { contacts: 0, companies: 0, linkedPairs: 0, ghlContacts: 0, jobs: 0, payments: 0 },
+      counts: { missingInGhl: 0, missingInServiceM8: 0, unlinked: 0, mismatchedFields: 0, unfiredPayments: 0 },
+      missingInGhl: [],
+      missingInServiceM8: [],
+      unlinked: [],
+      mismatchedFields: [],
+      unfiredPayments: [],
+      fixes: { planned: 0, succeeded: 0, failed: 0, errors: [] },
+    };
+    // Claimed before the first await so a second request sees it
+    running = report.id;
+    try {
+      await saveReport(report);
+    } catch (error) {
+      running = null;
+      throw error;
+    }
+    tenant.log(`Starting reconcile ${report.id} (${report.dryRun ? 'dry run' : 'fixing'}) for ${report.from} to ${report.to}`);
+
+    withCorrelation(report.id, () => run(report, range))
+      .then(() => {
+        report.status = REPORT_STATUS.COMPLETED;
+      })
+      .catch((error) => {
+        report.status = REPORT_STATUS.FAILED;
+        report.error = error.response ? JSON.stringify(error.response.data) : error.message;
+        tenant.error(`Reconcile ${report.id} failed:`, report.error);
+      })
+      .then(() => {
+        report.finishedAt = new Date().toISOString();
+        running = null;
+        return saveReport(report);
+      })
+      .catch((error) => tenant.error(`Error saving reconcile ${report.id}:`, error.message));
+    return report;
+  }
+
+  function get(id) {
+    return store.read((data) => data.reports.find((report) => report.id === id) || null);
+  }
+
+  // Reports newest first, without their item lists
+  function list() {
+    return store.read((data) =>
+      data.reports
+        .slice()
+        .reverse()
+        .map(({ id, status, dryRun, from, to, startedAt, finishedAt, error, counts, fixes }) => ({
+          id,
+          status,
+          dryRun,
+          from,
+          to,
+          startedAt,
+          finishedAt,
+          error,
+          counts,
+          fixes: { planned: fixes.planned, succeeded: fixes.succeeded, failed: fixes.failed },
+        }))
+    );
+  }
+
+  return { start, get, list, isRunning: () => running !== null };
+}
+
+module.exports = { REPORT_STATUS, resolveRange, createReconciler };
@@ -0,0 +1,103 @@
+// ServiceM8 job lifecycle -> GHL opportunity stages, tags and notes. Each
+// tenant may configure:
+//
+//   "stageSync": {
+//     "pipelineId": "<GHL pipeline id>",
+//     "transitions": [
+//       { "event": "status:Quote", "stageId": "<stage id>" },
+//       { "event": "quote_sent", "stageId": "<stage id>", "tags": ["quote-sent"] },
+//       { "event": "quote_accepted", "stageId": "<stage id>", "note": "Quote accepted" },
+//       { "event": "job_booked", "stageId": "<stage id>", "note": "Booked for {{bookedFor}}" },
+//       { "event": "queue:Awaiting Parts", "tags": ["awaiting-parts"] },
+//       { "event": "status:Completed", "stageId": "<stage id>", "status": "won" }
+//     ]
+//   }
+//
+// Events:
+//   status:<job status>   the job has that status (Quote, Work Order, Completed, ...)
+//   queue:<queue name>    the job sits in that queue
+//   quote_sent            the quote has been sent to the client
+//   quote_accepted        a quote that was sent became a Work Order
+//   job_booked            the job has a scheduled job activity
+// A transition moves the contact's opportunity in pipelineId to stageId
+// (optionally setting status open/won/lost/abandoned), adds tags and/or adds a
+// note; it needs at least one of those. Notes may use {{job}}, {{status}},
+// {{queue}} and {{bookedFor}}. Event names are matched case-insensitively.
+
+const EVENT_PATTERN = /^(status:.+|queue:.+|quote_sent|quote_accepted|job_booked)$/i;
+const OPPORTUNITY_STATUSES = ['open', 'won', 'lost', 'abandoned'];
+
+// ServiceM8 leaves unset timestamps as zero dates
+function isSetStamp(value) {
+  return Boolean(value) && !String(value).startsWith('0000-00-00');
+}
+
+// The tenant's stage sync config, validated, or null when it has none
+function resolveStageSync(config) {
+  if (!config) return null;
+  const transitions = config.transitions || [];
+  transitions.forEach((transition, index) => {
+    const where = `stageSync.transitions[${index}]`;
+    if (!EVENT_PATTERN.test(transition.event || '')) {
+      throw new Error(`${where} has unknown event "${transition.event}"`);
+    }
+    if (!transition.stageId && !transition.tags && !transition.note) {
+      throw new Error(`${where} needs a stageId, tags or a note`);
+    }
+    if (transition.stageId && !config.pipelineId) {
+      throw new Error(`${where} sets a stage but stageSync has no pipelineId`);
+    }
+    if (transition.status && !OPPORTUNITY_STATUSES.includes(transition.status)) {
+      throw new Error(`${where} has unknown status "${transition.status}"`);
+    }
+    // Sent transitions are remembered by event, so each event may appear once
+    const event = transition.event.toLowerCase();
+    if (transitions.slice(0, index).some((t) => t.event.toLowerCase() === event)) {
+      throw new Error(`${where} repeats event "${transition.event}"; combine it with the earlier transition`);
+    }
+  });
+  return { pipelineId: config.pipelineId || null, transitions };
+}
+
+// The events a job currently satisfies, lowercased. The queue name and booking
+// time are looked up separately by the caller.
+function jobEvents(job, { queueName, bookedFor }) {
+  const events = [];
+  const status = (job.status || '').trim();
+  if (status) events.push(`status:${status}`);
+  if (queueName) events.push(`queue:${queueName}`);
+  const quoteSent = job.quote_sent === true || job.quote_sent === '1' || job.quote_sent === 1 || isSetStamp(job.quote_sent_stamp);
+  if (quoteSent) events.push('quote_sent');
+  if (quoteSent && status.toLowerCase() === 'work order') events.push('quote_accepted');
+  if (bookedFor) events.push('job_booked');
+  return events.map((event) => event.toLowerCase());
+}
+
+function renderNote(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, name) => (values[name] !== undefined ? values[name] : match));
+}
+
+// Send one transition to GHL for the job's linked contact
+async function applyTransition(ghl, stageSync, transition, { ghlContactId, job, queueName, bookedFor }) {
+  const jobLabel = job.generated_job_id ? `Job #${job.generated_job_id}` : `Job ${job.uuid}`;
+  if (transition.stageId) {
+    await ghl.moveOpportunity({
+      contactId: ghlContactId,
+      pipelineId: stageSync.pipelineId,
+      stageId: transition.stageId,
+      status: transition.status,
+      name: `${jobLabel}${job.job_address ? ` - ${job.job_address}` : ''}`,
+    });
+  }
+  if (transition.tags && transition.tags.length > 0) {
+    await ghl.addContactTags(ghlContactId, transition.tags);
+  }
+  if (transition.note) {
+    await ghl.addContactNote(
+      ghlContactId,
+      renderNote(transition.note, { job: jobLabel, status: job.status, queue: queueName || '', bookedFor: bookedFor || '' })
+    );
+  }
+}
+
+module.exports = { resolveStageSync, jobEvents, applyTransition };
@@ -0,0 +1,71 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+// A JSON document on disk. Every write goes to a temp file which is fsynced and
+// renamed over the original, so a crash never leaves a half-written file.
+// Reads and updates are chained so callers running at the same time (both
+// pollers, request handlers) never overwrite each other's changes.
+class JsonStore {
+  constructor(filename, defaults) {
+    this.file = path.join(DATA_DIR, filename);
+    this.defaults = defaults;
+    this.data = null;
+    this.chain = Promise.resolve();
+  }
+
+  async load() {
+    if (this.data) return this.data;
+    try {
+      const raw = await fsPromises.readFile(this.file, 'utf8');
+      this.data = { ...this.defaults(), ...JSON.parse(raw) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.data = this.defaults();
+    }
+    return this.data;
+  }
+
+  async persist() {
+    await fsPromises.mkdir(path.dirname(this.file), { recursive: true });
+    const tempFile = `${this.file}.${process.pid}.tmp`;
+    const handle = await fsPromises.open(tempFile, 'w');
+    try {
+      await handle.writeFile(JSON.stringify(this.data));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fsPromises.rename(tempFile, this.file);
+  }
+
+  enqueue(task) {
+    const run = this.chain.then(task);
+    this.chain = run.catch(() => {});
+    return run;
+  }
+
+  // Run a synchronous reader against the current data
+  read(fn) {
+    return this.enqueue(async () => fn(await this.load()));
+  }
+
+  // Run a synchronous mutator against the current data and persist the result.
+  // If the mutator or the write fails, the in-memory copy is dropped and
+  // reloaded from disk on the next call.
+  update(fn) {
+    return this.enqueue(async () => {
+      try {
+        const result = fn(await this.load());
+        await this.persist();
+        return result;
+      } catch (error) {
+        this.data = null;
+        throw error;
+      }
+    });
+  }
+}
+
+module.exports = { JsonStore, DATA_DIR };
@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./store');
+const { createLedger } = require('./ledger');
+const { createPoller } = require('./polling');
+const { createIdempotencyStore } = require('./idempotency');
+const { createLinkStore } = require('./links');
+const { createClientMatcher } = require('./clientMatching');
+const { createAttachmentTransfer } = require('./attachments');
+const { createOutbox } = require('./outbox');
+const { createLogger } = require('./logger');
+const { createApiClient } = require('./apiClient');
+const { resolveContactSync, createContactSync } = require('./contactSync');
+const { resolveAppointments, createAppointmentSync } = require('./appointments');
+const { createGhlClient } = require('./ghl');
+const { resolveMapping } = require('./fieldMapping');
+const { resolveStageSync } = require('./stageSync');
+const { resolvePaymentTriggers } = require('./paymentTriggers');
+const { resolveJobRouting, createJobRouter } = require('./jobRouting');
+
+// Tenants are read from TENANTS_FILE (default tenants.json next to server.js):
+//
+//   { "tenants": [{
+//       "id": "acme-plumbing",
+//       "timezone": "Australia/Brisbane",
+//       "queueName": "Quotes - New",
+//       "webhookUrl": "https://services.leadconnectorhq.com/hooks/...",
+//       "webhookSigningSecret": "...",
+//       "inboundSecret": "...",
+//       "ghlIdField": "GHL_Contact_ID",
+//       "servicem8": { "username": "...", "password": "...", "webhookToken": "..." },
+//       "ghl": { "apiVersion": "v2", "locationId": "...", "apiKey": "...",
+//                "clientId": "...", "clientSecret": "...", "refreshToken": "..." },
+//       "fieldMapping": { "ghlToServiceM8": [...], "serviceM8ToGhl": [...] },
+//       "stageSync": { "pipelineId": "...", "transitions": [...] },
+//       "paymentTriggers": [{ "name": "invoice-paid", "jobStatuses": ["Completed"], ... }],
+//       "contactSync": { "fields": { "email": "servicem8" } },
+//       "appointments": { "staff": { "<GHL user id>": "<ServiceM8 staff uuid>" } },
+//       "jobRouting": { "rules": [{ "name": "solar", "when": { "tags": ["solar"] }, "queue": "Solar - New" }] }
+//   }] }
+//
+// fieldMapping is optional; see lib/fieldMapping.js for the rule format.
+// ghlIdField is optional: the name of a ServiceM8 job custom field that new
+// jobs get the GHL contact ID written to. stageSync is optional; see
+// lib/stageSync.js. paymentTriggers is optional; see lib/paymentTriggers.js.
+// contactSync is optional; see lib/contactSync.js. appointments is optional;
+// see lib/appointments.js. jobRouting is optional; see lib/jobRouting.js.
+// webhookSigningSecret, when set, signs outbound webhook bodies (lib/outbox.js).
+// Without that file a single "default" tenant is built from the environment
+// variables (with its field mapping, stage sync, payment triggers and contact
+// sync read from FIELD_MAPPING_FILE, STAGE_SYNC_FILE, PAYMENT_TRIGGERS_FILE,
+// CONTACT_SYNC_FILE, APPOINTMENTS_FILE and JOB_ROUTING_FILE, if set), so
+// existing single-client deployments keep working unchanged.
+const TENANTS_FILE = process.env.TENANTS_FILE || path.join(__dirname, '..', 'tenants.json');
+const DEFAULT_TENANT_ID = 'default';
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// Files that lived directly in the data directory before tenants existed
+const LEGACY_DATA_FILES = [
+  'ledger.json',
+  'cursors.json',
+  'idempotency.json',
+  'queue-servicem8-events.json',
+  'pipeline-job-creation.json',
+  'queue-pipeline-job-creation.json',
+];
+
+function tenantFromEnv() {
+  const clientId = process.env.GHL_CLIENT_ID;
+  return {
+    id: DEFAULT_TENANT_ID,
+    timezone: process.env.ACCOUNT_TIMEZONE,
+    queueName: process.env.SERVICEM8_QUEUE_NAME,
+    webhookUrl: process.env.GHL_WEBHOOK_URL,
+    webhookSigningSecret: process.env.GHL_WEBHOOK_SIGNING_SECRET,
+    inboundSecret: process.env.GHL_INBOUND_SECRET,
+    ghlIdField: process.env.SERVICEM8_GHL_ID_FIELD,
+    servicem8: {
+      username: process.env.SERVICE_M8_USERNAME,
+      password: process.env.SERVICE_M8_PASSWORD,
+      webhookToken: process.env.SERVICEM8_WEBHOOK_TOKEN,
+    },
+    ghl: {
+      apiVersion: process.env.GHL_API_VERSION || (clientId ? 'v2' : 'v1'),
+      apiKey: process.env.GHL_API_KEY,
+      locationId: process.env.GHL_LOCATION_ID,
+      clientId,
+      clientSecret: process.env.GHL_CLIENT_SECRET,
+      refreshToken: process.env.GHL_REFRESH_TOKEN,
+    },
+    fieldMapping: process.env.FIELD_MAPPING_FILE
+      ? JSON.parse(fs.readFileSync(process.env.FIELD_MAPPING_FILE, 'utf8'))
+      : undefined,
+    stageSync: process.env.STAGE_SYNC_FILE ? JSON.parse(fs.readFileSync(process.env.STAGE_SYNC_FILE, 'utf8')) : undefined,
+    paymentTriggers: process.env.PAYMENT_TRIGGERS_FILE
+      ? JSON.parse(fs.readFileSync(process.env.PAYMENT_TRIGGERS_FILE, 'utf8'))
+      : undefined,
+    contactSync: process.env.CONTACT_SYNC_FILE
+      ? JSON.parse(fs.readFileSync(process.env.CONTACT_SYNC_FILE, 'utf8'))
+      : undefined,
+    appointments: process.env.APPOINTMENTS_FILE
+      ? JSON.parse(fs.readFileSync(process.env.APPOINTMENTS_FILE, 'utf8'))
+      : undefined,
+    jobRouting: process.env.JOB_ROUTING_FILE ? JSON.parse(fs.readFileSync(process.env.JOB_ROUTING_FILE, 'utf8')) : undefined,
+  };
+}
+
+function readTenantConfigs() {
+  if (!fs.existsSync(TENANTS_FILE)) {
+    return [tenantFromEnv()];
+  }
+  const parsed = JSON.parse(fs.readFileSync(TENANTS_FILE, 'utf8'));
+  const configs = parsed.tenants || [];
+  if (configs.length === 0) {
+    throw new Error(`${TENANTS_FILE} defines no tenants`);
+  }
+  const seen = new Set();
+  for (const config of configs) {
+    if (!config.id || !TENANT_ID_PATTERN.test(config.id)) {
+      throw new Error(`Invalid tenant id "${config.id}" in ${TENANTS_FILE}: use lowercase letters, digits and dashes`);
+    }
+    if (seen.has(config.id)) {
+      throw new Error(`Duplicate tenant id "${config.id}" in ${TENANTS_FILE}`);
+    }
+    seen.add(config.id);
+  }
+  return configs;
+}
+
+// Move state written before tenants existed into the default tenant's directory
+function moveLegacyDataFiles(tenantDir) {
+  for (const filename of LEGACY_DATA_FILES) {
+    const legacyPath = path.join(DATA_DIR, filename);
+    const tenantPath = path.join(DATA_DIR, tenantDir, filename);
+    if (fs.existsSync(legacyPath) && !fs.existsSync(tenantPath)) {
+      fs.mkdirSync(path.dirname(tenantPath), { recursive: true });
+      fs.renameSync(legacyPath, tenantPath);
+      console.log(`Moved ${legacyPath} to ${tenantPath}`);
+    }
+  }
+}
+
+// Build the runtime for one tenant: its API clients, its own state stores
+// under data/tenants/<id>/, and log helpers that tag every line with the tenant
+function buildTenant(config) {
+  const dir = path.join('tenants', config.id);
+  const servicem8 = config.servicem8 || {};
+  const tag = `[${config.id}]`;
+  const log = createLogger({ tenant: config.id });
+  const timezone = config.timezone || 'Australia/Brisbane';
+  const serviceM8Api = createApiClient('servicem8', {
+    baseURL: 'https://api.servicem8.com/api_1.0',
+    headers: { Accept: 'application/json' },
+    auth: {
+      username: servicem8.username,
+      password: servicem8.password,
+    },
+  });
+  const poller = createPoller(dir);
+  const ghl = createGhlClient(config.ghl || {});
+  const links = createLinkStore(dir);
+  const contactSyncConfig = resolveContactSync(config.contactSync);
+  const appointmentsConfig = resolveAppointments(config.appointments);
+  const queueName = config.queueName || 'Quotes - New';
+
+  return {
+    id: config.id,
+    config,
+    dir,
+    timezone,
+    queueName,
+    webhookUrl: config.webhookUrl,
+    inboundSecret: config.inboundSecret,
+    ghlIdField: config.ghlIdField || null,
+    servicem8WebhookToken: servicem8.webhookToken,
+    serviceM8Api,
+    ghl,
+    fieldMapping: resolveMapping(config.fieldMapping),
+    stageSync: resolveStageSync(config.stageSync),
+    paymentTriggers: resolvePaymentTriggers(config.paymentTriggers),
+    jobRouter: createJobRouter({ serviceM8Api, ghl, config: resolveJobRouting(config.jobRouting, { queueName }) }),
+    ledger: createLedger(dir),
+    poller,
+    idempotency: createIdempotencyStore(dir),
+    links,
+    clientMatcher: createClientMatcher({ serviceM8Api, poller, dir, timezone }),
+    attachments: createAttachmentTransfer({ serviceM8Api, dir }),
+    contactSync: contactSyncConfig
+      ? createContactSync({ serviceM8Api, ghl, links, dir, timezone, config: contactSyncConfig })
+      : null,
+    appointments: appointmentsConfig
+      ? createAppointmentSync({ serviceM8Api, ghl, links, dir, timezone, config: appointmentsConfig })
+      : null,
+    outbox: createOutbox({ dir, label: `${tag} webhook-outbox`, tenantId: config.id, signingSecret: config.webhookSigningSecret }),
+    cache: {},
+    debug: log.debug,
+    log: log.info,
+    error: log.error,
+  };
+}
+
+let tenants = null;
+
+function loadTenants() {
+  if (tenants) return tenants;
+  const configs = readTenantConfigs();
+  if (configs.length === 1 && configs[0].id === DEFAULT_TENANT_ID) {
+    moveLegacyDataFiles(path.join('tenants', DEFAULT_TENANT_ID));
+  }
+  tenants = new Map(configs.map((config) => [config.id, buildTenant(config)]));
+  console.log(`Loaded ${tenants.size} tenant(s): ${Array.from(tenants.keys()).join(', ')}`);
+  return tenants;
+}
+
+function getTenant(id) {
+  return loadTenants().get(id) || null;
+}
+
+function listTenants() {
+  return Array.from(loadTenants().values());
+}
+
+// The tenant served by the unscoped legacy routes: "default", or the only
+// tenant when exactly one is configured
+function getDefaultTenant() {
+  const all = loadTenants();
+  return all.get(DEFAULT_TENANT_ID) || (all.size === 1 ? all.values().next().value : null);
+}
+
+// Express middleware: resolve req.params.tenant (or the default tenant on
+// unscoped routes) into req.tenant
+function resolveTenant(req, res, next) {
+  const tenant = req.params.tenant ? getTenant(req.params.tenant) : getDefaultTenant();
+  if (!tenant) {
+    return res.status(404).json({ error: 'Unknown tenant' });
+  }
+  req.tenant = tenant;
+  return next();
+}
+
+module.exports = { loadTenants, getTenant, listTenants, getDefaultTenant, resolveTenant };
@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const path = require('path');
+const multer = require('multer');
+const { DATA_DIR } = require('./store');
+const { MAX_ATTACHMENT_MB, sniffFile } = require('./attachments');
+
+// Files accepted per /ghl-create-job request, and the largest accepted file
+const UPLOAD_MAX_FILES = parseInt(process.env.UPLOAD_MAX_FILES, 10) || 10;
+const UPLOAD_MAX_FILE_MB = parseInt(process.env.UPLOAD_MAX_FILE_MB, 10) || MAX_ATTACHMENT_MB;
+
+// Uploads wait under the tenant's data directory until the job-creation run
+// that attaches them has finished, so they survive a restart in between
+function tenantUploadDir(tenant) {
+  return path.join(DATA_DIR, tenant.dir, 'uploads');
+}
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, callback) => {
+      const dir = tenantUploadDir(req.tenant);
+      fs.mkdir(dir, { recursive: true }, (error) => callback(error, dir));
+    },
+    filename: (req, file, callback) => callback(null, crypto.randomUUID()),
+  }),
+  limits: { files: UPLOAD_MAX_FILES, fileSize: UPLOAD_MAX_FILE_MB * 1024 * 1024 },
+});
+
+// Delete uploaded files that will not be attached
+function discardUploads(files) {
+  return Promise.all((files || []).map((file) => fsPromises.unlink(file.path).catch(() => {})));
+}
+
+// Receive multipart files posted as "photos", answering over-limit requests
+// with 413 and files under any other field name with 422. Unless the handler
+// sets req.keepUploads, the files are deleted once the response is sent, so a
+// rejected or replayed request leaves nothing behind.
+function receivePhotos(req, res, next) {
+  upload.array('photos')(req, res, async (error) => {
+    if (!error) {
+      res.on('close', () => {
+        if (!req.keepUploads) discardUploads(req.files);
+      });
+      return next();
+    }
+    await discardUploads(req.files);
+    if (!(error instanceof multer.MulterError)) return next(error);
+    const fields = [{ field: error.field || 'photos', message: error.message }];
+    if (error.code === 'LIMIT_FILE_SIZE' || error.code === 'LIMIT_FILE_COUNT') {
+      const limit = error.code === 'LIMIT_FILE_SIZE' ? `at most ${UPLOAD_MAX_FILE_MB} MB each` : `at most ${UPLOAD_MAX_FILES} files`;
+      return res.status(413).json({ error: `Uploads are limited to ${limit}`, fields });
+    }
+    return res.status(422).json({ error: 'Validation failed', fields });
+  });
+}
+
+// Check each uploaded file's real type from its content and keep it on
+// req.uploads as { path, filename, mimetype, size }. The declared Content-Type
+// is ignored; any file that is not a supported attachment type fails the
+// request with the same 422 shape as body validation.
+async function checkUploads(req, res, next) {
+  const files = req.files || [];
+  const uploads = [];
+  const fields = [];
+  try {
+    for (const [index, file] of files.entries()) {
+      const mimetype = await sniffFile(file.path);
+      if (!mimetype) {
+        fields.push({ field: `photos[${index}]`, message: `${file.originalname} is not a supported photo, PDF or video` });
+        continue;
+      }
+      uploads.push({ path: file.path, filename: path.basename(file.originalname), mimetype, size: file.size });
+    }
+  } catch (error) {
+    return next(error);
+  }
+  if (fields.length > 0) {
+    return res.status(422).json({ error: 'Validation failed', fields });
+  }
+  req.uploads = uploads;
+  return next();
+}
+
+module.exports = { receivePhotos, checkUploads, discardUploads };
@@ -0,0 +1,124 @@
+// Minimal declarative validator for inbound request bodies. A schema maps each
+// field to rules; validate() returns the cleaned value and a list of
+// { field, message } errors so callers can report every problem at once.
+const { parsePhone } = require('./phone');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const AU_STATES = ['ACT', 'NSW', 'NT', 'QLD', 'SA', 'TAS', 'VIC', 'WA'];
+const AU_POSTCODE_PATTERN = /^\d{4}$/;
+
+const ADDRESS_FIELDS = {
+  address1: { type: 'string', maxLength: 200 },
+  city: { type: 'string', maxLength: 100 },
+  state: { type: 'string' },
+  postalCode: { type: 'string' },
+  country: { type: 'string', maxLength: 60 },
+};
+
+const FORMATS = {
+  email: (value) => EMAIL_PATTERN.test(value) || 'must be a valid email address',
+  // AU mobiles, landlines and 13/1300/1800 numbers; overseas numbers only when
+  // ALLOW_INTERNATIONAL_PHONES is set
+  auPhone: (value) => Boolean(parsePhone(value)) || 'must be a valid Australian phone number',
+};
+
+function checkString(field, value, rules, errors) {
+  if (typeof value !== 'string') {
+    errors.push({ field, message: 'must be a string' });
+    return undefined;
+  }
+  const trimmed = value.trim();
+  if (rules.maxLength && trimmed.length > rules.maxLength) {
+    errors.push({ field, message: `must be at most ${rules.maxLength} characters` });
+  }
+  if (rules.pattern && trimmed && !rules.pattern.test(trimmed)) {
+    errors.push({ field, message: rules.patternMessage || 'has an invalid format' });
+  }
+  if (rules.format && trimmed) {
+    const result = FORMATS[rules.format](trimmed);
+    if (result !== true) errors.push({ field, message: result });
+  }
+  return trimmed;
+}
+
+// Addresses arrive either as one line or as { address1, city, state, postalCode }.
+// Structured addresses are checked field by field and flattened to one line.
+function checkAddress(field, value, rules, errors) {
+  if (typeof value === 'string') {
+    return checkString(field, value, { maxLength: rules.maxLength }, errors);
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push({ field, message: 'must be a string or an address object' });
+    return undefined;
+  }
+
+  const parts = {};
+  for (const [key, partRules] of Object.entries(ADDRESS_FIELDS)) {
+    if (value[key] === undefined || value[key] === null || value[key] === '') continue;
+    parts[key] = checkString(`${field}.${key}`, String(value[key]), partRules, errors);
+  }
+  if (!parts.address1) {
+    errors.push({ field: `${field}.address1`, message: 'is required' });
+  }
+  if (parts.state && !AU_STATES.includes(parts.state.toUpperCase())) {
+    errors.push({ field: `${field}.state`, message: `must be one of ${AU_STATES.join(', ')}` });
+  }
+  if (parts.postalCode && !AU_POSTCODE_PATTERN.test(parts.postalCode)) {
+    errors.push({ field: `${field}.postalCode`, message: 'must be a 4-digit postcode' });
+  }
+  const locality = [parts.city, parts.state && parts.state.toUpperCase(), parts.postalCode].filter(Boolean).join(' ');
+  return [parts.address1, locality, parts.country].filter(Boolean).join(', ');
+}
+
+function validate(schema, body) {
+  const errors = [];
+  const value = {};
+  const input = body || {};
+
+  for (const [field, rules] of Object.entries(schema)) {
+    const raw = input[field];
+    const missing = raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
+    if (missing) {
+      if (rules.required) errors.push({ field, message: 'is required' });
+      continue;
+    }
+    value[field] =
+      rules.type === 'address' ? checkAddress(field, raw, rules, errors) : checkString(field, raw, rules, errors);
+  }
+
+  return { value, errors };
+}
+
+// Express middleware: replaces req.body with the cleaned value or answers 422
+function validateBody(schema) {
+  return (req, res, next) => {
+    const { value, errors } = validate(schema, req.body);
+    if (errors.length > 0) {
+      console.log(`Rejected ${req.path}: validation failed`, errors);
+      return res.status(422).json({ error: 'Validation failed', fields: errors });
+    }
+    req.body = { ...req.body, ...value };
+    return next();
+  };
+}
+
+// Body accepted by /ghl-create-job
+const ghlCreateJobSchema = {
+  firstName: { type: 'string', required: true, maxLength: 100 },
+  lastName: { type: 'string', required: true, maxLength: 100 },
+  email: { type: 'string', required: true, maxLength: 254, format: 'email' },
+  phone: { type: 'string', maxLength: 20, format: 'auPhone' },
+  address: { type: 'address', maxLength: 500 },
+  jobDescription: { type: 'string', maxLength: 5000 },
+  // The form or lead source, for job routing (lib/jobRouting.js)
+  source: { type: 'string', maxLength: 200 },
+  ghlContactId: {
+    type: 'string',
+    required: true,
+    maxLength: 64,
+    pattern: /^[a-zA-Z0-9]+$/,
+    patternMessage: 'must be alphanumeric',
+  },
+};
+
+module.exports = { validate, validateBody, ghlCreateJobSchema };
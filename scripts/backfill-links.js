@@ -0,0 +1,68 @@
+// Populate the GHL <-> ServiceM8 link store for jobs created before links were
+// stored, reading each job's GHL ID custom field or legacy description line.
+//
+//   node scripts/backfill-links.js [--tenant <id>] [--dry-run] [--url <base url>]
+//
+// Without --tenant the default tenant is backfilled. --dry-run reports what
+// would be linked without writing anything. The work runs inside the server,
+// through its admin API, because the server's link store would overwrite links
+// written to links.json by another process. The server is found at --url, or
+// APP_BASE_URL, or http://localhost:$PORT, and ADMIN_TOKEN must be set.
+const axios = require('axios');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const POLL_INTERVAL_MS = 2000;
+const MAX_WAIT_MS = parseInt(process.env.BACKFILL_MAX_WAIT_MS, 10) || 30 * 60 * 1000;
+
+function parseArgs(argv) {
+  const args = { tenant: null, dryRun: false, url: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') {
+      args.dryRun = true;
+    } else if (argv[i] === '--tenant' || argv[i] === '--url') {
+      args[argv[i].slice(2)] = argv[++i];
+    } else {
+      throw new Error(`Unknown argument ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!process.env.ADMIN_TOKEN) throw new Error('ADMIN_TOKEN is not set');
+  const baseUrl = (args.url || process.env.APP_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+  const api = axios.create({
+    baseURL: `${baseUrl}${args.tenant ? `/t/${encodeURIComponent(args.tenant)}` : ''}/admin/api`,
+    headers: { Authorization: `Bearer ${process.env.ADMIN_TOKEN}` },
+  });
+
+  await api.post('/backfill-links', { dryRun: args.dryRun });
+  console.log(`Started link backfill${args.dryRun ? ' (dry run)' : ''}`);
+  const deadline = Date.now() + MAX_WAIT_MS;
+  let backfill;
+  do {
+    if (Date.now() > deadline) throw new Error(`Backfill still running after ${MAX_WAIT_MS / 1000}s; check the server log`);
+    await sleep(POLL_INTERVAL_MS);
+    backfill = (await api.get('/backfill-links')).data;
+  } while (backfill.status === 'running');
+
+  if (backfill.status !== 'completed') throw new Error(backfill.error || `backfill ${backfill.status}`);
+  const { counts } = backfill;
+  console.log(
+    `Backfill ${backfill.dryRun ? 'dry run ' : ''}done: ${counts.jobs} jobs checked, ${counts.linked} ` +
+      `${backfill.dryRun ? 'would be linked' : 'linked'}, ${counts.alreadyLinked} already linked, ` +
+      `${counts.noGhlId} without a GHL contact ID`
+  );
+}
+
+main().catch((error) => {
+  console.error('Backfill failed:', error.response ? error.response.data : error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,93 @@
+// Backfill and reconcile a date range of ServiceM8 and GHL records through the
+// running server's admin API (see lib/reconcile.js), and print the diff report.
+//
+//   node scripts/reconcile.js --from <date> [--to <date>] [--tenant <id>] [--fix] [--out <file>] [--url <base url>]
+//
+// Dates are YYYY-MM-DD (whole days, in the tenant's timezone) or ISO 8601
+// times; --to defaults to now. Without --fix it is a dry run that only reports.
+// --out writes the full report as JSON. The server is found at --url, or
+// APP_BASE_URL, or http://localhost:$PORT, and ADMIN_TOKEN must be set.
+// The work runs inside the server so fixes go through the same stores and
+// queues as the live sync. The script gives up waiting after
+// RECONCILE_MAX_WAIT_MS (two hours by default).
+const fs = require('fs');
+const axios = require('axios');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const POLL_INTERVAL_MS = 5000;
+const MAX_WAIT_MS = parseInt(process.env.RECONCILE_MAX_WAIT_MS, 10) || 2 * 60 * 60 * 1000;
+
+function parseArgs(argv) {
+  const args = { tenant: null, from: null, to: null, fix: false, out: null, url: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--fix') {
+      args.fix = true;
+    } else if (['--tenant', '--from', '--to', '--out', '--url'].includes(argv[i])) {
+      args[argv[i].slice(2)] = argv[++i];
+    } else {
+      throw new Error(`Unknown argument ${argv[i]}`);
+    }
+  }
+  if (!args.from) throw new Error('--from is required');
+  return args;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function printReport(report) {
+  console.log(`Reconcile ${report.id} ${report.status} (${report.dryRun ? 'dry run' : 'fixed'}), ${report.from} to ${report.to}`);
+  console.log(`Scanned: ${Object.entries(report.scanned).map(([name, count]) => `${count} ${name}`).join(', ')}`);
+  for (const [list, count] of Object.entries(report.counts)) {
+    console.log(`  ${list}: ${count}`);
+    for (const item of report[list].slice(0, 20)) {
+      console.log(`    ${JSON.stringify(item)}`);
+    }
+    if (count > 20) console.log(`    ... ${count - 20} more`);
+  }
+  const { fixes } = report;
+  if (report.dryRun) {
+    console.log(`${fixes.planned} fixes would be applied; run again with --fix to apply them`);
+  } else {
+    console.log(`Fixes: ${fixes.succeeded} of ${fixes.planned} applied, ${fixes.failed} failed`);
+    for (const { item, error } of fixes.errors) console.log(`  ${item}: ${error}`);
+  }
+  if (report.error) console.log(`Error: ${report.error}`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!process.env.ADMIN_TOKEN) throw new Error('ADMIN_TOKEN is not set');
+  const baseUrl = (args.url || process.env.APP_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+  const api = axios.create({
+    baseURL: `${baseUrl}${args.tenant ? `/t/${encodeURIComponent(args.tenant)}` : ''}/admin/api`,
+    headers: { Authorization: `Bearer ${process.env.ADMIN_TOKEN}` },
+  });
+
+  const started = await api.post('/reconcile', { from: args.from, to: args.to, dryRun: !args.fix });
+  console.log(`Started reconcile ${started.data.id} for ${started.data.from} to ${started.data.to}`);
+  const deadline = Date.now() + MAX_WAIT_MS;
+  let report;
+  do {
+    if (Date.now() > deadline) {
+      throw new Error(`Reconcile ${started.data.id} still running after ${MAX_WAIT_MS / 1000}s; check the server log`);
+    }
+    await sleep(POLL_INTERVAL_MS);
+    report = (await api.get(`/reconcile/${started.data.id}`)).data;
+  } while (report.status === 'running');
+
+  printReport(report);
+  if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+    console.log(`Wrote the full report to ${args.out}`);
+  }
+  if (report.status !== 'completed' || report.fixes.failed > 0) process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error('Reconcile failed:', error.response ? error.response.data : error.message);
+  process.exitCode = 1;
+});
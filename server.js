@@ -1,764 +1,1579 @@
 const express = require('express');
-const axios = require('axios');
+const path = require('path');
 const cron = require('node-cron');
 const dotenv = require('dotenv');
-const fs = require('fs');
-const fsPromises = require('fs').promises;
 const moment = require('moment-timezone');
-const multer = require('multer');
 const FormData = require('form-data');
-const path = require('path');
+const ledger = require('./lib/ledger');
+const { PersistentQueue } = require('./lib/queue');
+const {
+  secretMatches,
+  requireWebhookSecret,
+  verifyUploadSignature,
+  requireAdminToken,
+  requireMetricsToken,
+  protectTestEndpoints,
+} = require('./lib/auth');
+const { validateBody, ghlCreateJobSchema } = require('./lib/validation');
+const { receivePhotos, checkUploads } = require('./lib/uploads');
+const { readAppointmentWebhook, isCancelled } = require('./lib/appointments');
+const idempotency = require('./lib/idempotency');
+const { Pipeline } = require('./lib/pipeline');
+const { RoutingConfigError } = require('./lib/jobRouting');
+const { JOB_CREATION_STEPS } = require('./lib/jobCreation');
+const { exchangeAuthorizationCode } = require('./lib/ghl');
+const { mapGhlToServiceM8, mapServiceM8ToGhl, readGhlContact } = require('./lib/fieldMapping');
+const { ghlContactIdFromJob, backfillFromJobs } = require('./lib/links');
+const { jobEvents, applyTransition } = require('./lib/stageSync');
+const { needsCompletionDate, needsPaymentTotals, triggerKeys, evaluateRule } = require('./lib/paymentTriggers');
+const { buildPaymentPayload } = require('./lib/paymentPayload');
+const { DELIVERY_STATUS } = require('./lib/outbox');
+const { RECORD_KINDS, describeConfig } = require('./lib/admin');
+const { createReconciler } = require('./lib/reconcile');
+const { parsePhone } = require('./lib/phone');
+const { loadTenants, listTenants, getDefaultTenant, resolveTenant } = require('./lib/tenants');
+const { captureConsole, correlateRequest, withCorrelation, newCorrelationId } = require('./lib/logger');
+const { withApiMemo } = require('./lib/apiClient');
+const metrics = require('./lib/metrics');
 
 dotenv.config();
+// All output, including modules that log with console, as structured JSON
+captureConsole();
 
 const app = express();
-app.use(express.json());
-
-// Configure multer for file uploads
-const upload = multer({ dest: 'uploads/' });
-
-const SERVICE_M8_USERNAME = process.env.SERVICE_M8_USERNAME;
-const SERVICE_M8_PASSWORD = process.env.SERVICE_M8_PASSWORD;
-const GHL_API_KEY = process.env.GHL_API_KEY;
-const GHL_WEBHOOK_URL = process.env.GHL_WEBHOOK_URL;
+// Keep the raw body so inbound webhook signatures can be verified
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
+app.use(correlateRequest);
+
+// Routes that act on one tenant; mounted below
+const tenantRouter = express.Router({ mergeParams: true });
+
+// Per-client credentials, queue, timezone and webhook URL live in the tenant
+// config (lib/tenants.js); only app-wide settings are read here
+const GHL_CLIENT_ID = process.env.GHL_CLIENT_ID;
+const GHL_CLIENT_SECRET = process.env.GHL_CLIENT_SECRET;
+const APP_BASE_URL = process.env.APP_BASE_URL;
 const PORT = process.env.PORT || 3000;
+// Webhooks deliver changes in real time; polling only reconciles anything they missed
+const RECONCILE_CRON = process.env.RECONCILE_CRON || '0 * * * *';
+// How often the client index used to match new jobs to existing clients picks up ServiceM8 edits
+const CLIENT_INDEX_REFRESH_CRON = process.env.CLIENT_INDEX_REFRESH_CRON || '*/5 * * * *';
+// How often job routing re-reads queue, category, badge and material names from ServiceM8
+const JOB_ROUTING_REFRESH_CRON = process.env.JOB_ROUTING_REFRESH_CRON || '*/30 * * * *';
+
+const LEGACY_STATE_FILE = 'state.json';
+const LEDGER_RETENTION_DAYS = parseInt(process.env.LEDGER_RETENTION_DAYS, 10) || 180;
+const IDEMPOTENCY_RETENTION_DAYS = parseInt(process.env.IDEMPOTENCY_RETENTION_DAYS, 10) || 90;
+const JOB_RUN_RETENTION_DAYS = parseInt(process.env.JOB_RUN_RETENTION_DAYS, 10) || 30;
+
+// Flatten an axios error into a single string for the ledger
+function describeError(error) {
+  const detail = error.response ? error.response.data : error.message;
+  return typeof detail === 'string' ? detail : JSON.stringify(detail);
+}
 
-// Ensure uploads directory exists
-const UPLOADS_DIR = path.join(__dirname, 'Uploads');
-fsPromises.mkdir(UPLOADS_DIR, { recursive: true }).catch((error) => {
-  console.error('Error creating uploads directory:', error.message);
-});
-
-// Axios instance for ServiceM8
-const serviceM8Api = axios.create({
-  baseURL: 'https://api.servicem8.com/api_1.0',
-  headers: { Accept: 'application/json' },
-  auth: {
-    username: SERVICE_M8_USERNAME,
-    password: SERVICE_M8_PASSWORD,
-  },
-});
-
-// Axios instance for GHL
-const ghlApi = axios.create({
-  baseURL: 'https://rest.gohighlevel.com/v1',
-  headers: {
-    Authorization: `Bearer ${GHL_API_KEY}`,
-    Accept: 'application/json',
-  },
-});
+// Name of a ServiceM8 queue by UUID, refetching the queue list on a miss
+async function getQueueName(tenant, queueUuid) {
+  if (!tenant.cache.queueNames || !tenant.cache.queueNames[queueUuid]) {
+    const response = await tenant.serviceM8Api.get('/queue.json');
+    tenant.cache.queueNames = Object.fromEntries((response.data || []).map((q) => [q.uuid, q.name]));
+  }
+  return tenant.cache.queueNames[queueUuid] || null;
+}
 
-// Store processed UUIDs and queue UUID
-let processedJobs = new Set();
-let processedContacts = new Set();
-let quotesNewQueueUuid = null;
-const STATE_FILE = 'state.json';
-const processedGhlContactIds = new Map();
+// Whether an operator skipped the entity from the admin API. Skipped entities
+// are left alone by every sync until they are unskipped.
+async function isSkipped(tenant, type, id) {
+  if (!id || !(await tenant.ledger.getSkip(type, id))) return false;
+  tenant.debug(`Skipping ${type} ${id}: skipped by an operator`);
+  return true;
+}
 
-// Load polling state
-async function loadState() {
+// Bring a linked GHL/ServiceM8 contact pair into step (lib/contactSync.js).
+// origin is the side that reported a change, or null to reconcile.
+async function syncContactPair(tenant, ghlContactId, origin) {
+  if (!tenant.contactSync) return;
+  if (await isSkipped(tenant, ledger.ENTITY.GHL_CONTACT, ghlContactId)) return;
   try {
-    const data = await fsPromises.readFile(STATE_FILE, 'utf8');
-    const state = JSON.parse(data);
-    processedJobs = new Set(state.processedJobs || []);
-    processedContacts = new Set(state.processedContacts || []);
-    console.log('Loaded state: processedJobs=', processedJobs.size, 'processedContacts=', processedContacts.size);
-    return state.lastPollTimestamp || 0;
+    await tenant.contactSync.syncLinked(ghlContactId, { origin });
   } catch (error) {
-    console.error('Error loading state:', error.message);
-    return 0;
+    tenant.error(`Error syncing contact ${ghlContactId}:`, error.response ? error.response.data : error.message);
   }
 }
 
-// Save polling state
-async function saveState(lastPollTimestamp) {
+// Sync a single ServiceM8 company contact to GHL: create it there the first
+// time, then keep the pair in step. force retries a contact the ledger already
+// has as processed.
+async function syncServiceM8Contact(tenant, contact, { force = false } = {}) {
+  const contactUuid = contact.uuid;
+  if (await isSkipped(tenant, ledger.ENTITY.SERVICEM8_CONTACT, contactUuid)) return;
+  const link = await tenant.links.findByCompanyContact(contactUuid);
+  if (link) {
+    await syncContactPair(tenant, link.ghlContactId, 'servicem8');
+    return;
+  }
+  if (!force && (await tenant.ledger.isProcessed(ledger.ENTITY.SERVICEM8_CONTACT, contactUuid))) {
+    tenant.debug(`Contact ${contactUuid} already processed, skipping.`);
+    return;
+  }
+
+  const { first, last, email, phone, mobile, company_uuid } = contact;
+  const contactName = `${first || ''} ${last || ''}`.trim();
+  tenant.debug(`Processing new contact ${contactUuid} (company ${company_uuid})`);
+
+  if (!email && !contactName) {
+    tenant.log(`No email or name for contact ${contactUuid}, skipping GHL creation.`);
+    await tenant.ledger.record(ledger.ENTITY.SERVICEM8_CONTACT, contactUuid, ledger.OUTCOME.SKIPPED);
+    return;
+  }
+
+  // GHL dedupes on email or E.164 phone, so check both before creating
+  const parsedPhone = parsePhone(mobile, { allowInternational: true }) || parsePhone(phone, { allowInternational: true });
+  const e164 = parsedPhone ? parsedPhone.e164 : null;
+  let ghlContactId = null;
   try {
-    await fsPromises.writeFile(
-      STATE_FILE,
-      JSON.stringify({
-        lastPollTimestamp,
-        processedJobs: Array.from(processedJobs),
-        processedContacts: Array.from(processedContacts),
-      })
-    );
-    console.log('Saved state: lastPollTimestamp=', lastPollTimestamp);
+    const existingContact =
+      (email ? await tenant.ghl.findContactByEmail(email) : null) ||
+      (e164 ? await tenant.ghl.findContactByPhone(e164) : null);
+    if (existingContact) {
+      ghlContactId = existingContact.id;
+      tenant.log(`Contact already exists in GHL: ${ghlContactId} for email ${email || '-'}, phone ${e164 || '-'}`);
+      await tenant.links.link(ghlContactId, { companyUuid: company_uuid, companyContactUuid: contactUuid }, 'contact_sync');
+      await tenant.ledger.record(ledger.ENTITY.SERVICEM8_CONTACT, contactUuid, ledger.OUTCOME.SKIPPED);
+      await syncContactPair(tenant, ghlContactId, null);
+      return;
+    }
   } catch (error) {
-    console.error('Error saving state:', error.message);
+    tenant.error(
+      `Error checking GHL contact for email ${email}, phone ${e164}:`,
+      error.response ? error.response.data : error.message
+    );
   }
-}
 
-// Fetch ServiceM8 "Quotes - New" queue UUID
-async function getQuotesNewQueueUuid() {
-  if (quotesNewQueueUuid) {
-    console.log('Using cached Quotes - New queue UUID:', quotesNewQueueUuid);
-    return quotesNewQueueUuid;
+  let company = {};
+  try {
+    const companyResponse = await tenant.serviceM8Api.get('/company.json', {
+      params: { '$filter': `uuid eq '${company_uuid}'` },
+    });
+    company = companyResponse.data[0] || {};
+    tenant.debug(`Fetched company details for ${company_uuid}`);
+  } catch (error) {
+    tenant.error(
+      `Error fetching company details for ${company_uuid}:`,
+      error.response ? error.response.data : error.message
+    );
   }
 
   try {
-    const response = await serviceM8Api.get('/queue.json');
-    const queues = response.data || [];
-    console.log(`Fetched ${queues.length} queues from ServiceM8`);
-
-    const queue = queues.find((q) => (q.name || '').toLowerCase().trim() === 'quotes - new');
-    if (queue) {
-      quotesNewQueueUuid = queue.uuid;
-      console.log(`Found "Quotes - New" queue UUID: ${quotesNewQueueUuid}`);
-      return quotesNewQueueUuid;
+    const { body, unresolved } = await mapServiceM8ToGhl(tenant.fieldMapping.serviceM8ToGhl, { contact, company }, tenant.ghl);
+    if (unresolved.length > 0) {
+      tenant.log(`GHL custom fields not found for mapping targets: ${unresolved.join(', ')}`);
     }
+    const ghlContact = await tenant.ghl.createContact({
+      name: contactName,
+      ...body,
+      source: 'ServiceM8 Integration',
+    });
 
-    console.error('No "Quotes - New" queue found');
-    return null;
+    ghlContactId = ghlContact.id;
+    tenant.log(`Created GHL contact: ${ghlContactId} for email ${email}`);
+    await tenant.links.link(ghlContactId, { companyUuid: company_uuid, companyContactUuid: contactUuid }, 'contact_sync');
+    await tenant.ledger.record(ledger.ENTITY.SERVICEM8_CONTACT, contactUuid, ledger.OUTCOME.SYNCED);
+    // Records the values both sides now agree on as the baseline for later edits
+    await syncContactPair(tenant, ghlContactId, null);
   } catch (error) {
-    console.error('Error fetching ServiceM8 queues:', error.response ? error.response.data : error.message);
-    return null;
+    tenant.error('Error creating GHL contact:', error.response ? error.response.data : error.message);
+    await tenant.ledger.record(ledger.ENTITY.SERVICEM8_CONTACT, contactUuid, ledger.OUTCOME.FAILED, describeError(error));
   }
 }
 
-// Check new ServiceM8 contacts and sync to GHL
-const checkNewContacts = async () => {
+// Check new ServiceM8 contacts and sync to GHL. Like the other polls it
+// resolves to { records, error } for the poll run log.
+const checkNewContacts = async (tenant) => {
+  let records = 0;
   try {
-    console.log('Starting contact polling...');
-    const lastPollTimestamp = await loadState();
-    const currentTimestamp = Date.now();
-
-    const accountTimezone = 'Australia/Brisbane';
-    const now = moment().tz(accountTimezone);
-    const twentyMinutesAgo = now.clone().subtract(20, 'minutes').format('YYYY-MM-DD HH:mm:ss');
-    const filter = `$filter=edit_date gt '${twentyMinutesAgo}'`;
-
-    const contactsResponse = await serviceM8Api.get(`/companycontact.json?${filter}`);
-    const contacts = contactsResponse.data;
-    console.log(`Fetched ${contacts.length} new or updated contacts from ServiceM8`);
-
-    for (const contact of contacts) {
-      const contactUuid = contact.uuid;
-      if (processedContacts.has(contactUuid)) {
-        console.log(`Contact ${contactUuid} already processed, skipping.`);
-        continue;
-      }
+    tenant.log('Starting contact polling...');
+    await tenant.poller.pollIncrementally('contacts', tenant.timezone, async (filter) => {
+      const contactsResponse = await tenant.serviceM8Api.get('/companycontact.json', {
+        params: { '$filter': filter },
+      });
+      const contacts = contactsResponse.data;
+      tenant.log(`Fetched ${contacts.length} new or updated contacts from ServiceM8`);
+      metrics.recordsProcessed.inc({ tenant: tenant.id, kind: 'companycontact' }, contacts.length);
+      records += contacts.length;
 
-      const { first, last, email, phone, mobile, company_uuid } = contact;
-      const contactName = `${first || ''} ${last || ''}`.trim();
-      console.log(
-        `Processing new contact - UUID: ${contactUuid}, Name: ${contactName}, Email: ${email}, Phone: ${
-          phone || mobile
-        }, Company UUID: ${company_uuid}`
-      );
-
-      if (!email && !contactName) {
-        console.log(`No email or name for contact ${contactUuid}, skipping GHL creation.`);
-        processedContacts.add(contactUuid);
-        continue;
+      for (const contact of contacts) {
+        await syncServiceM8Contact(tenant, contact);
       }
+    });
+    tenant.log('Contact polling completed.');
+    return { records, error: null };
+  } catch (error) {
+    tenant.error('Error polling contacts:', error.response ? error.response.data : error.message);
+    return { records, error: describeError(error) };
+  }
+};
+
+// Find the GHL contact a ServiceM8 job belongs to: the link store first, then
+// the job's own custom field or legacy description line (linking the job so the
+// next lookup hits the store), then whichever GHL contact its company is linked to
+async function resolveGhlContactId(tenant, job) {
+  const jobLink = await tenant.links.findByJob(job.uuid);
+  if (jobLink) return jobLink.ghlContactId;
+
+  const fromJob = ghlContactIdFromJob(job, tenant.ghlIdField);
+  if (fromJob) {
+    if (fromJob.source === 'description') {
+      tenant.log(`Job ${job.uuid} has no stored link, using the legacy GHL Contact ID line in its description`);
+    }
+    await tenant.links.link(fromJob.ghlContactId, { companyUuid: job.company_uuid, jobUuid: job.uuid }, fromJob.source);
+    return fromJob.ghlContactId;
+  }
 
-      let ghlContactId = null;
-      try {
-        if (email) {
-          const searchResponse = await ghlApi.get('/contacts/', {
-            params: { query: email },
-          });
-
-          const existingContact = searchResponse.data.contacts.find(
-            (c) => (c.email || '').toLowerCase().trim() === (email || '').toLowerCase().trim()
-          );
-          if (existingContact) {
-            ghlContactId = existingContact.id;
-            console.log(`Contact already exists in GHL: ${ghlContactId} for email ${email}`);
-            processedContacts.add(contactUuid);
-            continue;
-          }
+  const companyLink = job.company_uuid ? await tenant.links.findByCompany(job.company_uuid) : null;
+  return companyLink ? companyLink.ghlContactId : '';
+}
+
+// Completion date of a job: the latest end of its job activities, or its
+// edit_date when it has none or they cannot be read
+async function getCompletionDate(tenant, job) {
+  try {
+    const jobActivitiesResponse = await tenant.serviceM8Api.get('/jobactivity.json', {
+      params: { '$filter': `job_uuid eq '${job.uuid}'` },
+    });
+    const jobActivities = jobActivitiesResponse.data;
+    tenant.debug(`Fetched ${jobActivities.length} activities for job ${job.uuid}`);
+    let maxEndDate = null;
+    for (const activity of jobActivities) {
+      if (activity.end_date) {
+        if (!maxEndDate || moment(activity.end_date).tz(tenant.timezone).isAfter(moment(maxEndDate).tz(tenant.timezone))) {
+          maxEndDate = activity.end_date;
         }
-      } catch (error) {
-        console.error(
-          `Error checking GHL contact for email ${email}:`,
-          error.response ? error.response.data : error.message
-        );
       }
+    }
+    if (maxEndDate) {
+      return moment(maxEndDate).tz(tenant.timezone);
+    }
+    tenant.log(`No activities found for job ${job.uuid}, using its edit_date as completion date`);
+  } catch (error) {
+    tenant.error(`Error fetching job activities for job ${job.uuid}:`, error.response ? error.response.data : error.message);
+  }
+  return job.edit_date ? moment(job.edit_date).tz(tenant.timezone) : null;
+}
 
-      let addressDetails = {};
-      try {
-        const companyResponse = await serviceM8Api.get('/company.json', {
-          params: { '$filter': `uuid eq '${company_uuid}'` },
-        });
+// Sum of the job's active payments
+async function getPaidTotal(tenant, jobUuid) {
+  const paymentsResponse = await tenant.serviceM8Api.get('/jobpayment.json', {
+    params: { '$filter': `job_uuid eq '${jobUuid}'` },
+  });
+  return (paymentsResponse.data || [])
+    .filter((payment) => Number(payment.active) === 1)
+    .reduce((total, payment) => total + (Number(payment.amount) || 0), 0);
+}
 
-        const company = companyResponse.data[0] || {};
-        addressDetails = {
-          address1: company.billing_address || '',
-          city: company.billing_city || '',
-          state: company.billing_state || '',
-          postalCode: company.billing_postcode || '',
-        };
-        console.log(`Fetched company address for ${company_uuid}:`, addressDetails);
-      } catch (error) {
-        console.error(
-          `Error fetching company details for ${company_uuid}:`,
-          error.response ? error.response.data : error.message
-        );
-      }
+// Look up what the tenant's payment trigger rules need to know about a payment
+// and evaluate each of them. Resolves to { job, contact, facts, results } where
+// contact is the client's primary company contact and results come from
+// evaluateRule, or to { job: null } when the payment's job is gone.
+async function evaluatePayment(tenant, payment) {
+  const rules = tenant.paymentTriggers;
+  const paymentUuid = payment.uuid;
+  const jobUuid = payment.job_uuid;
+
+  const jobResponse = await tenant.serviceM8Api.get(`/job.json?$filter=uuid eq '${jobUuid}'`);
+  const job = jobResponse.data[0];
+  if (!job) return { job: null };
+  tenant.debug(`Fetched job ${jobUuid}: status=${job.status}, company_uuid=${job.company_uuid}, edit_date=${job.edit_date}`);
+
+  // Everything else about the job can be looked up at once
+  const [ghlContactId, contact, completionDate, paidTotal] = await Promise.all([
+    resolveGhlContactId(tenant, job).catch((error) => {
+      tenant.error(`Error resolving GHL contact for job ${jobUuid}:`, error.message);
+      return '';
+    }),
+    job.company_uuid
+      ? tenant.serviceM8Api
+          .get('/companycontact.json', { params: { '$filter': `company_uuid eq '${job.company_uuid}'` } })
+          .then((companyResponse) => companyResponse.data.find((c) => c.email) || {})
+          .catch((error) => {
+            tenant.error(`Error fetching contact for company ${job.company_uuid}:`, error.response ? error.response.data : error.message);
+            return {};
+          })
+      : {},
+    needsCompletionDate(rules) ? getCompletionDate(tenant, job) : null,
+    needsPaymentTotals(rules) ? getPaidTotal(tenant, jobUuid) : null,
+  ]);
+  const clientEmail = (contact.email || '').trim().toLowerCase();
+
+  const facts = {
+    paymentUuid,
+    jobUuid,
+    active: payment.active,
+    amount: payment.amount,
+    jobStatus: job.status,
+    completionDate,
+    invoiceTotal: Number(job.total_invoice_amount) || 0,
+    paidTotal,
+    ghlContactId,
+    clientEmail,
+    contactKey: ghlContactId || clientEmail,
+  };
 
-      try {
-        const ghlContactResponse = await ghlApi.post('/contacts/', {
-          firstName: first || '',
-          lastName: last || '',
-          name: contactName,
-          email: email || '',
-          phone: phone || mobile || '',
-          address1: addressDetails.address1,
-          city: addressDetails.city,
-          state: addressDetails.state,
-          postalCode: addressDetails.postalCode,
-          source: 'ServiceM8 Integration',
-        });
+  const results = [];
+  for (const rule of rules) {
+    const keys = triggerKeys(rule, facts);
+    const history = {
+      payment: await tenant.ledger.isProcessed(ledger.ENTITY.PAYMENT_TRIGGER, keys.payment),
+      job: await tenant.ledger.isProcessed(ledger.ENTITY.PAYMENT_TRIGGER, keys.job),
+      // Contacts triggered before these rules existed count for every rule
+      contact: Boolean(
+        keys.contact &&
+          ((await tenant.ledger.isProcessed(ledger.ENTITY.PAYMENT_TRIGGER, keys.contact)) ||
+            (await tenant.ledger.isProcessed(ledger.ENTITY.GHL_CONTACT, facts.contactKey)))
+      ),
+    };
+    results.push(evaluateRule(rule, facts, history, tenant.timezone));
+  }
+  return { job, contact, facts, results };
+}
 
-        ghlContactId = ghlContactResponse.data.contact.id;
-        console.log(`Created GHL contact: ${ghlContactId} for email ${email}`);
-        processedContacts.add(contactUuid);
-      } catch (error) {
-        console.error(
-          'Error creating GHL contact:',
-          error.response ? error.response.data : error.message
-        );
-      }
-    }
+// Check a single ServiceM8 payment against the tenant's payment trigger rules
+// and fire the webhook of each rule it matches. force re-evaluates a payment
+// already recorded as processed; rules that fired for it still do not fire again.
+async function processPayment(tenant, payment, { force = false } = {}) {
+  const paymentUuid = payment.uuid;
+  const jobUuid = payment.job_uuid;
+  tenant.debug(`Processing payment ${paymentUuid} for job ${jobUuid}`);
+  if (
+    (await isSkipped(tenant, ledger.ENTITY.SERVICEM8_PAYMENT, paymentUuid)) ||
+    (await isSkipped(tenant, ledger.ENTITY.SERVICEM8_JOB, jobUuid))
+  ) {
+    return;
+  }
 
-    await saveState(currentTimestamp);
-    console.log('Contact polling completed.');
+  // Recorded once every rule has fired for the payment
+  if (!force && (await tenant.ledger.isProcessed(ledger.ENTITY.SERVICEM8_PAYMENT, paymentUuid))) {
+    tenant.debug(`Payment ${paymentUuid} already processed, skipping.`);
+    return;
+  }
+
+  let evaluation;
+  try {
+    evaluation = await evaluatePayment(tenant, payment);
   } catch (error) {
-    console.error('Error polling contacts:', error.response ? error.response.data : error.message);
+    // The poll cursor moves on regardless, so the failure is left for retryFailedPayments
+    tenant.error(`Error evaluating payment ${paymentUuid}:`, error.response ? error.response.data : error.message);
+    await tenant.ledger.record(ledger.ENTITY.SERVICEM8_PAYMENT, paymentUuid, ledger.OUTCOME.FAILED, describeError(error));
+    return;
+  }
+  if (!evaluation.job) {
+    tenant.log(`No job found for job_uuid ${jobUuid}, skipping payment ${paymentUuid}`);
+    return;
   }
-};
+
+  const { job, contact, facts, results } = evaluation;
+  let failure = null;
+  for (const [index, result] of results.entries()) {
+    const rule = tenant.paymentTriggers[index];
+    if (!result.fires) {
+      const failed = result.checks.filter((c) => !c.passed).map((c) => `${c.check} (${c.detail})`);
+      tenant.debug(`Payment ${paymentUuid} does not fire trigger ${rule.name}: ${failed.join('; ')}`);
+      continue;
+    }
+    // Once queued the outbox owns delivery, retrying until it succeeds or is
+    // marked failed for replay, so the trigger counts as fired
+    try {
+      const webhookPayload = await buildPaymentPayload(tenant.serviceM8Api, rule.payload, { rule, payment, job, facts, contact });
+      const delivery = await tenant.outbox.enqueue({
+        url: rule.webhookUrl || tenant.webhookUrl,
+        event: rule.event,
+        payload: webhookPayload,
+        source: `payment:${paymentUuid}:${rule.name}`,
+      });
+      tenant.log(`Trigger ${rule.name} fired for payment ${paymentUuid}: queued delivery ${delivery.id}`);
+      const keys = triggerKeys(rule, facts);
+      await tenant.ledger.record(ledger.ENTITY.PAYMENT_TRIGGER, keys.payment, ledger.OUTCOME.SYNCED);
+      await tenant.ledger.record(ledger.ENTITY.PAYMENT_TRIGGER, keys.job, ledger.OUTCOME.SYNCED);
+      if (keys.contact) await tenant.ledger.record(ledger.ENTITY.PAYMENT_TRIGGER, keys.contact, ledger.OUTCOME.SYNCED);
+    } catch (error) {
+      failure = error;
+      tenant.error(`Failed to fire trigger ${rule.name} for payment ${paymentUuid}:`, error.response ? error.response.data : error.message);
+    }
+  }
+
+  if (failure) {
+    await tenant.ledger.record(ledger.ENTITY.SERVICEM8_PAYMENT, paymentUuid, ledger.OUTCOME.FAILED, describeError(failure));
+    return;
+  }
+  // A payment that has not fired every rule stays open: its job may still
+  // change (be completed, or paid in full) and make another rule fire
+  let firedAll = true;
+  for (const rule of tenant.paymentTriggers) {
+    const { payment: key } = triggerKeys(rule, facts);
+    if (!(await tenant.ledger.isProcessed(ledger.ENTITY.PAYMENT_TRIGGER, key))) firedAll = false;
+  }
+  if (firedAll) {
+    await tenant.ledger.record(ledger.ENTITY.SERVICEM8_PAYMENT, paymentUuid, ledger.OUTCOME.SYNCED);
+  }
+}
+
+// Process again the payments whose last attempt failed. Their edit window is
+// already behind the poll cursor, so nothing else would look at them again.
+async function retryFailedPayments(tenant) {
+  const failed = await tenant.ledger.list({
+    type: ledger.ENTITY.SERVICEM8_PAYMENT,
+    outcome: ledger.OUTCOME.FAILED,
+    limit: Infinity,
+  });
+  if (failed.length > 0) tenant.log(`Retrying ${failed.length} failed payments`);
+  for (const entry of failed) {
+    try {
+      const paymentResponse = await tenant.serviceM8Api.get(`/jobpayment/${entry.id}.json`);
+      await processPayment(tenant, paymentResponse.data);
+    } catch (error) {
+      tenant.error(`Error retrying payment ${entry.id}:`, error.response ? error.response.data : error.message);
+    }
+  }
+  return failed.length;
+}
 
 // Check payment status and trigger GHL webhook
-const checkPaymentStatus = async () => {
+const checkPaymentStatus = async (tenant) => {
+  let records = 0;
   try {
-    console.log('Starting payment status check...');
-    const accountTimezone = 'Australia/Brisbane';
-    const now = moment().tz(accountTimezone);
-    const twentyMinutesAgo = now.clone().subtract(20, 'minutes').format('YYYY-MM-DD HH:mm:ss');
-    const targetDate = moment('2025-05-24').tz(accountTimezone).startOf('day').format('YYYY-MM-DDTHH:mm:ss');
-    console.log(`Checking payments edited after ${twentyMinutesAgo} for jobs completed on or after ${targetDate}`);
-
-    // Step 1: Fetch payments edited in the last 20 minutes
-    const paymentFilter = `$filter=edit_date gt '${twentyMinutesAgo}'`;
-    const paymentsResponse = await serviceM8Api.get(`/jobpayment.json?${paymentFilter}`);
-    const payments = paymentsResponse.data;
-    console.log(`Fetched ${payments.length} payments edited in the last 20 minutes`);
-
-    for (const payment of payments) {
-      const paymentUuid = payment.uuid;
-      const jobUuid = payment.job_uuid;
-      console.log(`Processing payment ${paymentUuid} for job ${jobUuid}`);
-
-      // Step 2: Skip if payment already processed
-      if (processedJobs.has(paymentUuid)) {
-        console.log(`Payment ${paymentUuid} already processed, skipping.`);
-        continue;
-      }
+    tenant.log('Starting payment status check...');
+    await tenant.poller.pollIncrementally('payments', tenant.timezone, async (filter) => {
+      const paymentsResponse = await tenant.serviceM8Api.get('/jobpayment.json', {
+        params: { '$filter': filter },
+      });
+      const payments = paymentsResponse.data;
+      tenant.log(`Fetched ${payments.length} new or updated payments from ServiceM8`);
+      metrics.recordsProcessed.inc({ tenant: tenant.id, kind: 'jobpayment' }, payments.length);
+      records += payments.length;
 
-      // Step 3: Fetch job details to check status and edit_date
-      let job;
-      try {
-        const jobResponse = await serviceM8Api.get(`/job.json?$filter=uuid eq '${jobUuid}'`);
-        job = jobResponse.data[0];
-        console.log(`Fetched job ${jobUuid}: status=${job?.status}, company_uuid=${job?.company_uuid}, edit_date=${job?.edit_date}`);
-      } catch (error) {
-        console.error(`Error fetching job ${jobUuid}:`, error.response ? error.response.data : error.message);
-        continue;
-      }
-      if (!job) {
-        console.log(`No job found for job_uuid ${jobUuid}, skipping payment ${paymentUuid}`);
-        continue;
+      for (const payment of payments) {
+        await processPayment(tenant, payment);
       }
+    });
+    records += await retryFailedPayments(tenant);
+    tenant.log('Payment status check completed.');
+    return { records, error: null };
+  } catch (error) {
+    tenant.error('Error checking payment status:', error.response ? error.response.data : error.message);
+    return { records, error: describeError(error) };
+  }
+};
 
-      // Step 4: Check if job is completed
-      if (job.status.toLowerCase() !== 'completed') {
-        console.log(`Job ${jobUuid} is not completed (status: ${job.status}), skipping payment ${paymentUuid}`);
-        continue;
-      }
+// Start time of the job's earliest scheduled activity, or null if it is not booked
+async function getBookedFor(tenant, jobUuid) {
+  const activitiesResponse = await tenant.serviceM8Api.get('/jobactivity.json', {
+    params: { '$filter': `job_uuid eq '${jobUuid}'` },
+  });
+  const booked = (activitiesResponse.data || [])
+    .filter((activity) => Number(activity.active) === 1 && Number(activity.activity_was_scheduled) === 1 && activity.start_date)
+    .map((activity) => activity.start_date)
+    .sort();
+  return booked[0] || null;
+}
 
-      // Step 5: Fetch job activities to determine completion date
-      let completionDate = null;
-      try {
-        const jobActivitiesResponse = await serviceM8Api.get(`/jobactivity.json?$filter=job_uuid eq '${jobUuid}'`);
-        const jobActivities = jobActivitiesResponse.data;
-        console.log(`Fetched ${jobActivities.length} activities for job ${jobUuid}`);
-        let maxEndDate = null;
-        for (const activity of jobActivities) {
-          if (activity.end_date) {
-            console.log(`Activity for job ${jobUuid}: end_date=${activity.end_date}`);
-            if (!maxEndDate || moment(activity.end_date).tz(accountTimezone).isAfter(moment(maxEndDate).tz(accountTimezone))) {
-              maxEndDate = activity.end_date;
-            }
-          }
-        }
-        if (maxEndDate) {
-          completionDate = moment(maxEndDate).tz(accountTimezone);
-          console.log(`Using job activity end_date as completion date: ${completionDate.format('YYYY-MM-DD HH:mm:ss')}`);
-        } else {
-          completionDate = moment(job.edit_date).tz(accountTimezone);
-          console.log(`No activities found, using job edit_date as completion date: ${completionDate.format('YYYY-MM-DD HH:mm:ss')}`);
-        }
-      } catch (error) {
-        console.error(`Error fetching job activities for job ${jobUuid}:`, error.response ? error.response.data : error.message);
-        completionDate = moment(job.edit_date).tz(accountTimezone);
-        console.log(`Failed to fetch activities, using job edit_date as completion date: ${completionDate.format('YYYY-MM-DD HH:mm:ss')}`);
-      }
+// Push a job's lifecycle changes to its GHL contact's opportunity. Each
+// configured transition is sent at most once per job; a failed one is retried
+// the next time the job changes.
+async function syncJobStatus(tenant, job) {
+  if (!tenant.stageSync || tenant.stageSync.transitions.length === 0) return;
+  if (await isSkipped(tenant, ledger.ENTITY.SERVICEM8_JOB, job.uuid)) return;
+
+  const pending = [];
+  for (const transition of tenant.stageSync.transitions) {
+    const key = `${job.uuid}:${transition.event.toLowerCase()}`;
+    if (!(await tenant.ledger.isProcessed(ledger.ENTITY.JOB_TRANSITION, key))) {
+      pending.push({ transition, key });
+    }
+  }
+  if (pending.length === 0) return;
+
+  const queueName = job.queue_uuid ? await getQueueName(tenant, job.queue_uuid) : null;
+  const bookedFor = pending.some(({ transition }) => transition.event.toLowerCase() === 'job_booked')
+    ? await getBookedFor(tenant, job.uuid)
+    : null;
+  const events = jobEvents(job, { queueName, bookedFor });
+  const due = pending.filter(({ transition }) => events.includes(transition.event.toLowerCase()));
+  if (due.length === 0) return;
+
+  const ghlContactId = await resolveGhlContactId(tenant, job);
+  if (!ghlContactId) {
+    tenant.log(`No GHL contact linked to job ${job.uuid}, skipping stage sync for ${due.map((d) => d.transition.event).join(', ')}`);
+    return;
+  }
 
-      // Step 6: Check if job was completed on or after May 24, 2025
-      if (!completionDate) {
-        console.log(`No completion date available for job ${jobUuid}, skipping payment ${paymentUuid}`);
-        continue;
-      }
-      const targetMoment = moment(targetDate).tz(accountTimezone);
-      console.log(`Job ${jobUuid} completion date: ${completionDate.format('YYYY-MM-DD HH:mm:ss')}, target: ${targetMoment.format('YYYY-MM-DD HH:mm:ss')}`);
-      if (!completionDate.isSameOrAfter(targetMoment)) {
-        console.log(`Payment ${paymentUuid} belongs to job ${jobUuid} not completed on or after May 24, 2025, skipping.`);
-        continue;
-      }
+  for (const { transition, key } of due) {
+    try {
+      await applyTransition(tenant.ghl, tenant.stageSync, transition, { ghlContactId, job, queueName, bookedFor });
+      tenant.log(`Sent ${transition.event} for job ${job.uuid} to GHL contact ${ghlContactId}`);
+      await tenant.ledger.record(ledger.ENTITY.JOB_TRANSITION, key, ledger.OUTCOME.SYNCED);
+    } catch (error) {
+      tenant.error(`Error sending ${transition.event} for job ${job.uuid} to GHL:`, error.response ? error.response.data : error.message);
+      await tenant.ledger.record(ledger.ENTITY.JOB_TRANSITION, key, ledger.OUTCOME.FAILED, describeError(error));
+    }
+  }
+}
 
-      // Step 7: Fetch GHL Contact ID and company_uuid
-      let ghlContactId = '';
-      if (job.job_description) {
-        const ghlContactIdMatch = job.job_description.match(/GHL Contact ID: ([a-zA-Z0-9]+)/);
-        ghlContactId = ghlContactIdMatch ? ghlContactIdMatch[1] : '';
-        console.log(`Extracted GHL Contact ID: ${ghlContactId} for job ${jobUuid}`);
-      }
-      const companyUuid = job.company_uuid;
-      if (!companyUuid) {
-        console.log(`No company_uuid for job ${jobUuid}, skipping payment ${paymentUuid}`);
-        continue;
+// Reconcile job lifecycle changes the webhooks missed
+const checkJobStatuses = async (tenant) => {
+  if (!tenant.stageSync) return { records: 0, error: null };
+  let records = 0;
+  try {
+    tenant.log('Starting job status polling...');
+    await tenant.poller.pollIncrementally('jobs', tenant.timezone, async (filter) => {
+      const jobsResponse = await tenant.serviceM8Api.get('/job.json', {
+        params: { '$filter': filter },
+      });
+      const jobs = jobsResponse.data;
+      tenant.log(`Fetched ${jobs.length} new or updated jobs from ServiceM8`);
+      metrics.recordsProcessed.inc({ tenant: tenant.id, kind: 'job' }, jobs.length);
+      records += jobs.length;
+
+      for (const job of jobs) {
+        await syncJobStatus(tenant, job);
       }
+    });
+    tenant.log('Job status polling completed.');
+    return { records, error: null };
+  } catch (error) {
+    tenant.error('Error polling job statuses:', error.response ? error.response.data : error.message);
+    return { records, error: describeError(error) };
+  }
+};
 
-      // Step 8: Fetch company contact
-      let clientEmail = '';
-      try {
-        const companyResponse = await serviceM8Api.get('/companycontact.json', {
-          params: { '$filter': `company_uuid eq '${companyUuid}'` },
+// Endpoint for GHL to create a job in ServiceM8. The work happens in the
+// background; the response carries a tracking ID for GET /jobs/:trackingId.
+// Accepts JSON, or multipart with the fields plus files under "photos", which
+// are attached to the job alongside the files on the GHL contact.
+// Served per tenant at /t/:tenant/ghl-create-job, and for the default tenant
+// at /ghl-create-job.
+tenantRouter.post(
+  '/ghl-create-job',
+  resolveTenant,
+  requireWebhookSecret((req) => req.tenant.inboundSecret),
+  receivePhotos,
+  verifyUploadSignature,
+  correlateRequest,
+  validateBody(ghlCreateJobSchema),
+  checkUploads,
+  async (req, res) => {
+    const { tenant } = req;
+    let idempotencyKey;
+    try {
+      tenant.log('Starting job creation from GHL...');
+      const { firstName, lastName, email, phone, address, jobDescription, source, ghlContactId } = req.body;
+
+      // Deduplicate on the Idempotency-Key header, or the contact plus a hash of the submission
+      idempotencyKey = idempotency.deriveKey(req.get('idempotency-key'), req.body);
+      const claim = await tenant.idempotency.claim(idempotencyKey, ghlContactId);
+      if (claim.status === 'replay') {
+        tenant.log(`Job already created for ghlContactId ${ghlContactId}, returning existing job ${claim.entry.jobUuid}`);
+        return res.status(200).json({
+          message: 'Job already created',
+          jobUuid: claim.entry.jobUuid,
+          trackingId: claim.entry.trackingId,
+          replayed: true,
         });
-        const company = companyResponse.data;
-        const primaryContact = company.find(c => c.email) || {};
-        clientEmail = (primaryContact.email || '').trim().toLowerCase();
-        console.log(`Extracted client email: ${clientEmail} for company ${companyUuid}`);
-      } catch (error) {
-        console.error(`Error fetching contact for company ${companyUuid}:`, error.response ? error.response.data : error.message);
       }
-
-      // Step 9: Check if contact already triggered
-      const contactKey = ghlContactId || clientEmail;
-      if (contactKey && processedContacts.has(contactKey)) {
-        console.log(`Contact ${contactKey} already triggered, skipping payment ${paymentUuid}`);
-        continue;
+      if (claim.status === 'in_progress') {
+        tenant.log(`Job creation already in progress for ghlContactId ${ghlContactId}, skipping`);
+        if (claim.entry.trackingId) {
+          return res.status(202).json({ message: 'Job creation already queued', trackingId: claim.entry.trackingId });
+        }
+        return res.status(409).json({ error: 'Job creation already in progress' });
       }
 
-      // Step 10: Check if payment is paid and recent
-      if (
-        payment.active === 1 &&
-        payment.amount > 0 &&
-        moment(payment.edit_date).tz(accountTimezone).isAfter(twentyMinutesAgo)
-      ) {
-        console.log(`Recent paid payment found: UUID ${paymentUuid}, Amount ${payment.amount}, Job UUID ${jobUuid}, Edit Date ${payment.edit_date}`);
-        const webhookPayload = {
-          paymentUuid: paymentUuid,
-          jobUuid: jobUuid,
-          clientEmail: clientEmail || '',
-          ghlContactId: ghlContactId,
-          status: 'Invoice Paid',
-        };
-        try {
-          const webhookResponse = await axios.post(GHL_WEBHOOK_URL, webhookPayload, {
-            headers: {
-              Authorization: `Bearer ${GHL_API_KEY}`,
-              'Content-Type': 'application/json',
-            },
-          });
-          console.log(
-            `GHL webhook triggered for payment ${paymentUuid}: status=${webhookResponse.status}, response=${JSON.stringify(webhookResponse.data)}`
-          );
-          processedJobs.add(paymentUuid);
-          if (contactKey) processedContacts.add(contactKey);
-        } catch (webhookError) {
-          console.error(
-            `Failed to trigger GHL webhook for payment ${paymentUuid}:`,
-            webhookError.response ? webhookError.response.data : webhookError.message
-          );
-        }
-      } else {
-        console.log(`Payment ${paymentUuid} is not paid or not recent, skipping. Details:`, {
-          active: payment.active,
-          amount: payment.amount,
-          edit_date: payment.edit_date,
+      const run = await tenant.jobPipeline.submit({
+        firstName,
+        lastName,
+        email,
+        phone,
+        address,
+        jobDescription,
+        source,
+        ghlContactId,
+        idempotencyKey,
+        uploads: req.uploads,
+      });
+      req.keepUploads = true;
+      await tenant.idempotency.attachRun(idempotencyKey, run.id);
+      tenant.log(`Queued job creation ${run.id} for ghlContactId ${ghlContactId} with ${req.uploads.length} uploaded files`);
+      res.status(202).json({ message: 'Job creation queued', trackingId: run.id });
+    } catch (error) {
+      tenant.error('Error queuing job creation:', error.message);
+      if (idempotencyKey) {
+        await tenant.idempotency.release(idempotencyKey).catch((releaseError) => {
+          tenant.error('Error releasing idempotency key:', releaseError.message);
         });
       }
+      res.status(500).json({ error: 'Failed to queue job creation' });
     }
-
-    // Step 11: Save state
-    await saveState(Date.now());
-    console.log('Payment status check completed.');
-  } catch (error) {
-    console.error('Error checking payment status:', error.response ? error.response.data : error.message);
   }
-};
-
-// Helper function to get file extension from MIME type
-function getFileExtensionFromMime(mime) {
-  const mimeToExt = {
-    'image/png': '.png',
-    'image/jpeg': '.jpg',
-    'image/gif': '.gif',
-    'application/pdf': '.pdf',
+);
+
+// Summarise a pipeline run for the status endpoints
+function describeRun(run) {
+  const createJobStep = run.steps.createJob;
+  return {
+    trackingId: run.id,
+    status: run.status,
+    jobUuid: createJobStep && createJobStep.output ? createJobStep.output.jobUuid : null,
+    error: run.error,
+    held: run.held || null,
+    steps: Object.fromEntries(
+      Object.entries(run.steps).map(([name, step]) => [name, { status: step.status, attempts: step.attempts, error: step.error }])
+    ),
+    createdAt: run.createdAt,
+    updatedAt: run.updatedAt,
   };
-  return mimeToExt[mime.toLowerCase()] || '.dat';
 }
 
-// Helper function to assign phone or mobile based on prefix
-function assignPhoneFields(data, phoneNumber) {
-  if (phoneNumber.startsWith('07')) {
-    data.phone = phoneNumber;
-    data.mobile = '';
-  } else if (phoneNumber.startsWith('04')) {
-    data.mobile = phoneNumber;
-    data.phone = '';
-  } else {
-    data.phone = phoneNumber;
-    data.mobile = '';
+// Status of a queued job creation
+tenantRouter.get('/jobs/:trackingId', resolveTenant, requireAdminToken, async (req, res) => {
+  const run = await req.tenant.jobPipeline.getRun(req.params.trackingId);
+  if (!run) {
+    return res.status(404).json({ error: 'Unknown tracking ID' });
   }
-}
+  res.json(describeRun(run));
+});
+
+// Job creations that exhausted their retries
+tenantRouter.get('/jobs-dead-letter', resolveTenant, requireAdminToken, async (req, res) => {
+  const entries = await req.tenant.jobPipeline.listDeadLetter();
+  res.json(entries.map(({ failedAt, attempts, run }) => ({ failedAt, attempts, ...(run ? describeRun(run) : {}) })));
+});
 
-// Endpoint for GHL to create a job in ServiceM8
-app.post('/ghl-create-job', upload.array('photos'), async (req, res) => {
+// Put a dead-lettered job creation back on the queue; it resumes at the failed step
+tenantRouter.post('/jobs-dead-letter/:trackingId/retry', resolveTenant, requireAdminToken, async (req, res) => {
+  const run = await req.tenant.jobPipeline.retry(req.params.trackingId);
+  if (!run) {
+    return res.status(404).json({ error: 'Tracking ID is not dead-lettered' });
+  }
+  req.tenant.log(`Requeued dead-lettered job creation ${run.id}`);
+  res.status(202).json(describeRun(run));
+});
+
+// Dry run of the tenant's field mapping: the ServiceM8 payloads a GHL contact
+// would produce (query parameters stand in for the /ghl-create-job submission)
+tenantRouter.get('/field-mapping/preview/ghl/:contactId', resolveTenant, requireAdminToken, async (req, res) => {
+  const { tenant } = req;
   try {
-    console.log('Starting job creation from GHL...');
-    const { firstName, lastName, email, phone, address, jobDescription, ghlContactId } = req.body;
-
-    if (!firstName || !lastName || !email || !ghlContactId) {
-      console.log('Missing required fields:', { firstName, lastName, email, ghlContactId });
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
-
-    // Deduplicate based on ghlContactId
-    const now = Date.now();
-    const lastProcessed = processedGhlContactIds.get(ghlContactId);
-    if (lastProcessed && now - lastProcessed < 5000) {
-      console.log(`Duplicate job creation attempt for ghlContactId ${ghlContactId}, skipping`);
-      return res.status(200).json({ message: 'Job creation skipped (duplicate request)' });
-    }
-    processedGhlContactIds.set(ghlContactId, now);
-    console.log(`Processing job creation for ghlContactId ${ghlContactId}`);
-
-    const queueUuid = getQuotesNewQueueUuid();
-    if (!queueUuid) {
-      console.log('Failed to fetch "To Be Quoted (Desk Quote)" queue UUID');
-      return res.status(500).json({ error: 'Failed to fetch "To Be Quoted (Desk Quote)" queue UUID' });
-    }
-
-    const companiesResponse = await serviceM8Api.get('/company.json');
-    const companies = companiesResponse.data;
-    console.log(`Fetched ${companies.length} companies from ServiceM8`);
-
-    let companyUuid;
-    const fullName = `${firstName} ${lastName}`.trim().toLowerCase();
-    const inputEmail = (email || '').toLowerCase().trim();
-    const matchingCompany = companies.find((company) => {
-      const companyEmail = (company.email || '').toLowerCase().trim();
-      const companyName = (company.name || '').toLowerCase().trim();
-      console.log(
-        `Comparing company: email=${companyEmail} vs ${inputEmail}, name=${companyName} vs ${fullName}`
-      );
-      return companyEmail === inputEmail || companyName === fullName;
+    const { contact, customFields } = await readGhlContact(tenant.ghl, req.params.contactId);
+    const input = { ...req.query, ghlContactId: req.params.contactId };
+    res.json({
+      direction: 'ghlToServiceM8',
+      customFields,
+      payload: mapGhlToServiceM8(tenant.fieldMapping.ghlToServiceM8, { contact, customFields, input }),
     });
+  } catch (error) {
+    tenant.error('Error previewing GHL field mapping:', error.response ? error.response.data : error.message);
+    res.status(502).json({ error: 'Failed to read GHL contact' });
+  }
+});
 
-    if (matchingCompany) {
-      companyUuid = matchingCompany.uuid;
-      console.log(
-        `Client already exists: ${companyUuid} for email ${email}, phone: ${matchingCompany.phone}`
-      );
-    } else {
-      console.log(`Creating new client with name ${fullName}, email ${email}, phone ${phone}`);
-      const newCompanyResponse = await serviceM8Api.post('/company.json', { name: fullName });
-      companyUuid = newCompanyResponse.headers['x-record-uuid'];
-      console.log(`Client created: ${companyUuid} for email ${email} with phone ${phone}`);
-    }
-
-    // Check for existing company contact
-    const contactsResponse = await serviceM8Api.get(`/companycontact.json?$filter=company_uuid eq '${companyUuid}'`);
-    const existingContacts = contactsResponse.data;
-    const matchingContact = existingContacts.find((contact) => {
-      const contactEmail = (contact.email || '').toLowerCase().trim();
-      const contactName = `${contact.first || ''} ${contact.last || ''}`.trim().toLowerCase();
-      return contactEmail === inputEmail || contactName === fullName;
-    });
+// ...and the GHL contact body a ServiceM8 company contact would produce
+tenantRouter.get('/field-mapping/preview/servicem8/:contactUuid', resolveTenant, requireAdminToken, async (req, res) => {
+  const { tenant } = req;
+  try {
+    const contactResponse = await tenant.serviceM8Api.get(`/companycontact/${req.params.contactUuid}.json`);
+    const contact = contactResponse.data;
+    const companyResponse = await tenant.serviceM8Api.get(`/company/${contact.company_uuid}.json`);
+    const { body, unresolved } = await mapServiceM8ToGhl(
+      tenant.fieldMapping.serviceM8ToGhl,
+      { contact, company: companyResponse.data },
+      tenant.ghl
+    );
+    res.json({ direction: 'serviceM8ToGhl', payload: body, unresolved });
+  } catch (error) {
+    tenant.error('Error previewing ServiceM8 field mapping:', error.response ? error.response.data : error.message);
+    res.status(502).json({ error: 'Failed to read ServiceM8 contact' });
+  }
+});
 
-    if (!matchingContact) {
-      // Create company contact only if it doesn't exist
-      const companyContactData = {
-        company_uuid: companyUuid,
-        first: firstName,
-        last: lastName,
-        email: email,
-      };
-      if (phone) {
-        assignPhoneFields(companyContactData, phone);
-      }
-      await serviceM8Api.post('/companycontact.json', companyContactData);
-      console.log(`Contact added for client: ${companyUuid}`);
-    } else {
-      console.log(`Contact already exists for company ${companyUuid}, skipping creation.`);
-    }
+// Job creations held because the submission might belong to an existing client
+tenantRouter.get('/client-reviews', resolveTenant, requireAdminToken, async (req, res) => {
+  const runs = await req.tenant.jobPipeline.listHeld();
+  res.json(
+    runs.map((run) => ({
+      trackingId: run.id,
+      heldAt: run.held.heldAt,
+      reason: run.held.reason,
+      submission: {
+        firstName: run.input.firstName,
+        lastName: run.input.lastName,
+        email: run.input.email,
+        phone: run.input.phone,
+        address: run.input.address,
+        ghlContactId: run.input.ghlContactId,
+      },
+      candidates: run.held.details.candidates || [],
+    }))
+  );
+});
 
-    // Fetch message from GHL contact
-    let message = '';
-    try {
-      const contactResponse = await ghlApi.get(`/contacts/${ghlContactId}`, {
-        params: { include: 'customFields' }, // Explicitly request custom fields
+// Decide a held client match: { "companyUuid": "..." } attaches the job to that
+// client, { "createNew": true } creates a new one
+tenantRouter.post('/client-reviews/:trackingId', resolveTenant, requireAdminToken, async (req, res) => {
+  const { companyUuid, createNew } = req.body || {};
+  if (!companyUuid === !createNew) {
+    return res.status(422).json({ error: 'Send exactly one of companyUuid or createNew' });
+  }
+  const clientReview = companyUuid ? { companyUuid: String(companyUuid) } : { createNew: true };
+  const run = await req.tenant.jobPipeline.resume(req.params.trackingId, { clientReview });
+  if (!run) {
+    return res.status(404).json({ error: 'Tracking ID is not held for review' });
+  }
+  req.tenant.log(`Resumed job creation ${run.id} after client review:`, JSON.stringify(clientReview));
+  res.status(202).json(describeRun(run));
+});
+
+// Outbound webhook deliveries, newest first; ?status=pending|delivered|failed
+tenantRouter.get('/webhook-deliveries', resolveTenant, requireAdminToken, async (req, res) => {
+  const status = req.query.status || null;
+  if (status && !Object.values(DELIVERY_STATUS).includes(status)) {
+    return res.status(422).json({ error: `status must be one of ${Object.values(DELIVERY_STATUS).join(', ')}` });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  res.json(await req.tenant.outbox.list({ status, limit }));
+});
+
+// One delivery with its payload and attempt history
+tenantRouter.get('/webhook-deliveries/:deliveryId', resolveTenant, requireAdminToken, async (req, res) => {
+  const delivery = await req.tenant.outbox.get(req.params.deliveryId);
+  if (!delivery) {
+    return res.status(404).json({ error: 'Unknown delivery' });
+  }
+  res.json(delivery);
+});
+
+// Send a failed delivery again
+tenantRouter.post('/webhook-deliveries/:deliveryId/replay', resolveTenant, requireAdminToken, async (req, res) => {
+  const delivery = await req.tenant.outbox.replay(req.params.deliveryId);
+  if (!delivery) {
+    return res.status(404).json({ error: 'Delivery is not failed' });
+  }
+  req.tenant.log(`Replaying webhook delivery ${delivery.id}`);
+  res.status(202).json(delivery);
+});
+
+// Redirect target for the GHL marketplace app install (v2 OAuth)
+app.get('/oauth/ghl/callback', async (req, res) => {
+  if (!req.query.code) {
+    return res.status(400).json({ error: 'Missing authorization code' });
+  }
+  try {
+    const locationId = await exchangeAuthorizationCode(
+      {
+        clientId: GHL_CLIENT_ID,
+        clientSecret: GHL_CLIENT_SECRET,
+        redirectUri: `${APP_BASE_URL}/oauth/ghl/callback`,
+      },
+      req.query.code
+    );
+    res.send(`GHL connected for location ${locationId}`);
+  } catch (error) {
+    console.error('Error exchanging GHL authorization code:', error.response ? error.response.data : error.message);
+    res.status(502).json({ error: 'Failed to connect GHL' });
+  }
+});
+
+// Handle one queued ServiceM8 webhook entry using the same logic as the pollers
+async function handleServiceM8Event(tenant, { object, uuid }) {
+  tenant.debug(`Handling ServiceM8 ${object} event for ${uuid}`);
+  metrics.recordsProcessed.inc({ tenant: tenant.id, kind: object });
+  switch (object) {
+    case 'jobpayment': {
+      const paymentResponse = await tenant.serviceM8Api.get(`/jobpayment/${uuid}.json`);
+      await processPayment(tenant, paymentResponse.data);
+      break;
+    }
+    case 'companycontact': {
+      const contactResponse = await tenant.serviceM8Api.get(`/companycontact/${uuid}.json`);
+      await syncServiceM8Contact(tenant, contactResponse.data);
+      break;
+    }
+    case 'company': {
+      // The synced address lives on the company
+      const link = await tenant.links.findByCompany(uuid);
+      if (link) await syncContactPair(tenant, link.ghlContactId, 'servicem8');
+      break;
+    }
+    case 'job': {
+      // A job completed after it was paid only becomes eligible now, so recheck its payments
+      const paymentsResponse = await tenant.serviceM8Api.get('/jobpayment.json', {
+        params: { '$filter': `job_uuid eq '${uuid}'` },
       });
-      const contact = contactResponse.data.contact;
-      console.log(`Fetched GHL contact data for ${ghlContactId}:`, JSON.stringify(contact, null, 2));
-
-      // Check for various possible keys for custom fields
-      let customFields = contact.customFields || contact.custom_fields || contact.customField || contact.custom_field_values || contact.fields || [];
-      if (!Array.isArray(customFields)) {
-        console.log(`Custom fields not an array, attempting to convert object:`, customFields);
-        customFields = Object.values(customFields).filter(f => f && typeof f === 'object');
+      for (const payment of paymentsResponse.data) {
+        await processPayment(tenant, payment);
       }
+      const jobResponse = await tenant.serviceM8Api.get(`/job/${uuid}.json`);
+      await syncJobStatus(tenant, jobResponse.data);
+      break;
+    }
+    case 'jobactivity': {
+      // Booking a job shows up as a new scheduled activity rather than a job change
+      const activityResponse = await tenant.serviceM8Api.get(`/jobactivity/${uuid}.json`);
+      const jobResponse = await tenant.serviceM8Api.get(`/job/${activityResponse.data.job_uuid}.json`);
+      await syncJobStatus(tenant, jobResponse.data);
+      await syncActivityToGhl(tenant, activityResponse.data);
+      break;
+    }
+    default:
+      tenant.log(`Ignoring ServiceM8 event for unsupported object ${object}`);
+  }
+}
+
+// Carry a ServiceM8 reschedule, reassignment or removal of an activity booked
+// from a GHL appointment back to the appointment
+async function syncActivityToGhl(tenant, activity) {
+  if (!tenant.appointments) return;
+  const link = await tenant.links.findByJob(activity.job_uuid);
+  if (link && (await isSkipped(tenant, ledger.ENTITY.GHL_CONTACT, link.ghlContactId))) return;
+  const result = await tenant.appointments.applyServiceM8Activity(activity);
+  if (result.status === 'unlinked' || result.status === 'unchanged') return;
+  await tenant.ledger.record(ledger.ENTITY.GHL_APPOINTMENT, result.appointmentId, ledger.OUTCOME.SYNCED);
+}
+
+// Book one queued GHL appointment into ServiceM8, or move or remove the
+// activity it was booked as. An appointment for a contact whose job is not in
+// ServiceM8 yet (it may still be being created) is left to the queue to retry.
+async function handleGhlAppointment(tenant, appointment) {
+  if (!tenant.appointments) return;
+  if (await isSkipped(tenant, ledger.ENTITY.GHL_CONTACT, appointment.contactId)) return;
+  const { appointmentId } = appointment;
+  const result = await tenant.appointments.applyGhlAppointment(appointment);
+  switch (result.status) {
+    case 'no_job':
+      throw new Error(`GHL contact ${appointment.contactId} has no ServiceM8 job to book appointment ${appointmentId} into yet`);
+    case 'no_staff': {
+      const reason =
+        `No ServiceM8 staff member is mapped for GHL user ${appointment.assignedUserId} ` +
+        `or calendar ${appointment.calendarId}`;
+      tenant.log(`${reason}, skipping appointment ${appointmentId}`);
+      await tenant.ledger.record(ledger.ENTITY.GHL_APPOINTMENT, appointmentId, ledger.OUTCOME.SKIPPED, reason);
+      return;
+    }
+    case 'unchanged':
+      tenant.debug(`GHL appointment ${appointmentId} already matches ServiceM8`);
+      return;
+    default:
+      await tenant.ledger.record(ledger.ENTITY.GHL_APPOINTMENT, appointmentId, ledger.OUTCOME.SYNCED);
+  }
+}
 
-      if (customFields.length > 0) {
-        // Look for the "Message" field (case-sensitive and case-insensitive)
-        const messageField = customFields.find(field => 
-          (field.name && (field.name === 'Message' || field.name.toLowerCase() === 'message')) ||
-          (field.label && (field.label === 'Message' || field.label.toLowerCase() === 'message')) ||
-          (field.id && (field.id === 'J2Bl5y1wz6iBQEyC4wtY' || field.id === 'J2Bl5y1wz6iBQEyC4wtY'))
-        );
-        if (messageField && (messageField.value || messageField.values)) {
-          message = messageField.value || (messageField.values && messageField.values[0]) || '';
-          console.log(`Message retrieved for contact ${ghlContactId}: ${message}`);
-        } else {
-          console.log(`No Message field found in customFields for contact ${ghlContactId}:`, customFields);
+// Handle one queued GHL event: an appointment (see handleGhlAppointment), or a
+// contact change, which syncs a linked contact to ServiceM8 or imports an
+// unlinked one. Errors are left to the queue to retry.
+async function handleGhlEvent(tenant, event) {
+  if (event.appointment) return handleGhlAppointment(tenant, event.appointment);
+  const { contactId } = event;
+  if (!tenant.contactSync) return;
+  if (await isSkipped(tenant, ledger.ENTITY.GHL_CONTACT, contactId)) return;
+  const link = await tenant.links.get(contactId);
+  if (link && link.companyContactUuids.length > 0) {
+    await tenant.contactSync.syncLinked(contactId, { origin: 'ghl' });
+    return;
+  }
+  if (!tenant.contactSync.config.createInServiceM8) {
+    tenant.log(`GHL contact ${contactId} has no ServiceM8 client and importing is off, skipping`);
+    return;
+  }
+  const imported = await tenant.contactSync.importGhlContact(contactId, tenant.clientMatcher);
+  tenant.log(`GHL contact ${contactId} import: ${imported.status}`);
+  if (imported.companyContactUuid) {
+    await tenant.contactSync.syncLinked(contactId);
+  }
+}
+
+// Give each tenant its own webhook event queues and job-creation pipeline,
+// stored alongside the rest of its state
+function createTenantWorkers(tenant) {
+  tenant.runningPolls = new Set();
+  tenant.jobRoutingError = null;
+  tenant.eventQueue = new PersistentQueue('servicem8-events', (event) => handleServiceM8Event(tenant, event), {
+    dir: tenant.dir,
+    label: `[${tenant.id}] servicem8-events`,
+  });
+  tenant.ghlEventQueue = new PersistentQueue('ghl-events', (event) => handleGhlEvent(tenant, event), {
+    dir: tenant.dir,
+    label: `[${tenant.id}] ghl-events`,
+  });
+  tenant.jobPipeline = new Pipeline('job-creation', JOB_CREATION_STEPS, {
+    dir: tenant.dir,
+    label: `[${tenant.id}] job-creation`,
+    getContext: () => ({
+      serviceM8Api: tenant.serviceM8Api,
+      ghl: tenant.ghl,
+      fieldMapping: tenant.fieldMapping,
+      links: tenant.links,
+      clientMatcher: tenant.clientMatcher,
+      ghlIdField: tenant.ghlIdField,
+      attachments: tenant.attachments,
+      jobRouter: tenant.jobRouter,
+      onJobCreated: (input, jobUuid) => tenant.idempotency.complete(input.idempotencyKey, jobUuid),
+    }),
+  });
+  tenant.reconciler = createReconciler(tenant, {
+    syncServiceM8Contact: (contact) => syncServiceM8Contact(tenant, contact, { force: true }),
+    evaluatePayment: (payment) => evaluatePayment(tenant, payment),
+    processPayment: (payment) => processPayment(tenant, payment),
+  });
+}
+
+// Endpoint for GHL contact create/update webhooks (a workflow webhook action or
+// the app's ContactCreate/ContactUpdate events). Only the contact ID is used;
+// the contact is read back from GHL when the queued event is handled.
+tenantRouter.post(
+  '/ghl-contact-webhook',
+  resolveTenant,
+  requireWebhookSecret((req) => req.tenant.inboundSecret),
+  async (req, res) => {
+    const { tenant } = req;
+    const body = req.body || {};
+    const contactId = body.contactId || body.contact_id || (body.type && body.type.startsWith('Contact') ? body.id : null);
+    const received = (outcome) => metrics.webhooksReceived.inc({ tenant: tenant.id, source: 'ghl', outcome });
+    if (!contactId) {
+      received('rejected');
+      return res.status(422).json({ error: 'Validation failed', fields: [{ field: 'contactId', message: 'is required' }] });
+    }
+    if (!tenant.contactSync) {
+      return res.status(200).json({ received: 0 });
+    }
+    try {
+      await tenant.ghlEventQueue.enqueue({ contactId: String(contactId) }, `contact:${contactId}`);
+      tenant.log(`Queued GHL contact event for ${contactId}`);
+      received('accepted');
+      res.status(200).json({ received: 1 });
+    } catch (error) {
+      tenant.error('Error queuing GHL contact webhook:', error.message);
+      received('failed');
+      res.status(500).json({ error: 'Failed to queue webhook' });
+    }
+  }
+);
+
+// Endpoint for GHL appointment webhooks (a workflow webhook action on an
+// appointment trigger, or the app's AppointmentCreate/Update/Delete events).
+// The appointment is booked into the newest ServiceM8 job linked to its
+// contact, or into jobUuid when the body has one; see lib/appointments.js.
+tenantRouter.post(
+  '/ghl-appointment-webhook',
+  resolveTenant,
+  requireWebhookSecret((req) => req.tenant.inboundSecret),
+  async (req, res) => {
+    const { tenant } = req;
+    const appointment = readAppointmentWebhook(req.body || {});
+    const received = (outcome) => metrics.webhooksReceived.inc({ tenant: tenant.id, source: 'ghl', outcome });
+    const fields = [];
+    if (!appointment.appointmentId) fields.push({ field: 'appointmentId', message: 'is required' });
+    if (!appointment.contactId) fields.push({ field: 'contactId', message: 'is required' });
+    if (!isCancelled(appointment)) {
+      for (const field of ['startTime', 'endTime']) {
+        if (!appointment[field] || !moment(appointment[field], moment.ISO_8601).isValid()) {
+          fields.push({ field, message: 'must be an ISO 8601 time' });
         }
-      } else {
-        console.log(`No customFields available or accessible for contact ${ghlContactId}`);
       }
+    }
+    if (fields.length > 0) {
+      received('rejected');
+      return res.status(422).json({ error: 'Validation failed', fields });
+    }
+    if (!tenant.appointments) {
+      return res.status(200).json({ received: 0 });
+    }
+    try {
+      await tenant.ghlEventQueue.enqueue({ appointment }, `appointment:${appointment.appointmentId}`);
+      tenant.log(`Queued GHL appointment event for ${appointment.appointmentId}`);
+      received('accepted');
+      res.status(200).json({ received: 1 });
     } catch (error) {
-      console.error('Failed to fetch contact message from GHL (proceeding without message):', error.response ? error.response.data : error.message);
-    }
-
-    // Build job description, including message only if available
-    const jobDescriptionWithMessage = message
-      ? `Message: ${message}\nGHL Contact ID: ${ghlContactId}\n${jobDescription || ''}`
-      : `GHL Contact ID: ${ghlContactId}\n${jobDescription || ''}`;
-    const jobData = {
-      company_uuid: companyUuid,
-      status: 'Quote',
-      queue_uuid: queueUuid,
-      job_address: address, // Set job address field
-      job_description: jobDescriptionWithMessage,
-    };
-
-    const jobResponse = await serviceM8Api.post('/job.json', jobData);
-    const jobUuid = jobResponse.headers['x-record-uuid'];
-    console.log(`Job created: ${jobUuid} in queue ${queueUuid}`);
-
-    // Create job contact in ServiceM8 with phone/mobile logic
-    const jobContactData = {
-      job_uuid: jobUuid,
-      type: 'Job Contact', // Required field to specify contact type
-      first: firstName,
-      last: lastName,
-      email: email,
-    };
-    if (phone) {
-      assignPhoneFields(jobContactData, phone);
+      tenant.error('Error queuing GHL appointment webhook:', error.message);
+      received('failed');
+      res.status(500).json({ error: 'Failed to queue webhook' });
     }
-    await serviceM8Api.post('/jobcontact.json', jobContactData);
-    console.log(`Job contact added for job: ${jobUuid}`);
+  }
+);
+
+// Endpoint for ServiceM8 webhook subscriptions (jobpayment, companycontact, company, job, jobactivity).
+// Requests must carry the tenant's servicem8.webhookToken in an X-Webhook-Token
+// header or, as ServiceM8 subscriptions cannot set headers, a ?token= on the
+// callback URL. Logged URLs have the token masked (lib/logger.js).
+tenantRouter.post('/servicem8-webhook', resolveTenant, express.urlencoded({ extended: true }), correlateRequest, async (req, res) => {
+  const { tenant } = req;
+  const received = (outcome) => metrics.webhooksReceived.inc({ tenant: tenant.id, source: 'servicem8', outcome });
+  if (!tenant.servicem8WebhookToken) {
+    tenant.error('Received ServiceM8 webhook but no ServiceM8 webhook token is configured');
+    received('rejected');
+    return res.status(503).json({ error: 'Webhook receiver not configured' });
+  }
+  if (!secretMatches(req.get('x-webhook-token') || req.query.token, tenant.servicem8WebhookToken)) {
+    tenant.log('Rejected ServiceM8 webhook with invalid token');
+    received('rejected');
+    return res.status(401).json({ error: 'Invalid webhook token' });
+  }
+
+  // Subscription verification: echo the challenge back
+  if (req.body.mode === 'subscribe' && req.body.challenge) {
+    tenant.log('Answering ServiceM8 webhook subscription challenge');
+    return res.status(200).send(req.body.challenge);
+  }
 
-    // Fetch images from GHL /contacts/{id} with fallbacks
-    let photoData = [];
+  const object = (req.body.object || '').toLowerCase();
+  let entries = req.body.entry || [];
+  if (typeof entries === 'string') {
     try {
-      const contactResponse = await ghlApi.get(`/contacts/${ghlContactId}`);
-      const contact = contactResponse.data.contact;
-      console.log(`Fetched GHL contact data for ${ghlContactId}`);
-
-      if (contact.customField) {
-        for (const field of contact.customField) {
-          if (field.value && typeof field.value === 'object' && !Array.isArray(field.value)) {
-            for (const [uuid, entry] of Object.entries(field.value)) {
-              if (
-                entry.url &&
-                entry.meta &&
-                entry.meta.mimetype &&
-                entry.meta.mimetype.match(/image\/(png|jpeg|jpg)/i)
-              ) {
-                const fileExtension = getFileExtensionFromMime(entry.meta.mimetype);
-                photoData.push({
-                  url: entry.url,
-                  documentId: entry.documentId,
-                  filename: entry.meta.originalname || `photo-${uuid}-${Date.now()}${fileExtension}`,
-                  mimetype: entry.meta.mimetype,
-                });
-              }
-            }
-          }
-        }
-      } else {
-        console.log(`No customField found in GHL contact ${ghlContactId}. Available properties: ${Object.keys(contact)}`);
+      entries = JSON.parse(entries);
+    } catch (error) {
+      tenant.log('Rejected ServiceM8 webhook with malformed entry list');
+      received('rejected');
+      return res.status(400).json({ error: 'Malformed entry' });
+    }
+  }
+  if (!object || !Array.isArray(entries)) {
+    received('rejected');
+    return res.status(400).json({ error: 'Missing object or entry' });
+  }
+
+  try {
+    for (const entry of entries) {
+      if (!entry || !entry.uuid) continue;
+      await tenant.eventQueue.enqueue({ object, uuid: entry.uuid }, `${object}:${entry.uuid}`);
+    }
+    tenant.log(`Queued ${entries.length} ServiceM8 ${object} events`);
+    received('accepted');
+    res.status(200).json({ received: entries.length });
+  } catch (error) {
+    tenant.error('Error queuing ServiceM8 webhook:', error.message);
+    received('failed');
+    res.status(500).json({ error: 'Failed to queue webhook' });
+  }
+});
+
+// Explain how the tenant's payment trigger rules decide a payment, without
+// firing anything or recording the outcome
+tenantRouter.get('/test-payment-triggers/:paymentUuid', resolveTenant, protectTestEndpoints, async (req, res) => {
+  const { tenant } = req;
+  try {
+    const paymentResponse = await tenant.serviceM8Api.get(`/jobpayment/${req.params.paymentUuid}.json`);
+    const payment = paymentResponse.data;
+    const { job, contact, facts, results } = await evaluatePayment(tenant, payment);
+    if (!job) {
+      return res.status(404).json({ error: 'The payment has no job' });
+    }
+    // The bodies the firing rules would send
+    const payloads = {};
+    for (const [index, result] of results.entries()) {
+      const rule = tenant.paymentTriggers[index];
+      if (result.fires) {
+        payloads[rule.name] = await buildPaymentPayload(tenant.serviceM8Api, rule.payload, { rule, payment, job, facts, contact });
       }
+    }
+    res.json({
+      paymentUuid: req.params.paymentUuid,
+      alreadyProcessed: await tenant.ledger.isProcessed(ledger.ENTITY.SERVICEM8_PAYMENT, req.params.paymentUuid),
+      facts: {
+        ...facts,
+        completionDate: facts.completionDate ? facts.completionDate.format() : null,
+      },
+      rules: results,
+      wouldFire: results.filter((result) => result.fires).map((result) => result.rule),
+      payloads,
+    });
+  } catch (error) {
+    tenant.error('Error explaining payment triggers:', error.response ? error.response.data : error.message);
+    res.status(502).json({ error: 'Failed to read the payment from ServiceM8' });
+  }
+});
 
-      if (photoData.length === 0) {
-        try {
-          const attachmentsResponse = await ghlApi.get(`/contacts/${ghlContactId}/attachments`);
-          const attachments = attachmentsResponse.data.attachments || [];
-          console.log(`Fetched ${attachments.length} attachments from GHL contact ${ghlContactId}`);
-
-          for (const attachment of attachments) {
-            if (
-              attachment.url &&
-              attachment.mimetype &&
-              attachment.mimetype.match(/image\/(png|jpeg|jpg)/i)
-            ) {
-              const fileExtension = getFileExtensionFromMime(attachment.mimetype);
-              photoData.push({
-                url: attachment.url,
-                documentId: attachment.documentId || attachment.url.split('/').pop(),
-                filename: attachment.filename || `attachment-${Date.now()}${fileExtension}`,
-                mimetype: attachment.mimetype,
-              });
-            }
-          }
-        } catch (attachmentError) {
-          console.log('Attachments endpoint not available or failed:', attachmentError.response ? attachmentError.response.data : attachmentError.message);
-        }
+// Temporary endpoints for testing
+tenantRouter.get('/test-payment-check', resolveTenant, protectTestEndpoints, async (req, res) => {
+  req.tenant.log('Triggering test payment check...');
+  if (!(await runPoll(req.tenant, 'payments', 'manual'))) {
+    return res.status(409).send('Payment check already running');
+  }
+  res.send('Payment check triggered');
+});
+
+tenantRouter.get('/test-contact-check', resolveTenant, protectTestEndpoints, async (req, res) => {
+  req.tenant.log('Triggering test contact check...');
+  if (!(await runPoll(req.tenant, 'contacts', 'manual'))) {
+    return res.status(409).send('Contact check already running');
+  }
+  res.send('Contact check triggered');
+});
+
+// Run the sync of one record again now, the way its webhook would, even when
+// the ledger has it as done. Errors reading the record are left to the caller.
+async function resyncRecord(tenant, kind, id) {
+  switch (kind) {
+    case 'payment': {
+      const paymentResponse = await tenant.serviceM8Api.get(`/jobpayment/${id}.json`);
+      await processPayment(tenant, paymentResponse.data, { force: true });
+      break;
+    }
+    case 'contact': {
+      const contactResponse = await tenant.serviceM8Api.get(`/companycontact/${id}.json`);
+      await syncServiceM8Contact(tenant, contactResponse.data, { force: true });
+      break;
+    }
+    case 'job': {
+      const paymentsResponse = await tenant.serviceM8Api.get('/jobpayment.json', {
+        params: { '$filter': `job_uuid eq '${id}'` },
+      });
+      for (const payment of paymentsResponse.data) {
+        await processPayment(tenant, payment, { force: true });
       }
+      const jobResponse = await tenant.serviceM8Api.get(`/job/${id}.json`);
+      await syncJobStatus(tenant, jobResponse.data);
+      break;
+    }
+    case 'ghl-contact':
+      await handleGhlEvent(tenant, { contactId: id });
+      break;
+    default:
+      throw new Error(`Unknown record kind ${kind}`);
+  }
+}
 
-      console.log(`Fetched ${photoData.length} photos for contact ${ghlContactId}:`, photoData.map(p => p.url));
-    } catch (error) {
-      console.error(
-        'Error fetching GHL contact images:',
-        error.response ? error.response.data : error.message
-      );
-    }
-
-    // Download and upload images to ServiceM8
-    for (const photo of photoData) {
-      const { url: photoUrl, documentId, filename, mimetype } = photo;
-      let tempPath;
-      let attachmentUuid;
-
-      try {
-        tempPath = path.join(UPLOADS_DIR, filename);
-        console.log(`Downloading image from ${photoUrl} to ${tempPath}`);
-        let downloadResponse;
-
-        try {
-          downloadResponse = await axios.get(`https://services.leadconnectorhq.com/documents/download/${documentId}`, {
-            headers: {
-              Authorization: `Bearer ${GHL_API_KEY}`,
-            },
-            responseType: 'stream',
-          });
-        } catch (primaryError) {
-          console.log(`Primary download failed for ${photoUrl}:`, primaryError.response ? primaryError.response.data : primaryError.message);
-          try {
-            downloadResponse = await axios.get(photoUrl, {
-              headers: {
-                Authorization: `Bearer ${GHL_API_KEY}`,
-              },
-              responseType: 'stream',
-            });
-          } catch (fallbackError) {
-            console.error(`Fallback download failed for ${photoUrl}:`, fallbackError.response ? fallbackError.response.data : fallbackError.message);
-            continue;
-          }
-        }
+// Everything stored about one record: its ledger entry with earlier outcomes,
+// the trigger and stage sync entries kept under its ID, whether it is skipped,
+// its GHL link and contact sync state, and the webhooks it sent
+async function describeRecord(tenant, kind, id) {
+  const type = RECORD_KINDS[kind];
+  let link = null;
+  if (kind === 'contact') link = await tenant.links.findByCompanyContact(id);
+  if (kind === 'job') link = await tenant.links.findByJob(id);
+  if (kind === 'ghl-contact') link = await tenant.links.get(id);
+  return {
+    kind,
+    id,
+    entry: await tenant.ledger.get(type, id),
+    related: (await tenant.ledger.list({ search: id })).filter((entry) => entry.type !== type),
+    skipped: await tenant.ledger.getSkip(type, id),
+    link,
+    contactSync: link && tenant.contactSync ? await tenant.contactSync.getPair(link.ghlContactId) : null,
+    deliveries: kind === 'payment' ? await tenant.outbox.list({ source: `payment:${id}:` }) : [],
+  };
+}
 
-        const contentType = downloadResponse.headers['content-type'] || '';
-        if (!contentType.match(/image\/(png|jpeg|jpg)/i)) {
-          console.log(`Skipping non-image URL ${photoUrl}: Content-Type ${contentType}`);
-          continue;
-        }
+async function queueStats(queue) {
+  return { pending: await queue.countPending(), deadLettered: (await queue.listDeadLetter()).length };
+}
 
-        const writer = fs.createWriteStream(tempPath);
-        downloadResponse.data.pipe(writer);
+function requireRecordKind(req, res, next) {
+  if (!RECORD_KINDS[req.params.kind]) {
+    return res.status(404).json({ error: `Unknown record kind; use one of ${Object.keys(RECORD_KINDS).join(', ')}` });
+  }
+  return next();
+}
 
-        await new Promise((resolve, reject) => {
-          writer.on('finish', resolve);
-          writer.on('error', reject);
-        });
+function requirePoll(req, res, next) {
+  if (!POLLS[req.params.poll]) {
+    return res.status(404).json({ error: `Unknown poll; use one of ${Object.keys(POLLS).join(', ')}` });
+  }
+  return next();
+}
 
-        const stats = await fsPromises.stat(tempPath);
-        console.log(`Downloaded image to ${tempPath}, size: ${stats.size} bytes`);
-        if (stats.size === 0) {
-          console.error(`Downloaded file ${tempPath} is empty`);
-          continue;
-        }
+// Admin dashboard. The page is static; it asks for the admin token and sends
+// it with every call to the /admin/api endpoints below.
+tenantRouter.get('/admin', resolveTenant, (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
 
-        try {
-          await fsPromises.access(tempPath, fs.constants.R_OK);
-        } catch (error) {
-          console.error(`File ${tempPath} is not accessible:`, error.message);
-          continue;
-        }
+// Health at a glance: each poll's cursor and last run, queue depths and how
+// many items need attention
+tenantRouter.get('/admin/api/overview', resolveTenant, requireAdminToken, async (req, res) => {
+  const { tenant } = req;
+  const cursors = await tenant.poller.listCursors();
+  const polls = {};
+  for (const name of Object.keys(POLLS)) {
+    const [lastRun] = await tenant.poller.listRuns({ poll: name, limit: 1 });
+    polls[name] = { cursor: cursors[name] || null, lastRun: lastRun || null, running: isPollRunning(tenant, name) };
+  }
+  res.json({
+    tenant: tenant.id,
+    polls,
+    queues: {
+      servicem8Events: await queueStats(tenant.eventQueue),
+      ghlEvents: await queueStats(tenant.ghlEventQueue),
+      jobCreation: await queueStats(tenant.jobPipeline.queue),
+    },
+    failedRecords: (await tenant.ledger.list({ outcome: ledger.OUTCOME.FAILED, limit: Infinity })).length,
+    failedDeliveries: (await tenant.outbox.list({ status: DELIVERY_STATUS.FAILED, limit: Infinity })).length,
+    heldForReview: (await tenant.jobPipeline.listHeld()).length,
+    skipped: (await tenant.ledger.listSkipped()).length,
+    jobRoutingError: tenant.jobRoutingError,
+  });
+});
 
-        // Create attachment record
-        const fileExtension = getFileExtensionFromMime(mimetype);
-        const attachmentData = {
-          related_object: 'job',
-          related_object_uuid: jobUuid,
-          attachment_name: filename,
-          file_type: fileExtension,
-        };
-        const attachmentResponse = await serviceM8Api.post('/Attachment.json', attachmentData);
-        attachmentUuid = attachmentResponse.headers['x-record-uuid'];
-        console.log(`Created attachment record for job ${jobUuid}, UUID: ${attachmentUuid}, file_type: ${fileExtension}`);
-
-        // Upload the file
-        const fileData = await fsPromises.readFile(tempPath);
-        await serviceM8Api.put(`/Attachment/${attachmentUuid}.file`, fileData, {
-          headers: {
-            'Content-Type': 'application/octet-stream',
-          },
-        });
-        console.log(`Uploaded file for attachment ${attachmentUuid}`);
+// Recent poll runs, newest first; ?poll=contacts|payments|jobs
+tenantRouter.get('/admin/api/poll-runs', resolveTenant, requireAdminToken, async (req, res) => {
+  const poll = req.query.poll || null;
+  if (poll && !POLLS[poll]) {
+    return res.status(422).json({ error: `poll must be one of ${Object.keys(POLLS).join(', ')}` });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+  res.json(await req.tenant.poller.listRuns({ poll, limit }));
+});
 
-        // For verification, skip cleanup temporarily
-        // await fsPromises.unlink(tempPath);
-        // console.log(`Cleaned up temporary file ${tempPath}`);
-      } catch (error) {
-        console.error(`Error processing image ${filename}:`, error.message);
-      }
+// Run a poll now; responds with the finished run, or 409 while the poll is running
+tenantRouter.post('/admin/api/polls/:poll/run', resolveTenant, requireAdminToken, requirePoll, async (req, res) => {
+  req.tenant.log(`Running ${req.params.poll} poll from the admin API`);
+  const run = await runPoll(req.tenant, req.params.poll, 'admin');
+  if (!run) {
+    return res.status(409).json({ error: `The ${req.params.poll} poll is already running` });
+  }
+  res.json(run);
+});
+
+// Move a poll's cursor to { "to": "<ISO 8601 time>" }, or without one forget
+// it so the next run starts from the initial lookback
+tenantRouter.post('/admin/api/polls/:poll/reset-cursor', resolveTenant, requireAdminToken, requirePoll, async (req, res) => {
+  const { tenant } = req;
+  const { to } = req.body || {};
+  // The running poll would save its own cursor over this one
+  if (isPollRunning(tenant, req.params.poll)) {
+    return res.status(409).json({ error: `The ${req.params.poll} poll is running; reset its cursor once it finishes` });
+  }
+  if (to && !moment(to, moment.ISO_8601, true).isValid()) {
+    return res.status(422).json({ error: 'to must be an ISO 8601 time' });
+  }
+  const cursor = to ? moment(to).toISOString() : null;
+  await tenant.poller.resetCursor(req.params.poll, cursor);
+  tenant.log(`Reset ${req.params.poll} poll cursor to ${cursor || 'the initial lookback'}`);
+  res.json({ poll: req.params.poll, cursor });
+});
+
+// Failed ledger entries, dead-lettered events and job creations, and failed
+// webhook deliveries
+tenantRouter.get('/admin/api/failed', resolveTenant, requireAdminToken, async (req, res) => {
+  const { tenant } = req;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  const jobCreations = await tenant.jobPipeline.listDeadLetter();
+  res.json({
+    records: await tenant.ledger.list({ outcome: ledger.OUTCOME.FAILED, limit }),
+    servicem8Events: await tenant.eventQueue.listDeadLetter(),
+    ghlEvents: await tenant.ghlEventQueue.listDeadLetter(),
+    jobCreations: jobCreations.map(({ failedAt, attempts, run }) => ({ failedAt, attempts, ...(run ? describeRun(run) : {}) })),
+    webhookDeliveries: await tenant.outbox.list({ status: DELIVERY_STATUS.FAILED, limit }),
+  });
+});
+
+// Ledger entries newest first; ?type=<ledger entity>&outcome=synced|skipped|failed&search=<part of an ID>
+tenantRouter.get('/admin/api/records', resolveTenant, requireAdminToken, async (req, res) => {
+  const { type = null, outcome = null, search = null } = req.query;
+  if (type && !Object.values(ledger.ENTITY).includes(type)) {
+    return res.status(422).json({ error: `type must be one of ${Object.values(ledger.ENTITY).join(', ')}` });
+  }
+  if (outcome && !Object.values(ledger.OUTCOME).includes(outcome)) {
+    return res.status(422).json({ error: `outcome must be one of ${Object.values(ledger.OUTCOME).join(', ')}` });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  res.json(await req.tenant.ledger.list({ type, outcome, search, limit }));
+});
+
+// Sync history of one payment, contact, job or ghl-contact
+tenantRouter.get('/admin/api/records/:kind/:id', resolveTenant, requireAdminToken, requireRecordKind, async (req, res) => {
+  res.json(await describeRecord(req.tenant, req.params.kind, req.params.id));
+});
+
+tenantRouter.post('/admin/api/records/:kind/:id/resync', resolveTenant, requireAdminToken, requireRecordKind, async (req, res) => {
+  const { tenant } = req;
+  const { kind, id } = req.params;
+  if (await tenant.ledger.getSkip(RECORD_KINDS[kind], id)) {
+    return res.status(409).json({ error: `The ${kind} is skipped; unskip it first` });
+  }
+  if (kind === 'ghl-contact' && !tenant.contactSync) {
+    return res.status(409).json({ error: 'Contact sync is off for this tenant' });
+  }
+  try {
+    tenant.log(`Re-syncing ${kind} ${id} from the admin API`);
+    await resyncRecord(tenant, kind, id);
+    res.json(await describeRecord(tenant, kind, id));
+  } catch (error) {
+    tenant.error(`Error re-syncing ${kind} ${id}:`, error.response ? error.response.data : error.message);
+    if (error.response && error.response.status === 404) {
+      return res.status(404).json({ error: `No such ${kind}` });
     }
+    res.status(502).json({ error: `Failed to re-sync the ${kind}`, detail: describeError(error) });
+  }
+});
+
+// Stop syncing a record until it is unskipped; { "reason": "..." } is optional
+tenantRouter.post('/admin/api/records/:kind/:id/skip', resolveTenant, requireAdminToken, requireRecordKind, async (req, res) => {
+  const { kind, id } = req.params;
+  const reason = req.body && req.body.reason ? String(req.body.reason) : null;
+  const skip = await req.tenant.ledger.skip(RECORD_KINDS[kind], id, reason);
+  req.tenant.log(`Skipped ${kind} ${id}${reason ? `: ${reason}` : ''}`);
+  res.json(skip);
+});
 
-    console.log(`Job creation completed for job ${jobUuid}`);
-    res.status(200).json({ message: 'Job created successfully', jobUuid });
+tenantRouter.post('/admin/api/records/:kind/:id/unskip', resolveTenant, requireAdminToken, requireRecordKind, async (req, res) => {
+  const { kind, id } = req.params;
+  if (!(await req.tenant.ledger.unskip(RECORD_KINDS[kind], id))) {
+    return res.status(404).json({ error: `The ${kind} is not skipped` });
+  }
+  req.tenant.log(`Unskipped ${kind} ${id}`);
+  res.json({ kind, id, skipped: false });
+});
+
+tenantRouter.get('/admin/api/skipped', resolveTenant, requireAdminToken, async (req, res) => {
+  res.json(await req.tenant.ledger.listSkipped());
+});
+
+// Start a backfill/reconciliation of { "from", "to", "dryRun" } (see
+// lib/reconcile.js). It runs in the background; poll the report it returns.
+// Without "dryRun": false nothing is changed.
+tenantRouter.post('/admin/api/reconcile', resolveTenant, requireAdminToken, async (req, res) => {
+  const { tenant } = req;
+  if (tenant.reconciler.isRunning()) {
+    return res.status(409).json({ error: 'A reconcile is already running' });
+  }
+  const { from, to, dryRun } = req.body || {};
+  try {
+    const report = await tenant.reconciler.start({ from, to, dryRun: dryRun !== false });
+    res.status(202).json({ id: report.id, status: report.status, dryRun: report.dryRun, from: report.from, to: report.to });
   } catch (error) {
-    console.error('Error creating job:', error.response ? error.response.data : error.message);
-    res.status(500).json({ error: 'Failed to create job' });
+    res.status(422).json({ error: error.message });
   }
 });
 
-// Temporary endpoints for testing
-app.get('/test-payment-check', async (req, res) => {
-  console.log('Triggering test payment check...');
-  await checkPaymentStatus();
-  res.send('Payment check triggered');
+tenantRouter.get('/admin/api/reconcile', resolveTenant, requireAdminToken, async (req, res) => {
+  res.json(await req.tenant.reconciler.list());
 });
 
-app.get('/test-contact-check', async (req, res) => {
-  console.log('Triggering test contact check...');
-  await checkNewContacts();
-  res.send('Contact check triggered');
+// One reconcile report with its findings and fix results
+tenantRouter.get('/admin/api/reconcile/:reportId', resolveTenant, requireAdminToken, async (req, res) => {
+  const report = await req.tenant.reconciler.get(req.params.reportId);
+  if (!report) {
+    return res.status(404).json({ error: 'Unknown reconcile report' });
+  }
+  res.json(report);
+});
+
+// Backfill links for jobs created before links were stored (lib/links.js). It
+// runs here rather than in a separate process because the server's link store
+// keeps its own copy of links.json and would overwrite links written behind it.
+tenantRouter.post('/admin/api/backfill-links', resolveTenant, requireAdminToken, async (req, res) => {
+  const { tenant } = req;
+  if (tenant.linkBackfill && tenant.linkBackfill.status === 'running') {
+    return res.status(409).json({ error: 'A link backfill is already running' });
+  }
+  const dryRun = Boolean(req.body && req.body.dryRun);
+  const backfill = { status: 'running', dryRun, startedAt: new Date().toISOString(), finishedAt: null, counts: null, error: null };
+  tenant.linkBackfill = backfill;
+  withCorrelation(newCorrelationId('backfill'), async () => {
+    try {
+      backfill.counts = await backfillFromJobs(tenant, { dryRun });
+      backfill.status = 'completed';
+    } catch (error) {
+      tenant.error('Link backfill failed:', error.response ? error.response.data : error.message);
+      backfill.error = describeError(error);
+      backfill.status = 'failed';
+    } finally {
+      backfill.finishedAt = new Date().toISOString();
+    }
+  });
+  res.status(202).json(backfill);
+});
+
+// The latest link backfill since the server started
+tenantRouter.get('/admin/api/backfill-links', resolveTenant, requireAdminToken, async (req, res) => {
+  if (!req.tenant.linkBackfill) {
+    return res.status(404).json({ error: 'No link backfill has run' });
+  }
+  res.json(req.tenant.linkBackfill);
 });
 
-// Schedule polling
-cron.schedule('*/20 * * * *', () => {
-  console.log('Scheduled polling for new contacts...');
-  checkNewContacts();
+// The tenant's configuration with secrets masked, plus app-wide schedule settings
+tenantRouter.get('/admin/api/config', resolveTenant, requireAdminToken, async (req, res) => {
+  res.json({
+    ...describeConfig(req.tenant),
+    reconcileCron: RECONCILE_CRON,
+    clientIndexRefreshCron: CLIENT_INDEX_REFRESH_CRON,
+    ledgerRetentionDays: LEDGER_RETENTION_DAYS,
+    idempotencyRetentionDays: IDEMPOTENCY_RETENTION_DAYS,
+    jobRunRetentionDays: JOB_RUN_RETENTION_DAYS,
+  });
 });
 
-cron.schedule('*/20 * * * *', () => {
-  console.log('Scheduled polling for payment status...');
-  checkPaymentStatus();
+// Prometheus metrics: poll durations, records processed, API calls and errors
+// by endpoint, and webhook outcomes
+app.get('/metrics', requireMetricsToken, (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
 });
 
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+// Tenant-scoped routes, served at /t/:tenant/... and, for the default tenant, unprefixed
+app.use('/t/:tenant', tenantRouter);
+app.use('/', tenantRouter);
+
+// The reconciliation polls by the name their cursor and runs are kept under
+const POLLS = {
+  contacts: checkNewContacts,
+  payments: checkPaymentStatus,
+  jobs: checkJobStatuses,
+};
+
+// Run one poll for a tenant under its own correlation ID, timing it and adding
+// it to the tenant's poll run log. Repeated lookups within the run (the same
+// job or company for several payments) are answered from its API memo.
+// trigger says who started it (schedule, manual or admin). Resolves to the
+// logged run, or to null without running when the same poll is already
+// running for the tenant, as both runs would work through the same window.
+function runPoll(tenant, name, trigger = 'schedule') {
+  if (isPollRunning(tenant, name)) {
+    tenant.log(`Not starting ${trigger} ${name} poll: one is already running`);
+    return Promise.resolve(null);
+  }
+  const id = newCorrelationId(`poll-${name}`);
+  tenant.runningPolls.add(name);
+  const run = async () => {
+    const startedAt = new Date().toISOString();
+    const stopTimer = metrics.pollDuration.startTimer({ tenant: tenant.id, poll: name });
+    let result = { records: 0, error: null };
+    try {
+      result = await POLLS[name](tenant);
+    } catch (error) {
+      result = { records: 0, error: describeError(error) };
+    } finally {
+      stopTimer();
+      tenant.runningPolls.delete(name);
+    }
+    return tenant.poller.recordRun({ id, poll: name, trigger, startedAt, finishedAt: new Date().toISOString(), ...result });
+  };
+  return withCorrelation(id, () => withApiMemo(run));
+}
+
+function isPollRunning(tenant, name) {
+  return tenant.runningPolls.has(name);
+}
+
+// Schedule reconciliation polling, one tenant at a time
+cron.schedule(RECONCILE_CRON, async () => {
+  for (const tenant of listTenants()) {
+    tenant.log('Scheduled polling for new contacts...');
+    await runPoll(tenant, 'contacts');
+  }
+});
+
+cron.schedule(RECONCILE_CRON, async () => {
+  for (const tenant of listTenants()) {
+    tenant.log('Scheduled polling for payment status...');
+    await runPoll(tenant, 'payments');
+  }
+});
+
+cron.schedule(RECONCILE_CRON, async () => {
+  for (const tenant of listTenants()) {
+    await runPoll(tenant, 'jobs');
+  }
+});
+
+cron.schedule(CLIENT_INDEX_REFRESH_CRON, async () => {
+  for (const tenant of listTenants()) {
+    try {
+      await tenant.clientMatcher.refresh();
+    } catch (error) {
+      tenant.error('Error refreshing client index:', error.response ? error.response.data : error.message);
+    }
+  }
+});
+
+// Look up the tenant's routing names in ServiceM8. A name ServiceM8 does not
+// have is a config mistake, kept on the tenant as jobRoutingError; any other
+// failure is only logged and the names already found stay in use.
+async function refreshJobRouting(tenant) {
+  try {
+    const { counts } = await tenant.jobRouter.refresh();
+    tenant.jobRoutingError = null;
+    return counts;
+  } catch (error) {
+    if (error instanceof RoutingConfigError) {
+      tenant.jobRoutingError = error.message;
+      tenant.error(error.message);
+    } else {
+      tenant.error('Error looking up job routing names:', error.response ? error.response.data : error.message);
+    }
+    return null;
+  }
+}
+
+// Pick up renamed or new ServiceM8 queues, categories, badges and materials.
+// A tenant whose job creation was held back by a missing name starts it once
+// ServiceM8 has every name.
+cron.schedule(JOB_ROUTING_REFRESH_CRON, async () => {
+  for (const tenant of listTenants()) {
+    const held = Boolean(tenant.jobRoutingError);
+    await refreshJobRouting(tenant);
+    if (held && !tenant.jobRoutingError) {
+      tenant.log('Job routing names found, starting job creation');
+      tenant.jobPipeline.start();
+    }
+  }
+});
+
+// Look up every tenant's routing names before taking jobs. A tenant with a name
+// ServiceM8 does not have does not create jobs: its submissions wait in the
+// queue until the config or ServiceM8 is fixed. If ServiceM8 cannot be reached
+// the lookup is retried when the first job is routed.
+async function checkJobRouting() {
+  for (const tenant of listTenants()) {
+    const counts = await refreshJobRouting(tenant);
+    if (counts) {
+      tenant.log(`Job routing names found: ${Object.entries(counts).map(([kind, count]) => `${count} ${kind}`).join(', ')}`);
+    }
+  }
+}
+
+// Prune old ledger entries, idempotency keys, completed job creations and
+// delivered webhooks once a day
+cron.schedule('0 3 * * *', async () => {
+  for (const tenant of listTenants()) {
+    try {
+      const removed = await tenant.ledger.prune(LEDGER_RETENTION_DAYS);
+      tenant.log(`Pruned ${removed} ledger entries older than ${LEDGER_RETENTION_DAYS} days`);
+      const removedKeys = await tenant.idempotency.prune(IDEMPOTENCY_RETENTION_DAYS);
+      tenant.log(`Pruned ${removedKeys} idempotency keys older than ${IDEMPOTENCY_RETENTION_DAYS} days`);
+      const removedRuns = await tenant.jobPipeline.prune(JOB_RUN_RETENTION_DAYS);
+      tenant.log(`Pruned ${removedRuns} completed job creations older than ${JOB_RUN_RETENTION_DAYS} days`);
+      const removedDeliveries = await tenant.outbox.prune(LEDGER_RETENTION_DAYS);
+      tenant.log(`Pruned ${removedDeliveries} webhook deliveries older than ${LEDGER_RETENTION_DAYS} days`);
+    } catch (error) {
+      tenant.error('Error pruning stored state:', error.message);
+    }
+  }
+});
+
+loadTenants();
+listTenants().forEach(createTenantWorkers);
+
+// The pre-ledger state.json belonged to the single-client setup
+const legacyTenant = getDefaultTenant();
+(legacyTenant ? legacyTenant.ledger.migrateLegacyState(LEGACY_STATE_FILE) : Promise.resolve())
+  .catch((error) => console.error('Error migrating legacy state:', error.message))
+  .then(checkJobRouting)
+  .then(() => {
+    for (const tenant of listTenants()) {
+      tenant.eventQueue.start();
+      tenant.ghlEventQueue.start();
+      if (tenant.jobRoutingError) {
+        tenant.error('Not starting job creation until the job routing config is fixed');
+      } else {
+        tenant.jobPipeline.start();
+      }
+      tenant.outbox.start();
+    }
+    app.listen(PORT, () => {
+      console.log(`Server running on port ${PORT}`);
+    });
+  });
@@ -0,0 +1,149 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'client-matching-test-'));
+process.env.DATA_DIR = dataDir;
+const clientMatching = require('../lib/clientMatching');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const COMPANIES = [
+  {
+    uuid: 'co-1',
+    name: 'Jane Doe',
+    email: 'accounts@doe.com',
+    phone: '(07) 3123 4567',
+    address: '12 Main Street, Brisbane QLD 4000',
+    active: 1,
+  },
+  { uuid: 'co-2', name: 'Acme Roofing', email: 'info@acme.com', active: 1 },
+  { uuid: 'co-3', name: 'Old Client', email: 'old@example.com', active: 0 },
+];
+const CONTACTS = [
+  { uuid: 'cc-1', company_uuid: 'co-1', first: 'Jane', last: 'Doe', email: 'jane@doe.com', mobile: '0412 345 678', active: 1 },
+  { uuid: 'cc-2', company_uuid: 'co-2', first: 'Bob', last: 'Builder', email: 'bob@acme.com', active: 0 },
+];
+
+// ServiceM8 and the poller held in memory; counts the reads the matcher makes
+function fakeServiceM8({ companies = COMPANIES, contacts = CONTACTS } = {}) {
+  const calls = { full: 0, windows: 0 };
+  const cursors = {};
+  const serviceM8Api = {
+    get: async (endpoint, { params }) => {
+      if (endpoint === '/company.json' && !params.$filter) calls.full++;
+      return { data: endpoint === '/company.json' ? companies : contacts };
+    },
+  };
+  const poller = {
+    getCursor: async (resource) => cursors[resource] || null,
+    setCursor: async (resource, cursor) => (cursors[resource] = cursor),
+    pollIncrementally: async (resource, timezone, processWindow) => {
+      calls.windows++;
+      await processWindow("edit_date gt '2025-06-01 00:00:00'");
+    },
+  };
+  return { serviceM8Api, poller, calls };
+}
+
+let matcherCount = 0;
+function newMatcher(lib = clientMatching, records) {
+  const fake = fakeServiceM8(records);
+  const matcher = lib.createClientMatcher({
+    serviceM8Api: fake.serviceM8Api,
+    poller: fake.poller,
+    dir: `matcher-${++matcherCount}`,
+    timezone: 'Australia/Brisbane',
+  });
+  return { matcher, ...fake };
+}
+
+test('an email match on a company contact is a match on its own', async () => {
+  const { matcher } = newMatcher();
+  const result = await matcher.match({ email: ' Jane@Doe.com ' });
+  assert.equal(result.decision, 'match');
+  assert.deepEqual(result.best, { companyUuid: 'co-1', name: 'Jane Doe', score: 0.7, reasons: ['email'] });
+});
+
+test('phone and name together are a match, capped at 1 with everything else', async () => {
+  const { matcher } = newMatcher();
+  const phoneAndName = await matcher.match({ firstName: 'jane', lastName: 'DOE', phone: '+61412345678' });
+  assert.equal(phoneAndName.decision, 'match');
+  assert.equal(phoneAndName.best.score, 0.8);
+  assert.deepEqual(phoneAndName.best.reasons, ['phone', 'name']);
+
+  const everything = await matcher.match({
+    firstName: 'Jane',
+    lastName: 'Doe',
+    email: 'accounts@doe.com',
+    phone: '07 3123 4567',
+    address: '12 Main St, Brisbane Queensland 4000',
+  });
+  assert.equal(everything.best.score, 1);
+  assert.deepEqual(everything.best.reasons, ['email', 'phone', 'name', 'address']);
+});
+
+test('a name or address alone is held for review', async () => {
+  const { matcher } = newMatcher();
+  const byName = await matcher.match({ firstName: 'Doe', lastName: 'Jane' });
+  assert.equal(byName.decision, 'review');
+  assert.deepEqual(byName.best.reasons, ['name']);
+  const byAddress = await matcher.match({ address: '12 main st brisbane qld 4000' });
+  assert.equal(byAddress.decision, 'review');
+  assert.deepEqual(byAddress.best.reasons, ['address']);
+});
+
+test('a similar name scores under the review threshold and creates a new client', async () => {
+  const { matcher } = newMatcher();
+  const result = await matcher.match({ firstName: 'Acme', lastName: 'Roofing Co' });
+  assert.equal(result.decision, 'new');
+  assert.deepEqual(result.best, { companyUuid: 'co-2', name: 'Acme Roofing', score: 0.2, reasons: ['similar_name'] });
+});
+
+test('inactive companies and contacts are never candidates', async () => {
+  const { matcher } = newMatcher();
+  assert.deepEqual(await matcher.match({ email: 'old@example.com' }), { decision: 'new', best: null, candidates: [] });
+  assert.deepEqual((await matcher.match({ email: 'bob@acme.com' })).candidates, []);
+});
+
+test('builds the index once and then matches without reading ServiceM8', async () => {
+  const { matcher, calls } = newMatcher();
+  await matcher.match({ email: 'jane@doe.com' });
+  await matcher.match({ email: 'info@acme.com' });
+  assert.deepEqual(calls, { full: 1, windows: 0 });
+
+  await matcher.refresh();
+  assert.deepEqual(calls, { full: 1, windows: 1 });
+});
+
+test('clients remembered after creation match straight away', async () => {
+  const { matcher, calls } = newMatcher();
+  await matcher.refresh();
+  await matcher.remember({
+    companies: [{ uuid: 'co-new', name: 'Sam Lee', active: 1 }],
+    contacts: [{ uuid: 'cc-new', company_uuid: 'co-new', first: 'Sam', last: 'Lee', email: 'sam@lee.com', active: 1 }],
+  });
+  const result = await matcher.match({ email: 'sam@lee.com' });
+  assert.equal(result.decision, 'match');
+  assert.equal(result.best.companyUuid, 'co-new');
+  assert.deepEqual(calls, { full: 1, windows: 0 });
+});
+
+test('a review threshold of 0 holds every candidate for review', async () => {
+  process.env.CLIENT_REVIEW_THRESHOLD = '0';
+  delete require.cache[require.resolve('../lib/clientMatching')];
+  try {
+    const lib = require('../lib/clientMatching');
+    assert.equal(lib.CLIENT_REVIEW_THRESHOLD, 0);
+    assert.equal(lib.CLIENT_MATCH_THRESHOLD, 0.7);
+    const { matcher } = newMatcher(lib);
+    assert.equal((await matcher.match({ firstName: 'Acme', lastName: 'Roofing Co' })).decision, 'review');
+    // With no candidate at all there is nothing to review
+    assert.equal((await matcher.match({ email: 'nobody@example.com' })).decision, 'new');
+  } finally {
+    delete process.env.CLIENT_REVIEW_THRESHOLD;
+    delete require.cache[require.resolve('../lib/clientMatching')];
+  }
+});
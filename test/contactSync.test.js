@@ -0,0 +1,156 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'contact-sync-test-'));
+process.env.DATA_DIR = dataDir;
+const { resolveContactSync, resolveField, createContactSync } = require('../lib/contactSync');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const EDITED = { ghl: 2000, servicem8: 1000 };
+
+test('resolveContactSync is off without config and never creates clients unless asked', () => {
+  assert.equal(resolveContactSync(undefined), null);
+  assert.equal(resolveContactSync({ enabled: false }), null);
+  const config = resolveContactSync({ fields: { email: 'servicem8' } });
+  assert.equal(config.createInServiceM8, false);
+  assert.equal(config.fields.email, 'servicem8');
+  assert.equal(config.fields.phone, 'latest');
+  assert.throws(() => resolveContactSync({ fields: { fax: 'ghl' } }), /unknown field "fax"/);
+  assert.throws(() => resolveContactSync({ fields: { email: 'newest' } }), /unknown rule "newest"/);
+});
+
+test('equal values need no write, compared in normalized form', () => {
+  assert.deepEqual(resolveField('email', 'Jane@Example.com ', 'jane@example.com', undefined, 'latest', EDITED), {
+    winner: null,
+    conflict: false,
+  });
+  assert.equal(resolveField('phone', '+61412345678', '0412 345 678', undefined, 'latest', EDITED).winner, null);
+});
+
+test('an empty field is filled from the other side whatever the rule', () => {
+  assert.equal(resolveField('city', '', 'Brisbane', undefined, 'ghl', EDITED).winner, 'servicem8');
+  assert.equal(resolveField('city', 'Brisbane', '', undefined, 'servicem8', EDITED).winner, 'ghl');
+});
+
+test('a source-of-truth rule always wins', () => {
+  assert.deepEqual(resolveField('email', 'a@x.com', 'b@x.com', 'b@x.com', 'servicem8', EDITED), {
+    winner: 'servicem8',
+    conflict: false,
+  });
+  assert.equal(resolveField('email', 'a@x.com', 'b@x.com', 'a@x.com', 'ghl', EDITED).winner, 'ghl');
+});
+
+test('latest takes the side that changed since the last sync', () => {
+  // ServiceM8 still has the baseline, so GHL changed, even though ServiceM8 was edited later
+  assert.deepEqual(resolveField('city', 'Sydney', 'Brisbane', 'Brisbane', 'latest', { ghl: 1000, servicem8: 2000 }), {
+    winner: 'ghl',
+    conflict: false,
+  });
+  assert.equal(resolveField('city', 'Brisbane', 'Sydney', 'Brisbane', 'latest', EDITED).winner, 'servicem8');
+});
+
+test('latest takes the most recent edit when both sides changed', () => {
+  assert.deepEqual(resolveField('city', 'Sydney', 'Perth', 'Brisbane', 'latest', EDITED), { winner: 'ghl', conflict: true });
+  assert.deepEqual(resolveField('city', 'Sydney', 'Perth', undefined, 'latest', { ghl: 1000, servicem8: 2000 }), {
+    winner: 'servicem8',
+    conflict: true,
+  });
+});
+
+// A linked pair held in memory; writes through the fake clients update it
+function fakePair() {
+  const state = {
+    ghlContact: {
+      id: 'ghl-1',
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email: 'jane@new.com',
+      phone: '+61412345678',
+      dateUpdated: '2025-06-02T00:00:00Z',
+    },
+    contact: {
+      uuid: 'cc-1',
+      company_uuid: 'co-1',
+      first: 'Jane',
+      last: 'Doe',
+      email: 'jane@old.com',
+      mobile: '0412 345 678',
+      edit_date: '2025-06-01 10:00:00',
+    },
+    company: { uuid: 'co-1', billing_address: '1 Main St' },
+    writes: [],
+  };
+  const ghl = {
+    getContact: async () => ({ ...state.ghlContact }),
+    updateContact: async (id, update) => {
+      state.writes.push({ to: 'ghl', update });
+      Object.assign(state.ghlContact, update);
+    },
+  };
+  const serviceM8Api = {
+    get: async (url) => ({ data: url.startsWith('/companycontact/') ? { ...state.contact } : { ...state.company } }),
+    post: async (url, update) => {
+      state.writes.push({ to: 'servicem8', url, update });
+      Object.assign(url.startsWith('/companycontact/') ? state.contact : state.company, update);
+      return { headers: {} };
+    },
+  };
+  const links = { get: async () => ({ ghlContactId: 'ghl-1', companyUuid: 'co-1', companyContactUuids: ['cc-1'] }) };
+  return { state, ghl, serviceM8Api, links };
+}
+
+test('syncLinked writes the winning values and ignores the echo of its own write', async () => {
+  const { state, ghl, serviceM8Api, links } = fakePair();
+  const sync = createContactSync({
+    serviceM8Api,
+    ghl,
+    links,
+    dir: 'echo',
+    timezone: 'Australia/Brisbane',
+    config: resolveContactSync({}),
+  });
+
+  const first = await sync.syncLinked('ghl-1', { origin: 'ghl' });
+  assert.equal(first.status, 'updated');
+  assert.deepEqual(first.servicem8, ['email']);
+  assert.equal(state.contact.email, 'jane@new.com');
+  // GHL had no address, so it is filled from ServiceM8
+  assert.deepEqual(first.ghl, ['address1']);
+  assert.equal(state.ghlContact.address1, '1 Main St');
+
+  // ServiceM8 reports the change we just made
+  state.writes = [];
+  const echo = await sync.syncLinked('ghl-1', { origin: 'servicem8' });
+  assert.equal(echo.status, 'echo');
+  assert.deepEqual(state.writes, []);
+
+  // A real change in ServiceM8 after that goes to GHL
+  state.contact.email = 'jane@latest.com';
+  const change = await sync.syncLinked('ghl-1', { origin: 'servicem8' });
+  assert.equal(change.status, 'updated');
+  assert.deepEqual(change.ghl, ['email']);
+  assert.deepEqual(change.conflicts, []);
+  assert.equal(state.ghlContact.email, 'jane@latest.com');
+});
+
+test('syncLinked in dry-run mode reports differences without writing', async () => {
+  const { state, ghl, serviceM8Api, links } = fakePair();
+  const sync = createContactSync({
+    serviceM8Api,
+    ghl,
+    links,
+    dir: 'dry-run',
+    timezone: 'Australia/Brisbane',
+    config: resolveContactSync({ fields: { email: 'servicem8' } }),
+  });
+
+  const result = await sync.syncLinked('ghl-1', { dryRun: true });
+  assert.equal(result.status, 'updated');
+  assert.deepEqual(result.differences.email, { ghl: 'jane@new.com', servicem8: 'jane@old.com' });
+  assert.deepEqual(state.writes, []);
+  assert.equal(await sync.getPair('ghl-1'), null);
+});
@@ -0,0 +1,151 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { RoutingConfigError, resolveJobRouting, createJobRouter } = require('../lib/jobRouting');
+
+// ServiceM8 records the routing names resolve against
+const RECORDS = {
+  '/queue.json': [
+    { uuid: 'q-quotes', name: 'Quotes - New', active: 1 },
+    { uuid: 'q-solar', name: 'Solar - New', active: 1 },
+    { uuid: 'q-old', name: 'Old queue', active: 0 },
+  ],
+  '/category.json': [{ uuid: 'cat-solar', name: 'Solar', active: 1 }],
+  '/badge.json': [{ uuid: 'badge-priority', name: 'Priority', active: 1 }],
+  '/material.json': [{ uuid: 'mat-inspection', name: 'Site inspection', price: '99.00', active: 1 }],
+};
+
+const CONFIG = {
+  rules: [
+    {
+      name: 'solar-brisbane',
+      when: { tags: ['Solar'], postcodes: ['4000-4199'] },
+      queue: 'solar - new',
+      category: 'Solar',
+      badges: ['Priority'],
+      template: 'solar-quote',
+    },
+    { name: 'pipeline', when: { pipelineId: 'pipe-1' }, status: 'Work Order' },
+    { name: 'gutter-form', when: { sources: ['Gutter clean form'] }, status: 'Work Order' },
+    { name: 'tile-roofs', when: { fields: { roof_type: ['Tile', 'Metal'] } }, status: 'Quote', badges: ['Priority'] },
+  ],
+  templates: {
+    'solar-quote': {
+      job: { job_description: 'Solar quote - site inspection required' },
+      materials: [{ name: 'Site inspection', quantity: 2 }],
+    },
+  },
+};
+
+function createRouter(config = CONFIG, opportunities = {}) {
+  const serviceM8Api = { get: async (endpoint) => ({ data: RECORDS[endpoint] }) };
+  const ghl = { findOpportunity: async (contactId, pipelineId) => opportunities[`${contactId}:${pipelineId}`] || null };
+  return createJobRouter({ serviceM8Api, ghl, config: resolveJobRouting(config, { queueName: 'Quotes - New' }) });
+}
+
+function facts({ contact = null, customFields = [], input = {} } = {}) {
+  return { contact, customFields, input: { ghlContactId: 'c1', ...input } };
+}
+
+test('the first matching rule routes the job, filled in from the default route', async () => {
+  const router = createRouter();
+  const route = await router.route(facts({ contact: { tags: ['solar', 'vip'], postalCode: '4101' } }));
+  assert.deepEqual(route, {
+    rule: 'solar-brisbane',
+    queueUuid: 'q-solar',
+    categoryUuid: 'cat-solar',
+    status: 'Quote',
+    badgeUuids: ['badge-priority'],
+    template: {
+      name: 'solar-quote',
+      job: { job_description: 'Solar quote - site inspection required' },
+      materials: [{ materialUuid: 'mat-inspection', name: 'Site inspection', price: '99.00', quantity: 2 }],
+    },
+  });
+});
+
+test('every condition of a rule has to match', async () => {
+  const router = createRouter();
+  const outside = await router.route(facts({ contact: { tags: ['solar'], postalCode: '4500' } }));
+  assert.equal(outside.rule, null);
+  assert.equal(outside.queueUuid, 'q-quotes');
+  assert.equal(outside.status, 'Quote');
+  assert.equal(outside.template, null);
+});
+
+test('postcodes fall back to the last 4-digit number in the submitted address', async () => {
+  const router = createRouter();
+  const route = await router.route(
+    facts({ contact: { tags: ['Solar'] }, input: { address: '12 Main St, Brisbane QLD 4000' } })
+  );
+  assert.equal(route.rule, 'solar-brisbane');
+});
+
+test('sources use the submission before the contact, case-insensitively', async () => {
+  const router = createRouter();
+  assert.equal((await router.route(facts({ input: { source: 'gutter CLEAN form' } }))).rule, 'gutter-form');
+  assert.equal((await router.route(facts({ contact: { source: 'Gutter clean form' } }))).rule, 'gutter-form');
+  const overridden = await router.route(facts({ contact: { source: 'Gutter clean form' }, input: { source: 'Website' } }));
+  assert.equal(overridden.rule, null);
+});
+
+test('fields match custom fields by key or name against any listed value', async () => {
+  const router = createRouter();
+  const byKey = facts({ customFields: [{ id: 'f1', fieldKey: 'contact.roof_type', value: 'metal' }] });
+  const byName = facts({ customFields: [{ id: 'f1', name: 'Roof_Type', value: ['Tile'] }] });
+  const other = facts({ customFields: [{ id: 'f1', fieldKey: 'contact.roof_type', value: 'Colorbond' }] });
+  assert.equal((await router.route(byKey)).rule, 'tile-roofs');
+  assert.equal((await router.route(byName)).rule, 'tile-roofs');
+  assert.equal((await router.route(other)).rule, null);
+});
+
+test('pipelineId matches when the contact has an opportunity in the pipeline', async () => {
+  const router = createRouter(CONFIG, { 'c1:pipe-1': { id: 'opp-1' } });
+  assert.equal((await router.route(facts())).rule, 'pipeline');
+  assert.equal((await router.route(facts({ input: { ghlContactId: 'c2' } }))).rule, null);
+});
+
+test('routes on the submission alone when the GHL contact could not be read', async () => {
+  const router = createRouter();
+  const route = await router.route({ contact: null, input: { ghlContactId: 'c1', source: 'Gutter clean form' } });
+  assert.equal(route.rule, 'gutter-form');
+});
+
+test('pickFacts keeps only what the rules look at', () => {
+  const router = createRouter();
+  const contact = { id: 'c1', email: 'jane@example.com', tags: ['solar'], source: 'Website', postalCode: '4000' };
+  const customFields = [
+    { id: 'f1', fieldKey: 'contact.roof_type', name: 'Roof type', value: 'Tile', dataType: 'TEXT' },
+    { id: 'f2', fieldKey: 'contact.notes', name: 'Notes', value: 'private' },
+  ];
+  assert.deepEqual(router.pickFacts(contact, customFields), {
+    contact: { tags: ['solar'], source: 'Website', postalCode: '4000' },
+    customFields: [{ id: 'f1', fieldKey: 'contact.roof_type', name: 'Roof type', value: 'Tile' }],
+  });
+  assert.deepEqual(router.pickFacts(null, []), { contact: null, customFields: [] });
+});
+
+test('refresh names every routing name ServiceM8 does not have', async () => {
+  const router = createRouter({
+    default: { queue: 'Old queue' },
+    rules: [{ name: 'a', category: 'Roofing', badges: ['Priority', 'Urgent'] }],
+  });
+  await assert.rejects(router.refresh(), (error) => {
+    assert.ok(error instanceof RoutingConfigError);
+    assert.match(error.message, /no ServiceM8 queue named "Old queue" \(used by jobRouting.default\)/);
+    assert.match(error.message, /no ServiceM8 category named "Roofing" \(used by rule a\)/);
+    assert.match(error.message, /no ServiceM8 badge named "Urgent" \(used by rule a\)/);
+    assert.doesNotMatch(error.message, /Priority/);
+    return true;
+  });
+});
+
+test('resolveJobRouting rejects invalid config', () => {
+  const resolve = (config) => resolveJobRouting(config, { queueName: 'Quotes - New' });
+  assert.throws(() => resolve({ rules: {} }), /rules must be a list/);
+  assert.throws(() => resolve({ rules: [{ when: {} }] }), /rules\[0\]\.name is required/);
+  assert.throws(() => resolve({ rules: [{ name: 'a' }, { name: 'a' }] }), /is used by another rule/);
+  assert.throws(() => resolve({ rules: [{ name: 'a', when: { colour: 'red' } }] }), /when\.colour is not a condition/);
+  assert.throws(() => resolve({ rules: [{ name: 'a', status: 'Done' }] }), /status must be one of/);
+  assert.throws(() => resolve({ rules: [{ name: 'a', template: 'missing' }] }), /not in jobRouting.templates/);
+  assert.throws(() => resolve({ rules: [{ name: 'a', when: { postcodes: ['40000'] } }] }), /"from-to" range/);
+});
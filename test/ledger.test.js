@@ -0,0 +1,103 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-test-'));
+process.env.DATA_DIR = dataDir;
+const { ENTITY, OUTCOME, createLedger } = require('../lib/ledger');
+
+let ledgerCount = 0;
+function newLedger() {
+  return createLedger(`tenant-${++ledgerCount}`);
+}
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('record keeps the earlier outcome in the entry history', async () => {
+  const ledger = newLedger();
+  await ledger.record(ENTITY.SERVICEM8_PAYMENT, 'p1', OUTCOME.FAILED, new Error('timeout'));
+  await ledger.record(ENTITY.SERVICEM8_PAYMENT, 'p1', OUTCOME.SYNCED);
+
+  const entry = await ledger.get(ENTITY.SERVICEM8_PAYMENT, 'p1');
+  assert.equal(entry.outcome, OUTCOME.SYNCED);
+  assert.equal(entry.error, null);
+  assert.equal(entry.history.length, 1);
+  assert.equal(entry.history[0].outcome, OUTCOME.FAILED);
+  assert.equal(entry.history[0].error, 'Error: timeout');
+});
+
+test('isProcessed is true for synced and skipped entries, not failed or unknown ones', async () => {
+  const ledger = newLedger();
+  await ledger.record(ENTITY.SERVICEM8_CONTACT, 'synced', OUTCOME.SYNCED);
+  await ledger.record(ENTITY.SERVICEM8_CONTACT, 'skipped', OUTCOME.SKIPPED);
+  await ledger.record(ENTITY.SERVICEM8_CONTACT, 'failed', OUTCOME.FAILED, 'boom');
+
+  assert.equal(await ledger.isProcessed(ENTITY.SERVICEM8_CONTACT, 'synced'), true);
+  assert.equal(await ledger.isProcessed(ENTITY.SERVICEM8_CONTACT, 'skipped'), true);
+  assert.equal(await ledger.isProcessed(ENTITY.SERVICEM8_CONTACT, 'failed'), false);
+  assert.equal(await ledger.isProcessed(ENTITY.SERVICEM8_CONTACT, 'unknown'), false);
+  assert.equal(await ledger.isProcessed(ENTITY.SERVICEM8_PAYMENT, 'synced'), false);
+});
+
+test('prune keeps entries inside the retention period', async () => {
+  const ledger = newLedger();
+  await ledger.record(ENTITY.SERVICEM8_PAYMENT, 'p1', OUTCOME.SYNCED);
+  await ledger.record(ENTITY.SERVICEM8_PAYMENT, 'p2', OUTCOME.FAILED, 'boom');
+
+  assert.equal(await ledger.prune(180), 0);
+  assert.ok(await ledger.get(ENTITY.SERVICEM8_PAYMENT, 'p1'));
+  assert.ok(await ledger.get(ENTITY.SERVICEM8_PAYMENT, 'p2'));
+});
+
+test('prune drops old failed entries and records but keeps the once-only keys', async () => {
+  const ledger = newLedger();
+  await ledger.record(ENTITY.PAYMENT_TRIGGER, 'invoice-paid:contact:c1', OUTCOME.SYNCED);
+  await ledger.record(ENTITY.JOB_TRANSITION, 'job-1:job_completed', OUTCOME.SYNCED);
+  await ledger.record(ENTITY.GHL_CONTACT, 'ghl-1', OUTCOME.SYNCED);
+  await ledger.record(ENTITY.SERVICEM8_CONTACT, 'contact-1', OUTCOME.SKIPPED);
+  await ledger.record(ENTITY.JOB_TRANSITION, 'job-2:job_completed', OUTCOME.FAILED, 'boom');
+  await ledger.record(ENTITY.SERVICEM8_PAYMENT, 'p1', OUTCOME.SYNCED);
+  await ledger.record(ENTITY.GHL_APPOINTMENT, 'a1', OUTCOME.SYNCED);
+  await ledger.skip(ENTITY.SERVICEM8_JOB, 'job-3', 'test job');
+
+  // A negative retention period puts every entry past the cutoff
+  assert.equal(await ledger.prune(-1), 3);
+
+  assert.equal(await ledger.isProcessed(ENTITY.PAYMENT_TRIGGER, 'invoice-paid:contact:c1'), true);
+  assert.equal(await ledger.isProcessed(ENTITY.JOB_TRANSITION, 'job-1:job_completed'), true);
+  assert.equal(await ledger.isProcessed(ENTITY.GHL_CONTACT, 'ghl-1'), true);
+  assert.equal(await ledger.isProcessed(ENTITY.SERVICEM8_CONTACT, 'contact-1'), true);
+  assert.equal(await ledger.get(ENTITY.JOB_TRANSITION, 'job-2:job_completed'), null);
+  assert.equal(await ledger.get(ENTITY.SERVICEM8_PAYMENT, 'p1'), null);
+  assert.equal(await ledger.get(ENTITY.GHL_APPOINTMENT, 'a1'), null);
+  assert.ok(await ledger.getSkip(ENTITY.SERVICEM8_JOB, 'job-3'));
+});
+
+test('migrateLegacyState imports payments and sorts contacts into ServiceM8 UUIDs and GHL keys', async () => {
+  const ledger = newLedger();
+  const stateFile = path.join(dataDir, 'state.json');
+  const servicem8Uuid = '0a1b2c3d-4e5f-4a6b-8c7d-9e0f1a2b3c4d';
+  fs.writeFileSync(
+    stateFile,
+    JSON.stringify({
+      processedJobs: ['payment-1', 'payment-2'],
+      processedContacts: [servicem8Uuid, 'ghlContact123', 'jane@example.com'],
+    })
+  );
+
+  assert.equal(await ledger.migrateLegacyState(stateFile), 5);
+
+  assert.equal(await ledger.isProcessed(ENTITY.SERVICEM8_PAYMENT, 'payment-1'), true);
+  assert.equal(await ledger.isProcessed(ENTITY.SERVICEM8_PAYMENT, 'payment-2'), true);
+  assert.equal(await ledger.isProcessed(ENTITY.SERVICEM8_CONTACT, servicem8Uuid), true);
+  assert.equal(await ledger.isProcessed(ENTITY.GHL_CONTACT, servicem8Uuid), false);
+  assert.equal(await ledger.isProcessed(ENTITY.GHL_CONTACT, 'ghlContact123'), true);
+  assert.equal(await ledger.isProcessed(ENTITY.GHL_CONTACT, 'jane@example.com'), true);
+  assert.equal(fs.existsSync(stateFile), false);
+  assert.equal(fs.existsSync(`${stateFile}.migrated`), true);
+
+  // The renamed file is not imported again
+  assert.equal(await ledger.migrateLegacyState(stateFile), 0);
+});
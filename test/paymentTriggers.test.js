@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const moment = require('moment-timezone');
+const { resolvePaymentTriggers, evaluateRule, triggerKeys } = require('../lib/paymentTriggers');
+
+const TIMEZONE = 'Australia/Brisbane';
+const NOT_FIRED = { payment: false, job: false, contact: false };
+
+function rule(config) {
+  return resolvePaymentTriggers([{ name: 'invoice-paid', ...config }])[0];
+}
+
+function facts(overrides = {}) {
+  return {
+    active: 1,
+    amount: '150.00',
+    jobStatus: 'Completed',
+    completionDate: moment.tz('2025-06-01 10:00:00', TIMEZONE),
+    invoiceTotal: 300,
+    paidTotal: 300,
+    contactKey: 'ghl-1',
+    ...overrides,
+  };
+}
+
+function failedChecks(result) {
+  return result.checks.filter((check) => !check.passed).map((check) => check.check);
+}
+
+test('fires when every check passes', () => {
+  const result = evaluateRule(rule({ jobStatuses: ['Completed'], minAmount: 100 }), facts(), NOT_FIRED, TIMEZONE);
+  assert.equal(result.fires, true);
+  assert.equal(result.rule, 'invoice-paid');
+  assert.equal(result.event, 'Invoice Paid');
+});
+
+test('runs every check and reports each one that fails', () => {
+  const result = evaluateRule(
+    rule({ jobStatuses: ['Completed'], minAmount: 200, completedOnOrAfter: '2025-07-01' }),
+    facts({ jobStatus: 'Work Order' }),
+    NOT_FIRED,
+    TIMEZONE
+  );
+  assert.equal(result.fires, false);
+  assert.deepEqual(failedChecks(result), ['minAmount', 'jobStatus', 'completedOnOrAfter']);
+});
+
+test('does not fire for inactive or zero payments', () => {
+  assert.deepEqual(failedChecks(evaluateRule(rule({}), facts({ active: 0 }), NOT_FIRED, TIMEZONE)), ['paid']);
+  assert.deepEqual(failedChecks(evaluateRule(rule({}), facts({ amount: '0' }), NOT_FIRED, TIMEZONE)), ['paid']);
+});
+
+test('compares job statuses case-insensitively', () => {
+  const result = evaluateRule(rule({ jobStatuses: ['completed'] }), facts({ jobStatus: 'COMPLETED' }), NOT_FIRED, TIMEZONE);
+  assert.equal(result.fires, true);
+});
+
+test('counts the completion cutoff from the start of the day in the tenant timezone', () => {
+  const cutoffRule = rule({ completedOnOrAfter: '2025-06-01' });
+  const early = facts({ completionDate: moment.tz('2025-06-01 00:30:00', TIMEZONE) });
+  const dayBefore = facts({ completionDate: moment.tz('2025-05-31 23:59:59', TIMEZONE) });
+  assert.equal(evaluateRule(cutoffRule, early, NOT_FIRED, TIMEZONE).fires, true);
+  assert.equal(evaluateRule(cutoffRule, dayBefore, NOT_FIRED, TIMEZONE).fires, false);
+  assert.deepEqual(failedChecks(evaluateRule(cutoffRule, facts({ completionDate: null }), NOT_FIRED, TIMEZONE)), [
+    'completedOnOrAfter',
+  ]);
+});
+
+test('tells full payments from partial ones within a cent', () => {
+  const full = rule({ payment: 'full' });
+  const partial = rule({ payment: 'partial' });
+  assert.equal(evaluateRule(full, facts({ paidTotal: 299.996 }), NOT_FIRED, TIMEZONE).fires, true);
+  assert.equal(evaluateRule(full, facts({ paidTotal: 150 }), NOT_FIRED, TIMEZONE).fires, false);
+  assert.equal(evaluateRule(partial, facts({ paidTotal: 150 }), NOT_FIRED, TIMEZONE).fires, true);
+  assert.equal(evaluateRule(partial, facts({ paidTotal: 300 }), NOT_FIRED, TIMEZONE).fires, false);
+  // A job with no invoice total is never paid in full
+  assert.equal(evaluateRule(full, facts({ invoiceTotal: 0, paidTotal: 0 }), NOT_FIRED, TIMEZONE).fires, false);
+});
+
+test('fires once per contact unless repeat customers are allowed', () => {
+  const once = rule({ repeatCustomers: false });
+  const repeat = rule({ repeatCustomers: true });
+  const firedForContact = { payment: false, job: false, contact: true };
+  assert.deepEqual(failedChecks(evaluateRule(once, facts(), firedForContact, TIMEZONE)), ['notFiredForContact']);
+  assert.equal(evaluateRule(repeat, facts(), firedForContact, TIMEZONE).fires, true);
+  assert.deepEqual(failedChecks(evaluateRule(repeat, facts(), { ...NOT_FIRED, job: true }, TIMEZONE)), ['notFiredForJob']);
+});
+
+test('never fires twice for the same payment', () => {
+  const result = evaluateRule(rule({ repeatCustomers: true }), facts(), { ...NOT_FIRED, payment: true }, TIMEZONE);
+  assert.deepEqual(failedChecks(result), ['notFiredForPayment']);
+});
+
+test('keys fired triggers by rule name', () => {
+  assert.deepEqual(triggerKeys({ name: 'deposit' }, { paymentUuid: 'p1', jobUuid: 'j1', contactKey: 'c1' }), {
+    payment: 'deposit:payment:p1',
+    job: 'deposit:job:j1',
+    contact: 'deposit:contact:c1',
+  });
+  assert.equal(triggerKeys({ name: 'deposit' }, { paymentUuid: 'p1', jobUuid: 'j1', contactKey: null }).contact, null);
+});
+
+test('rejects invalid rules', () => {
+  assert.throws(() => resolvePaymentTriggers([{}]), /needs a name/);
+  assert.throws(() => resolvePaymentTriggers([{ name: 'a' }, { name: 'a' }]), /repeats name "a"/);
+  assert.throws(() => resolvePaymentTriggers([{ name: 'a', completedOnOrAfter: '01/06/2025' }]), /completedOnOrAfter/);
+  assert.throws(() => resolvePaymentTriggers([{ name: 'a', payment: 'some' }]), /unknown payment "some"/);
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PHONE_TYPE, parsePhone, formatForServiceM8, formatForGhl, phoneKey } = require('../lib/phone');
+
+test('parses Australian mobiles in every usual format', () => {
+  for (const input of ['0412 345 678', '0412-345-678', '+61 412 345 678', '61412345678', '(04) 1234 5678']) {
+    assert.deepEqual(parsePhone(input), { e164: '+61412345678', national: '0412345678', type: PHONE_TYPE.MOBILE }, input);
+  }
+});
+
+test('parses landlines', () => {
+  assert.deepEqual(parsePhone('(07) 3123 4567'), { e164: '+61731234567', national: '0731234567', type: PHONE_TYPE.LANDLINE });
+  assert.deepEqual(parsePhone('+61 2 9876 5432'), { e164: '+61298765432', national: '0298765432', type: PHONE_TYPE.LANDLINE });
+});
+
+test('parses 13, 1300 and 1800 numbers without an E.164 form', () => {
+  assert.deepEqual(parsePhone('1300 123 456'), { e164: null, national: '1300123456', type: PHONE_TYPE.SPECIAL });
+  assert.deepEqual(parsePhone('1800123456'), { e164: null, national: '1800123456', type: PHONE_TYPE.SPECIAL });
+  assert.deepEqual(parsePhone('13 12 34'), { e164: null, national: '131234', type: PHONE_TYPE.SPECIAL });
+});
+
+test('accepts overseas numbers only when allowed', () => {
+  assert.equal(parsePhone('+44 20 7946 0958'), null);
+  assert.deepEqual(parsePhone('+44 20 7946 0958', { allowInternational: true }), {
+    e164: '+442079460958',
+    national: null,
+    type: PHONE_TYPE.INTERNATIONAL,
+  });
+});
+
+test('rejects things that are not phone numbers we accept', () => {
+  for (const input of [null, undefined, '', '12345', '0512 345 678', '+61 512 345 678', 'call me', '04123456789']) {
+    assert.equal(parsePhone(input), null, String(input));
+  }
+});
+
+test('formats numbers the way ServiceM8 and GHL show them', () => {
+  assert.equal(formatForServiceM8(parsePhone('+61412345678')), '0412 345 678');
+  assert.equal(formatForServiceM8(parsePhone('0731234567')), '(07) 3123 4567');
+  assert.equal(formatForServiceM8(parsePhone('1300123456')), '1300 123 456');
+  assert.equal(formatForServiceM8(parsePhone('131234')), '13 12 34');
+  assert.equal(formatForGhl(parsePhone('0412 345 678')), '+61412345678');
+  assert.equal(formatForGhl(parsePhone('1300 123 456')), '1300123456');
+});
+
+test('phoneKey compares numbers written differently as the same', () => {
+  assert.equal(phoneKey('0412 345 678'), phoneKey('+61412345678'));
+  assert.equal(phoneKey('+44 20 7946 0958'), '+442079460958');
+  assert.equal(phoneKey('ext 123'), '123');
+  assert.equal(phoneKey(''), null);
+});
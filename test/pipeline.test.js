@@ -0,0 +1,36 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-test-'));
+process.env.DATA_DIR = dataDir;
+const { Pipeline, RunHeldError, RUN_STATUS } = require('../lib/pipeline');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('prune drops completed runs and keeps held ones', async () => {
+  const steps = [
+    {
+      name: 'check',
+      run: async (input) => {
+        if (input.hold) throw new RunHeldError('needs a decision');
+        return { checked: true };
+      },
+    },
+  ];
+  const pipeline = new Pipeline('prune', steps, { dir: 'tenant' });
+  const completed = await pipeline.submit({ hold: false });
+  const held = await pipeline.submit({ hold: true });
+  await pipeline.execute(completed.id);
+  await pipeline.execute(held.id);
+  assert.equal((await pipeline.getRun(completed.id)).status, RUN_STATUS.COMPLETED);
+  assert.equal((await pipeline.getRun(held.id)).status, RUN_STATUS.HELD);
+
+  assert.equal(await pipeline.prune(30), 0);
+  // A negative retention period puts every run past the cutoff
+  assert.equal(await pipeline.prune(-1), 1);
+  assert.equal(await pipeline.getRun(completed.id), null);
+  assert.ok(await pipeline.getRun(held.id));
+});
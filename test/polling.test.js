@@ -0,0 +1,91 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const moment = require('moment-timezone');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'polling-test-'));
+process.env.DATA_DIR = dataDir;
+const { createPoller } = require('../lib/polling');
+
+const TIMEZONE = 'Australia/Brisbane';
+const FORMAT = 'YYYY-MM-DD HH:mm:ss';
+
+let pollerCount = 0;
+function newPoller() {
+  return createPoller(`tenant-${++pollerCount}`);
+}
+
+// The [from, to] edit_date bounds of a window filter
+function bounds(filter) {
+  const [, from, to] = /edit_date gt '([^']+)' and edit_date le '([^']+)'/.exec(filter);
+  return [moment.tz(from, FORMAT, TIMEZONE), moment.tz(to, FORMAT, TIMEZONE)];
+}
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('starts the initial lookback before now when there is no cursor', async () => {
+  const poller = newPoller();
+  const filters = [];
+  const before = moment();
+  await poller.pollIncrementally('jobs', TIMEZONE, async (filter) => filters.push(filter));
+
+  assert.equal(filters.length, 1);
+  const [from] = bounds(filters[0]);
+  assert.ok(Math.abs(before.diff(from, 'minutes') - 20) <= 1);
+  assert.ok(Date.parse(await poller.getCursor('jobs')) >= before.valueOf() - 1000);
+});
+
+test('re-reads the overlap behind the cursor and walks hour-wide windows up to now', async () => {
+  const poller = newPoller();
+  const cursor = moment().subtract(150, 'minutes').startOf('second');
+  await poller.setCursor('payments', cursor.toISOString());
+  const windows = [];
+  await poller.pollIncrementally('payments', TIMEZONE, async (filter) => windows.push(bounds(filter)));
+
+  assert.equal(windows.length, 3);
+  assert.equal(windows[0][0].valueOf(), cursor.clone().subtract(5, 'minutes').valueOf());
+  assert.equal(windows[0][1].diff(windows[0][0], 'minutes'), 60);
+  // Each window starts where the last one ended
+  assert.equal(windows[1][0].valueOf(), windows[0][1].valueOf());
+  assert.equal(windows[2][0].valueOf(), windows[1][1].valueOf());
+  assert.ok(windows[2][1].diff(windows[2][0], 'minutes') < 60);
+});
+
+test('leaves the cursor at the last window that was processed when one fails', async () => {
+  const poller = newPoller();
+  const cursor = moment().subtract(150, 'minutes').startOf('second');
+  await poller.setCursor('contacts', cursor.toISOString());
+  const windows = [];
+  await assert.rejects(
+    poller.pollIncrementally('contacts', TIMEZONE, async (filter) => {
+      windows.push(bounds(filter));
+      if (windows.length === 2) throw new Error('ServiceM8 unavailable');
+    }),
+    /ServiceM8 unavailable/
+  );
+
+  assert.equal(Date.parse(await poller.getCursor('contacts')), windows[0][1].valueOf());
+});
+
+test('stops after 24 windows and leaves the rest of a backlog for the next run', async () => {
+  const poller = newPoller();
+  const cursor = moment().subtract(30, 'hours');
+  await poller.setCursor('jobs', cursor.toISOString());
+  let windows = 0;
+  await poller.pollIncrementally('jobs', TIMEZONE, async () => windows++);
+
+  assert.equal(windows, 24);
+  const saved = moment(await poller.getCursor('jobs'));
+  assert.equal(saved.diff(cursor.clone().subtract(5, 'minutes'), 'hours'), 24);
+});
+
+test('resetCursor moves the cursor or forgets it', async () => {
+  const poller = newPoller();
+  await poller.setCursor('jobs', '2025-01-01T00:00:00.000Z');
+  await poller.resetCursor('jobs', '2024-06-01T00:00:00.000Z');
+  assert.equal(await poller.getCursor('jobs'), '2024-06-01T00:00:00.000Z');
+  await poller.resetCursor('jobs');
+  assert.equal(await poller.getCursor('jobs'), null);
+});
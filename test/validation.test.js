@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validate, validateBody, ghlCreateJobSchema } = require('../lib/validation');
+
+// Run validateBody against a body; resolves to { status, body } for a
+// rejection or { next: true, body } when the request is passed on
+function runValidateBody(body) {
+  const req = { body, path: '/ghl-create-job' };
+  let result = null;
+  const res = {
+    status(code) {
+      result = { status: code };
+      return this;
+    },
+    json(payload) {
+      result.body = payload;
+      return this;
+    },
+  };
+  validateBody(ghlCreateJobSchema)(req, res, () => {
+    result = { next: true, body: req.body };
+  });
+  return result;
+}
+
+const VALID = {
+  firstName: ' Jane ',
+  lastName: 'Doe',
+  email: 'jane@example.com',
+  phone: '0412 345 678',
+  ghlContactId: 'abc123',
+};
+
+test('passes a valid submission on with trimmed values', () => {
+  const result = runValidateBody(VALID);
+  assert.equal(result.next, true);
+  assert.equal(result.body.firstName, 'Jane');
+});
+
+test('answers 422 listing every field that fails', () => {
+  const result = runValidateBody({ firstName: 'Jane', email: 'not-an-email', phone: '12345', ghlContactId: 'abc-123' });
+  assert.equal(result.status, 422);
+  assert.equal(result.body.error, 'Validation failed');
+  assert.deepEqual(result.body.fields, [
+    { field: 'lastName', message: 'is required' },
+    { field: 'email', message: 'must be a valid email address' },
+    { field: 'phone', message: 'must be a valid Australian phone number' },
+    { field: 'ghlContactId', message: 'must be alphanumeric' },
+  ]);
+});
+
+test('treats blank strings as missing and rejects non-strings', () => {
+  const result = runValidateBody({ ...VALID, firstName: '   ', lastName: 42 });
+  assert.equal(result.status, 422);
+  assert.deepEqual(result.body.fields, [
+    { field: 'firstName', message: 'is required' },
+    { field: 'lastName', message: 'must be a string' },
+  ]);
+});
+
+test('enforces maximum lengths', () => {
+  const result = runValidateBody({ ...VALID, firstName: 'x'.repeat(101) });
+  assert.equal(result.status, 422);
+  assert.deepEqual(result.body.fields, [{ field: 'firstName', message: 'must be at most 100 characters' }]);
+});
+
+test('flattens a structured address to one line', () => {
+  const { value, errors } = validate(ghlCreateJobSchema, {
+    ...VALID,
+    address: { address1: '1 Main St', city: 'Brisbane', state: 'qld', postalCode: '4000' },
+  });
+  assert.deepEqual(errors, []);
+  assert.equal(value.address, '1 Main St, Brisbane QLD 4000');
+});
+
+test('reports structured address problems by nested field', () => {
+  const result = runValidateBody({ ...VALID, address: { city: 'Brisbane', state: 'XX', postalCode: '400' } });
+  assert.equal(result.status, 422);
+  assert.deepEqual(result.body.fields, [
+    { field: 'address.address1', message: 'is required' },
+    { field: 'address.state', message: 'must be one of ACT, NSW, NT, QLD, SA, TAS, VIC, WA' },
+    { field: 'address.postalCode', message: 'must be a 4-digit postcode' },
+  ]);
+});